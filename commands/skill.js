@@ -1,11 +1,18 @@
-import { readFile } from 'node:fs/promises';
-import { resolve } from 'node:path';
-import { selectMultiple, selectOne } from '../lib/prompt.js';
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { resolve, join, relative, isAbsolute } from 'node:path';
+import { selectMultiple, selectOne, confirm } from '../lib/prompt.js';
+import { parseVersion, validRange } from '../lib/semver.js';
+import { isOffline, setOffline } from '../lib/config.js';
+import { diffDirectories, isTextBuffer, readEntry, unifiedDiff } from '../lib/diff.js';
 import {
   parseRemoteSource,
   downloadAndExtract,
   detectSkills,
-  resolveCommitHash,
+  resolveRef,
+  countCommitsBetween,
+  formatRepoUri,
+  describeSource,
+  isLocalSource,
   cleanupTemp,
 } from '../lib/remote-skill.js';
 import {
@@ -13,13 +20,48 @@ import {
   saveLock,
   addSkillToLock,
   removeSkillFromLock,
+  removeSkillFromAgents,
+  removeAgentFromLock,
+  recordSkillsDir,
   getAllSkillNames,
+  getAgentsForSkill,
+  getDependents,
 } from '../lib/lock.js';
 import {
   installSkillForAgent,
   removeSkillForAgent,
   skillExistsForAgent,
+  hashDirectory,
+  skillIntegrity,
+  isValidSkillName,
+  assertLinksInside,
+  getSkillState,
+  backupSkillForAgent,
+  installSkillToStore,
+  removeSkillFromStore,
+  storeHasSkill,
+  getStorePath,
+  stageRenamedSkill,
+  removeStagedSkill,
+  STORE_DIR,
 } from '../lib/installer.js';
+import {
+  getCacheDir,
+  getCacheMaxSize,
+  listCache,
+  cleanCache,
+  pruneCache,
+} from '../lib/cache.js';
+import { validateSkill } from '../lib/validate.js';
+import { matchesGlob } from '../lib/glob.js';
+import {
+  loadSkillsFile,
+  saveSkillsFile,
+  skillsFileFromLock,
+  addToSkillsFile,
+  removeFromSkillsFile,
+  skillsFileName,
+} from '../lib/skills-file.js';
 
 /**
  * Load .ai-factory.json from the project directory.
@@ -35,6 +77,29 @@ async function loadManifest(projectDir) {
   }
 }
 
+/**
+ * Load the lock file, exiting with its problem if it is invalid.
+ * @param {string} projectDir
+ * @returns {Promise<import('../lib/lock.js').LockFile>}
+ */
+async function openLock(projectDir) {
+  try {
+    return await loadLock(projectDir);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Write .ai-factory.json back to the project directory.
+ * @param {string} projectDir
+ * @param {object} manifest
+ */
+async function saveManifest(projectDir, manifest) {
+  await writeFile(resolve(projectDir, '.ai-factory.json'), `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+}
+
 /**
  * Get agent IDs and their skillsDir from the manifest.
  * @param {object} manifest
@@ -48,6 +113,701 @@ function getAgents(manifest) {
   }));
 }
 
+/**
+ * Pick the agents a command applies to: the ids given with --agent, an
+ * interactive choice when there are several agents, or all of them (-y).
+ * Exits on unknown agent ids.
+ *
+ * @param {{ id: string, skillsDir: string }[]} agents
+ * @param {string|undefined} agentOption - comma-separated ids from --agent
+ * @param {{ yes?: boolean, message?: string }} [opts] - message enables the picker
+ * @returns {Promise<{ id: string, skillsDir: string }[]>}
+ */
+async function selectAgents(agents, agentOption, opts = {}) {
+  if (agentOption) {
+    const ids = agentOption.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !agents.some(a => a.id === id));
+    if (unknown.length > 0) {
+      console.error(`Unknown agent(s): ${unknown.join(', ')}. Available: ${agents.map(a => a.id).join(', ')}`);
+      process.exit(1);
+    }
+    return agents.filter(a => ids.includes(a.id));
+  }
+
+  if (agents.length <= 1 || opts.yes || !opts.message) return agents;
+
+  console.log('');
+  const chosen = await selectMultiple(
+    agents.map(a => ({ label: `${a.id} (${a.skillsDir})`, value: a.id })),
+    opts.message,
+  );
+  return agents.filter(a => chosen.includes(a.id));
+}
+
+/**
+ * Rebuild a RemoteSource from a lock entry, pinned to the recorded commit if any.
+ * @param {{ source: string, ref: string, commit?: string }} info
+ * @returns {import('../lib/remote-skill.js').RemoteSource}
+ */
+function sourceFromLockEntry(info) {
+  const parsed = parseRemoteSource(info.source + (info.ref && info.ref !== 'main' ? `#${info.ref}` : ''));
+  parsed.ref = info.ref;
+  parsed.refType = info.refType ?? 'branch';
+  if (info.range) parsed.range = info.range;
+  if (info.commit) parsed.commit = info.commit;
+  return parsed;
+}
+
+/**
+ * Shorten a commit SHA for display.
+ * @param {string} [commit]
+ * @returns {string}
+ */
+function shortCommit(commit) {
+  return commit ? commit.slice(0, 7) : 'unpinned';
+}
+
+/**
+ * Describe the installed version of a lock entry for display.
+ * @param {{ sourceType?: string, commit?: string, installMode?: string }} info
+ * @returns {string}
+ */
+function versionLabel(info) {
+  if (info.sourceType === 'file') {
+    return info.installMode === 'link' ? 'linked' : 'local copy';
+  }
+  return shortCommit(info.commit);
+}
+
+/**
+ * Check agents' installed copies of a skill for local edits before overwriting them.
+ * Modified copies are only overwritten with --force, and the edits are then
+ * kept as "<name>.orig" if the user agrees (always with -y).
+ *
+ * @param {string} projectDir
+ * @param {{ id: string, skillsDir: string }[]} agents - agents about to be overwritten
+ * @param {string} skillName
+ * @param {{ installMode?: string, hash?: string }} info - the skill's lock entry
+ * @param {{ force?: boolean, yes?: boolean }} opts
+ * @returns {Promise<boolean>} false if the skill must be left alone
+ */
+async function protectLocalEdits(projectDir, agents, skillName, info, opts) {
+  const modified = [];
+  for (const agent of agents) {
+    if (await getSkillState(projectDir, agent.skillsDir, skillName, info) === 'modified') {
+      modified.push(agent);
+    }
+  }
+  if (modified.length === 0) return true;
+
+  const where = modified.map(a => join(a.skillsDir, skillName)).join(', ');
+  if (!opts.force) {
+    console.log(`  ! ${skillName} has local changes in ${where}, skipping (use --force to overwrite)`);
+    return false;
+  }
+
+  const backup = opts.yes || await confirm(`Keep your changes to ${skillName} as ${skillName}.orig?`);
+  if (backup) {
+    for (const agent of modified) {
+      const backupPath = await backupSkillForAgent(projectDir, agent.skillsDir, skillName);
+      console.log(`  ${skillName}: local changes saved to ${backupPath}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Hash a skill directory for the lock. Linked installs have no copy to protect.
+ * @param {string} dirPath
+ * @param {string} [installMode]
+ * @returns {Promise<string|undefined>}
+ */
+function installedHash(dirPath, installMode) {
+  return installMode === 'link' ? Promise.resolve(undefined) : hashDirectory(dirPath);
+}
+
+/**
+ * Integrity of a skill's file tree as downloaded. Local directories change
+ * without a new commit, so they get none.
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @param {import('../lib/remote-skill.js').DetectedSkill} skill
+ * @returns {Promise<string|undefined>}
+ */
+function treeIntegrity(source, skill) {
+  return isLocalSource(source) ? Promise.resolve(undefined) : skillIntegrity(skill.dirPath);
+}
+
+/**
+ * Check a skill downloaded at its locked commit against the integrity
+ * recorded at install time, so a rewritten upstream or a tampered mirror
+ * isn't installed silently.
+ * @param {string} skillName
+ * @param {import('../lib/remote-skill.js').DetectedSkill} skill
+ * @param {{ commit?: string, integrity?: string }} info - the skill's lock entry
+ * @returns {Promise<string|null>} the problem, or null if the tree matches or nothing was recorded
+ */
+async function checkIntegrity(skillName, skill, info) {
+  if (!info.integrity) return null;
+  const actual = await skillIntegrity(skill.dirPath);
+  if (actual === info.integrity) return null;
+  return `${skillName} @ ${shortCommit(info.commit)} does not match the lock file's integrity (expected ${info.integrity}, got ${actual})`;
+}
+
+/**
+ * Install a skill for several agents under skillName. Store installs first put
+ * the single shared copy into the project store, then link it into every agent.
+ * A skill installed under an alias gets the alias as its frontmatter name.
+ *
+ * @param {string} projectDir
+ * @param {{ id: string, skillsDir: string }[]} agents
+ * @param {string} skillName - installed name: the skill's own name or its alias
+ * @param {import('../lib/remote-skill.js').DetectedSkill} skill
+ * @param {string} [installMode]
+ * @returns {Promise<string|undefined>} content hash for the lock
+ */
+async function installForAgents(projectDir, agents, skillName, skill, installMode) {
+  const renamed = skill.name !== skillName && installMode !== 'link';
+  const sourceDir = renamed ? await stageRenamedSkill(skill.dirPath, skillName) : skill.dirPath;
+
+  try {
+    // Hashed first: a skill that can't be hashed never half-installs without a lock entry
+    const hash = await installedHash(sourceDir, installMode);
+    if (installMode === 'store') {
+      await installSkillToStore(projectDir, skillName, sourceDir);
+    }
+    for (const agent of agents) {
+      const result = await installSkillForAgent(projectDir, agent.skillsDir, skillName, sourceDir, { mode: installMode });
+      if (installMode === 'store' && result === 'copy') {
+        console.log(`  ${skillName}: symlinks are not available, copied into ${agent.skillsDir} instead`);
+      }
+    }
+    return hash;
+  } finally {
+    if (renamed) await removeStagedSkill(sourceDir);
+  }
+}
+
+/**
+ * Find a locked skill among the skills detected in a download: by its
+ * upstream name, or by the path it was installed from.
+ * @param {import('../lib/remote-skill.js').DetectedSkill[]} detected
+ * @param {string} skillName
+ * @param {{ path?: string, upstreamName?: string }} info
+ * @returns {import('../lib/remote-skill.js').DetectedSkill|undefined}
+ */
+function findLockedSkill(detected, skillName, info) {
+  const name = info.upstreamName ?? skillName;
+  return detected.find(d => d.name === name || d.relativePath === info.path);
+}
+
+/**
+ * Find what already owns a skill name in the project, if anything:
+ * a remote skill from another source, a built-in skill from
+ * .ai-factory.json, or a directory nothing manages.
+ *
+ * @param {string} projectDir
+ * @param {object} manifest
+ * @param {{ id: string, skillsDir: string }[]} targets - agents about to get the skill
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @param {string} name - name to install under
+ * @param {{ source: string, path: string }} entry - the incoming skill
+ * @returns {Promise<string|null>} description of the owner
+ */
+async function findNameOwner(projectDir, manifest, targets, lock, name, entry) {
+  const existing = lock.skills[name];
+  if (existing) {
+    // Reinstalling the same skill from the same place is fine
+    if (existing.source === entry.source && existing.path === entry.path) return null;
+    return `remote skill from ${existing.source}${existing.path ? ` (${existing.path})` : ''}`;
+  }
+
+  for (const agent of manifest.agents) {
+    if (agent.installedSkills?.includes(name)) return `built-in skill of ${agent.id}`;
+  }
+
+  for (const agent of targets) {
+    if (await skillExistsForAgent(projectDir, agent.skillsDir, name)) {
+      return `unmanaged directory ${join(agent.skillsDir, name)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the commit a source's branch or range was installed at, for offline
+ * adds that can't ask the host. The default branch matches any branch entry.
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @param {import('../lib/remote-skill.js').RemoteSource} parsed
+ * @returns {{ ref: string, refType: string, commit: string }|undefined}
+ */
+function pinnedFromLock(lock, parsed) {
+  const source = formatRepoUri(parsed);
+  return Object.values(lock.skills).find(info => info.source === source && info.commit && (
+    parsed.range
+      ? info.range === parsed.range
+      : !info.range && (parsed.ref ? info.ref === parsed.ref : info.refType === 'branch')
+  ));
+}
+
+/**
+ * Print the source@commit pairs that couldn't be installed offline.
+ * @param {string[]} missing
+ */
+function reportMissing(missing) {
+  if (missing.length === 0) return;
+  console.error('\n  Not in the download cache (offline):');
+  for (const entry of missing) console.error(`    ${entry}`);
+  console.error('  Run the command once without --offline to download them.\n');
+  process.exitCode = 1;
+}
+
+/**
+ * Format a byte count for display.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+}
+
+/**
+ * Download a source and detect its skills.
+ *
+ * Archive downloads only write the given repository paths to disk. If the
+ * filtered copy doesn't contain every wanted skill (e.g. a skill moved
+ * upstream), the whole repository is downloaded again.
+ * A byte counter is shown on stderr while archives download.
+ *
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @param {string[]|undefined} paths - skill paths to keep; '' or undefined means everything
+ * @param {(skills: import('../lib/remote-skill.js').DetectedSkill[]) => boolean} hasWanted
+ * @returns {Promise<{ repoDir: string, detected: import('../lib/remote-skill.js').DetectedSkill[] }>}
+ */
+async function fetchSkills(source, paths, hasWanted) {
+  const filter = paths && !paths.includes('') ? paths : undefined;
+
+  let repoDir = await downloadWithProgress(source, filter);
+  // An empty filtered copy isn't an error yet: the full repository may still have the skills
+  let detected = await detectSkills(repoDir).catch(error => {
+    if (!filter) throw error;
+    return [];
+  });
+  if (filter && !hasWanted(detected)) {
+    await cleanupTemp(repoDir);
+    repoDir = await downloadWithProgress(source, undefined);
+    try {
+      detected = await detectSkills(repoDir);
+    } catch (error) {
+      await cleanupTemp(repoDir);
+      throw error;
+    }
+  }
+  return { repoDir, detected };
+}
+
+/**
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @param {string[]|undefined} paths
+ * @returns {Promise<string>}
+ */
+async function downloadWithProgress(source, paths) {
+  const tty = process.stderr.isTTY;
+  let shown = 0;
+  const onProgress = (bytes) => {
+    // Redraw at most every 100 ms
+    if (!tty || Date.now() - shown < 100) return;
+    shown = Date.now();
+    process.stderr.write(`\r  Downloading... ${formatBytes(bytes)}\x1b[K`);
+  };
+
+  try {
+    return await downloadAndExtract(source, { paths, onProgress });
+  } finally {
+    if (shown) process.stderr.write('\r\x1b[K');
+  }
+}
+
+/**
+ * Shorten text to one line of at most max characters.
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function summarize(text, max) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.slice(0, max - 3)}...` : line;
+}
+
+/**
+ * Directory name a skill is published under: its directory in the
+ * repository, or the repository itself for a single-skill repository.
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @param {import('../lib/remote-skill.js').DetectedSkill} skill
+ * @returns {string}
+ */
+function publishedDirName(source, skill) {
+  return skill.relativePath ? skill.relativePath.split('/').pop() : source.repo;
+}
+
+/**
+ * Keep the skills whose repository path or name matches an --include
+ * pattern (if any) and no --exclude pattern.
+ * @param {import('../lib/remote-skill.js').DetectedSkill[]} skills
+ * @param {string[]} include
+ * @param {string[]} exclude
+ * @returns {import('../lib/remote-skill.js').DetectedSkill[]}
+ */
+function filterSkills(skills, include, exclude) {
+  const matches = (skill, pattern) => matchesGlob(pattern, skill.relativePath) || matchesGlob(pattern, skill.name);
+  return skills.filter(skill => (include.length === 0 || include.some(p => matches(skill, p)))
+    && !exclude.some(p => matches(skill, p)));
+}
+
+/**
+ * Collect a repeatable option's values.
+ * @param {string} value
+ * @param {string[]} previous
+ * @returns {string[]}
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Print the errors and warnings of one skill.
+ * @param {import('../lib/validate.js').ValidationResult} result
+ */
+function printValidation(result) {
+  for (const error of result.errors) console.log(`      error: ${error}`);
+  for (const warning of result.warnings) console.log(`      warning: ${warning}`);
+}
+
+// ----------------------------------------------------------------
+// requirements
+// ----------------------------------------------------------------
+
+/**
+ * A skill `add` is about to install, either selected or required by one.
+ * @typedef {{
+ *   name: string,
+ *   skill: import('../lib/remote-skill.js').DetectedSkill,
+ *   source: import('../lib/remote-skill.js').RemoteSource,
+ *   agents: { id: string, skillsDir: string }[],
+ *   requires: string[],
+ *   requiredBy?: string,
+ *   installMode?: string,
+ * }} PlannedInstall
+ *
+ * A downloaded repository, kept until `add` finishes.
+ * @typedef {{
+ *   key: string,
+ *   source: import('../lib/remote-skill.js').RemoteSource,
+ *   repoDir: string,
+ *   detected: import('../lib/remote-skill.js').DetectedSkill[],
+ * }} LoadedRepo
+ *
+ * @typedef {{
+ *   projectDir: string,
+ *   manifest: object,
+ *   lock: import('../lib/lock.js').LockFile,
+ *   repos: LoadedRepo[],
+ *   keepLocked?: boolean,
+ * }} RequirementContext
+ *   keepLocked plans installed requirements too, for commands that replace the
+ *   whole lock
+ */
+
+/**
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @returns {string}
+ */
+function repoKey(source) {
+  return `${formatRepoUri(source)}@${source.commit ?? ''}`;
+}
+
+/**
+ * Get a repository that contains the wanted skills, reusing downloads made
+ * earlier in the same command.
+ * @param {RequirementContext} ctx
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @param {string[]|undefined} paths
+ * @param {(skills: import('../lib/remote-skill.js').DetectedSkill[]) => boolean} wanted
+ * @returns {Promise<LoadedRepo>}
+ */
+async function loadRepo(ctx, source, paths, wanted) {
+  if (!source.commit && !isLocalSource(source)) {
+    const pinned = isOffline() ? pinnedFromLock(ctx.lock, source) : undefined;
+    if (pinned) Object.assign(source, { ref: pinned.ref, refType: pinned.refType, commit: pinned.commit });
+    else await resolveRef(source);
+  }
+
+  const key = repoKey(source);
+  const loaded = ctx.repos.find(r => r.key === key && wanted(r.detected));
+  if (loaded) return loaded;
+
+  const { repoDir, detected } = await fetchSkills(source, paths, wanted);
+  const repo = { key, source, repoDir, detected };
+  ctx.repos.push(repo);
+  return repo;
+}
+
+/**
+ * Check whether a required skill name is already present. Remote skills
+ * missing for some of the requiring skill's agents (or kept, with
+ * keepLocked) are planned for those agents, at the commit in the lock.
+ *
+ * A requirement naming a source (from) is only met by that skill: the same
+ * name from another source is an error, and built-in or unmanaged skills
+ * don't count.
+ * @param {RequirementContext} ctx
+ * @param {PlannedInstall[]} plan
+ * @param {string} name
+ * @param {PlannedInstall} requiredBy
+ * @param {{ spec: string, source: string, path: string }} [from]
+ * @returns {Promise<{ name: string, item?: PlannedInstall }|null>} null if not installed
+ */
+async function findInstalledRequirement(ctx, plan, name, requiredBy, from) {
+  const assertFrom = (source, skillPath, installed) => {
+    if (!from || (source === from.source && skillPath === from.path)) return;
+    throw new Error(`"${requiredBy.name}" requires "${from.spec}", but "${name}" ${installed} from ${source}${skillPath ? ` (${skillPath})` : ''}.`);
+  };
+
+  const planned = plan.find(p => p.name === name);
+  if (planned) {
+    assertFrom(formatRepoUri(planned.source), planned.skill.relativePath, 'is being installed');
+    const more = requiredBy.agents.filter(a => !planned.agents.some(p => p.id === a.id));
+    if (more.length > 0) planned.agents = [...planned.agents, ...more];
+    return { name, item: planned };
+  }
+
+  const info = ctx.lock.skills[name];
+  if (info) {
+    assertFrom(info.source, info.path, 'is installed');
+    const missing = ctx.keepLocked
+      ? requiredBy.agents
+      : requiredBy.agents.filter(a => !ctx.lock.agents[a.id]?.includes(name));
+    if (missing.length === 0) return { name };
+
+    const source = sourceFromLockEntry(info);
+    const repo = await loadRepo(ctx, source, [info.path], skills => !!findLockedSkill(skills, name, info));
+    const skill = findLockedSkill(repo.detected, name, info);
+    if (!skill) {
+      throw new Error(`"${name}" (required by "${requiredBy.name}") is no longer in ${info.source}.`);
+    }
+    const item = { name, skill, source, agents: missing, requires: [], requiredBy: requiredBy.name, installMode: info.installMode };
+    plan.push(item);
+    return { name, item };
+  }
+
+  // Built-in and unmanaged skills satisfy a requirement by name
+  if (from) return null;
+  if (ctx.manifest.agents.some(a => a.installedSkills?.includes(name))) return { name };
+  for (const agent of requiredBy.agents) {
+    if (await skillExistsForAgent(ctx.projectDir, agent.skillsDir, name)) return { name };
+  }
+  return null;
+}
+
+/**
+ * Resolve one `requires` entry of a planned skill: a skill name (installed,
+ * or in the same repository) or a source such as github:org/repo/skill.
+ * @param {RequirementContext} ctx
+ * @param {PlannedInstall[]} plan
+ * @param {PlannedInstall} item
+ * @param {string} spec
+ * @returns {Promise<{ name: string, item?: PlannedInstall }>}
+ */
+async function resolveRequirement(ctx, plan, item, spec) {
+  if (/^[a-z0-9][a-z0-9._-]*$/i.test(spec)) {
+    const installed = await findInstalledRequirement(ctx, plan, spec, item);
+    if (installed) return installed;
+
+    // A local skill directory's neighbours stand in for its repository
+    const source = isLocalSource(item.source) && item.skill.relativePath === ''
+      ? parseRemoteSource(`file:${item.source.localPath}/..`)
+      : { ...item.source };
+    const matches = s => s.name === spec || s.relativePath.split('/').pop() === spec;
+    const repo = await loadRepo(ctx, source, undefined, skills => skills.some(matches));
+    const skill = repo.detected.find(matches);
+    if (!skill) {
+      throw new Error(`"${item.name}" requires "${spec}", which is neither installed nor in ${describeSource(source)}.`);
+    }
+    const dep = { name: skill.name, skill, source: repo.source, agents: item.agents, requires: [], requiredBy: item.name };
+    plan.push(dep);
+    return { name: dep.name, item: dep };
+  }
+
+  let source;
+  try {
+    source = parseRemoteSource(spec);
+  } catch (error) {
+    throw new Error(`Invalid requirement "${spec}" in "${item.name}": ${error.message}`);
+  }
+  const skillPath = source.skillPath;
+  const matches = s => !skillPath || s.relativePath === skillPath || s.name === skillPath;
+
+  // Already installed from there
+  const uri = formatRepoUri(source);
+  const locked = Object.keys(ctx.lock.skills).find(name => {
+    const info = ctx.lock.skills[name];
+    return info.source === uri && (!skillPath || info.path === skillPath || (info.upstreamName ?? name) === skillPath);
+  });
+  if (locked) {
+    return await findInstalledRequirement(ctx, plan, locked, item);
+  }
+
+  const paths = skillPath ? [skillPath, `skills/${skillPath}`] : undefined;
+  const repo = await loadRepo(ctx, source, paths, skills => skills.some(matches));
+  const found = repo.detected.filter(matches);
+  if (found.length !== 1) {
+    throw new Error(found.length === 0
+      ? `"${item.name}" requires "${spec}", which was not found.`
+      : `"${item.name}" requires "${spec}", which has ${found.length} skills. Add the skill's path to the requirement.`);
+  }
+
+  const skill = found[0];
+  const installed = await findInstalledRequirement(ctx, plan, skill.name, item, {
+    spec,
+    source: formatRepoUri(repo.source),
+    path: skill.relativePath,
+  });
+  if (installed) return installed;
+
+  const dep = { name: skill.name, skill, source: repo.source, agents: item.agents, requires: [], requiredBy: item.name };
+  plan.push(dep);
+  return { name: dep.name, item: dep };
+}
+
+/**
+ * Add everything the planned skills require to the plan, transitively, and
+ * record each skill's requirements. Cycles are errors, including ones that
+ * close through skills installed earlier.
+ * @param {RequirementContext} ctx
+ * @param {PlannedInstall[]} plan
+ */
+async function resolveRequirements(ctx, plan) {
+  const done = new Set();
+
+  // Follow the lock's edges from an installed skill back into the stack
+  const cycleThroughLock = (name, stack) => {
+    const seen = new Set();
+    const walk = (current, chain) => {
+      for (const next of ctx.lock.skills[current]?.requires ?? []) {
+        if (stack.includes(next)) return [...chain, next];
+        if (seen.has(next)) continue;
+        seen.add(next);
+        const found = walk(next, [...chain, next]);
+        if (found) return found;
+      }
+      return null;
+    };
+    return walk(name, [...stack, name]);
+  };
+
+  const visit = async (item, stack) => {
+    for (const spec of item.skill.requires ?? []) {
+      const dep = await resolveRequirement(ctx, plan, item, spec);
+      if (!item.requires.includes(dep.name)) item.requires.push(dep.name);
+
+      if (stack.includes(dep.name)) {
+        throw new Error(`Dependency cycle: ${[...stack, dep.name].join(' -> ')}`);
+      }
+      if (dep.item && !done.has(dep.name)) {
+        await visit(dep.item, [...stack, dep.name]);
+      } else if (!dep.item) {
+        const cycle = cycleThroughLock(dep.name, stack);
+        if (cycle) throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+      }
+    }
+    done.add(item.name);
+  };
+
+  for (const item of [...plan]) {
+    if (!done.has(item.name)) await visit(item, [item.name]);
+  }
+}
+
+/**
+ * Check that every planned skill's name can be used as a directory name and
+ * it has no symlinks leaving the skill, printing the problems. This holds
+ * even with --no-validate: names and links come from upstream.
+ * @param {PlannedInstall[]} plan
+ * @returns {Promise<boolean>} whether the plan can be installed
+ */
+async function checkPlan(plan) {
+  const problems = [];
+  for (const item of plan) {
+    if (!isValidSkillName(item.name)) {
+      problems.push(`"${item.name}" (${describeSource(item.source)}) can't be used as a skill directory name`);
+      continue;
+    }
+    try {
+      await assertLinksInside(item.skill.dirPath);
+    } catch (error) {
+      problems.push(`${item.name}: ${error.message}`);
+    }
+  }
+  for (const problem of problems) console.error(`  ${problem}`);
+  return problems.length === 0;
+}
+
+/**
+ * Check that no planned skill's name is already taken in the project (see
+ * findNameOwner) and no two planned skills from different places share it,
+ * printing the conflicts.
+ * Requirements are checked like the skills that pulled them in. Run after
+ * checkPlan, which makes sure the names are usable in paths.
+ * @param {RequirementContext} ctx
+ * @param {PlannedInstall[]} plan
+ * @param {{ replaceLocked?: boolean }} [options] - remote skills in the lock
+ *   may be replaced, as install does to match remote-skills-list.json
+ * @returns {Promise<boolean>} whether the plan can be installed
+ */
+async function checkPlanOwners(ctx, plan, options = {}) {
+  const conflicts = [];
+  for (const [index, item] of plan.entries()) {
+    const entry = { source: formatRepoUri(item.source), path: item.skill.relativePath };
+    const label = item.requiredBy ? `"${item.name}" (required by ${item.requiredBy})` : `"${item.name}"`;
+
+    const twin = plan.slice(0, index).find(p => p.name === item.name);
+    if (twin) {
+      if (formatRepoUri(twin.source) !== entry.source || twin.skill.relativePath !== entry.path) {
+        conflicts.push(`${label} is also planned from ${describeSource(twin.source)}`);
+      }
+      continue;
+    }
+    if (options.replaceLocked && Object.hasOwn(ctx.lock.skills, item.name)) continue;
+
+    const owner = await findNameOwner(ctx.projectDir, ctx.manifest, item.agents, ctx.lock, item.name, entry);
+    if (owner) conflicts.push(`${label} is already taken by the ${owner}`);
+  }
+  for (const conflict of conflicts) console.error(`  ${conflict}`);
+  return conflicts.length === 0;
+}
+
+/**
+ * Validate the SKILL.md of every planned skill, printing errors and warnings.
+ * @param {PlannedInstall[]} plan
+ * @returns {Promise<number>} number of skills with errors
+ */
+async function validatePlan(plan) {
+  let invalid = 0;
+  for (const { skill, source } of plan) {
+    const result = await validateSkill(skill.dirPath, { dirName: publishedDirName(source, skill) });
+    if (result.errors.length === 0 && result.warnings.length === 0) continue;
+    console.log(`  ${result.errors.length > 0 ? 'x' : '!'} ${skill.name} (${skill.relativePath || 'root'})`);
+    printValidation(result);
+    if (result.errors.length > 0) invalid++;
+  }
+  if (invalid > 0) {
+    console.error(`\n  ${invalid} skill(s) failed validation. Fix SKILL.md or pass --no-validate to install anyway.`);
+  }
+  return invalid;
+}
+
 // ----------------------------------------------------------------
 // skill add
 // ----------------------------------------------------------------
@@ -55,6 +815,7 @@ function getAgents(manifest) {
 async function skillAddCommand(source, opts, cmd) {
   const yes = cmd.parent?.opts().yes ?? false;
   const projectDir = process.cwd();
+  if (opts.offline) setOffline();
 
   console.log('\n  AI Factory - Add Remote Skill\n');
 
@@ -75,19 +836,82 @@ async function skillAddCommand(source, opts, cmd) {
     process.exit(1);
   }
 
-  // 2. Download
-  console.log(`  Downloading ${parsed.owner}/${parsed.repo}...`);
+  // Check --agent, the lock and remote-skills-list.json before downloading anything
+  const agentTargets = opts.agent ? await selectAgents(agents, opts.agent) : undefined;
+  const lock = await openLock(projectDir);
+  let skillsFile;
+  try {
+    skillsFile = await loadSkillsFile(projectDir);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (opts.link && opts.store) {
+    console.error('--link and --store cannot be combined.');
+    process.exit(1);
+  }
+  if (opts.as !== undefined) {
+    if (!/^[a-z0-9][a-z0-9._-]*$/i.test(opts.as)) {
+      console.error(`Invalid alias "${opts.as}". Use letters, digits, ".", "_" and "-".`);
+      process.exit(1);
+    }
+    if (opts.link) {
+      console.error('--as cannot be used with --link: a linked skill keeps its own name.');
+      process.exit(1);
+    }
+  }
+  const installMode = opts.link ? 'link' : opts.store ? 'store' : 'copy';
+  if (installMode === 'link' && !isLocalSource(parsed)) {
+    console.error('--link is only supported for local directory sources.');
+    process.exit(1);
+  }
+
+  // 2. Resolve the commit to pin, then download exactly that commit
+  console.log(`  ${isLocalSource(parsed) ? 'Reading' : 'Downloading'} ${describeSource(parsed)}...`);
   let repoDir;
+  let allDetected;
+  // What to write to remote-skills-list.json: the ref or range as given, not what it resolved to
+  const requested = { ref: parsed.ref || undefined, range: parsed.range };
   try {
-    repoDir = await downloadAndExtract(parsed);
+    // Offline, reuse the commit this project already installed the ref at
+    const pinned = isOffline() && !isLocalSource(parsed) ? pinnedFromLock(lock, parsed) : undefined;
+    if (pinned) {
+      Object.assign(parsed, { ref: pinned.ref, refType: pinned.refType, commit: pinned.commit });
+      console.log(`  Offline: using ${parsed.ref} @ ${shortCommit(parsed.commit)} from the lock file`);
+    } else {
+      await resolveRef(parsed);
+    }
+    if (parsed.range) {
+      console.log(`  Resolved ${parsed.range} -> ${parsed.ref}`);
+    }
+    // Only the requested skill is extracted when a path was given
+    const paths = parsed.skillPath ? [parsed.skillPath, `skills/${parsed.skillPath}`] : undefined;
+    ({ repoDir, detected: allDetected } = await fetchSkills(parsed, paths, skills => skills.some(
+      s => s.relativePath === parsed.skillPath || s.name === parsed.skillPath,
+    )));
   } catch (error) {
     console.error(error.message);
     process.exit(1);
   }
+  // Requirements may download more repositories; all are cleaned up at the end
+  /** @type {LoadedRepo[]} */
+  const repos = [{ key: repoKey(parsed), source: parsed, repoDir, detected: allDetected }];
 
   try {
-    // 3. Detect skills
-    const allDetected = await detectSkills(repoDir);
+    // 3. Apply --include/--exclude to the detected skills
+    if (opts.include.length > 0 || opts.exclude.length > 0) {
+      const kept = filterSkills(allDetected, opts.include, opts.exclude);
+      if (kept.length === 0) {
+        console.error('No skills match --include/--exclude. Available skills:');
+        for (const s of allDetected) {
+          console.error(`  - ${s.name} (${s.relativePath || 'root'})`);
+        }
+        process.exitCode = 1;
+        return;
+      }
+      allDetected = kept;
+    }
 
     // 4. Filter by skillPath if specified
     let selectedSkills;
@@ -102,7 +926,8 @@ async function skillAddCommand(source, opts, cmd) {
         for (const s of allDetected) {
           console.log(`  - ${s.name} (${s.relativePath || 'root'})`);
         }
-        process.exit(1);
+        process.exitCode = 1;
+        return;
       }
       selectedSkills = [match];
     } else if (allDetected.length === 1) {
@@ -118,7 +943,7 @@ async function skillAddCommand(source, opts, cmd) {
 
       const chosen = await selectMultiple(
         allDetected.map(s => ({
-          label: `${s.name}${s.description ? ` -- ${s.description}` : ''}`,
+          label: `${s.name}${s.tags?.length ? ` [${s.tags.join(', ')}]` : ''}${s.description ? ` -- ${summarize(s.description, 80)}` : ''}`,
           value: s.name,
         })),
         'Select skills to install',
@@ -132,36 +957,381 @@ async function skillAddCommand(source, opts, cmd) {
       return;
     }
 
-    // 5. Resolve commit hash for versioning
-    const version = await resolveCommitHash(parsed);
+    if (opts.as && selectedSkills.length > 1) {
+      console.error(`--as renames a single skill, but ${selectedSkills.length} were selected.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // 5. Choose the agents to install for
+    const targets = agentTargets ?? await selectAgents(agents, undefined, { yes, message: 'Install for which agents?' });
+    if (targets.length === 0) {
+      console.log('No agents selected.');
+      return;
+    }
 
-    // 6. Load lock file
-    const lock = await loadLock(projectDir);
-    const agentIds = agents.map(a => a.id);
+    // 6. Make sure no name is taken by something else
+    // Projects without remote-skills-list.json start one listing what's installed
+    skillsFile ??= skillsFileFromLock(lock, agents.map(a => a.id));
 
-    // 7. Install for each agent
-    console.log('');
+    const conflicts = [];
     for (const skill of selectedSkills) {
-      for (const agent of agents) {
-        await installSkillForAgent(projectDir, agent.skillsDir, skill.name, skill.dirPath);
+      const name = opts.as ?? skill.name;
+      // Checked before the name is used in any path
+      if (!isValidSkillName(name)) {
+        conflicts.push(`"${name}" can't be used as a skill directory name`);
+        continue;
       }
-
-      addSkillToLock(lock, skill.name, {
-        source: `github:${parsed.owner}/${parsed.repo}`,
-        sourceType: 'github',
-        ref: parsed.ref,
+      const owner = await findNameOwner(projectDir, manifest, targets, lock, name, {
+        source: formatRepoUri(parsed),
         path: skill.relativePath,
-      }, agentIds);
+      });
+      if (owner) conflicts.push(`"${name}" is already taken by the ${owner}`);
+    }
+    if (conflicts.length > 0) {
+      for (const conflict of conflicts) console.error(`  ${conflict}`);
+      console.error('\nInstall under another name with --as <alias>.');
+      process.exitCode = 1;
+      return;
+    }
 
-      const agentNames = agents.map(a => a.id).join(', ');
-      console.log(`  + ${skill.name} [${agentNames}]`);
+    // 7. Add the skills they require, transitively
+    /** @type {PlannedInstall[]} */
+    const plan = selectedSkills.map(skill => ({
+      name: opts.as ?? skill.name,
+      skill,
+      source: parsed,
+      agents: targets,
+      requires: [],
+    }));
+    /** @type {RequirementContext} */
+    const ctx = { projectDir, manifest, lock, repos };
+    try {
+      await resolveRequirements(ctx, plan);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+      return;
     }
 
-    // 8. Save lock
-    await saveLock(projectDir, lock);
-    console.log(`\n  Done. ${selectedSkills.length} skill(s) installed.\n`);
+    // 8. Check SKILL.md: warnings are shown, errors stop the install
+    if (!await checkPlan(plan) || !await checkPlanOwners(ctx, plan)
+      || (opts.validate && await validatePlan(plan) > 0)) {
+      process.exitCode = 1;
+      return;
+    }
+
+    // 9. Install for each agent
+    console.log('');
+    for (const item of plan) {
+      const { name, skill, source } = item;
+      const mode = item.installMode ?? (isLocalSource(source) || installMode !== 'link' ? installMode : 'copy');
+      const agentIds = item.agents.map(a => a.id);
+
+      const entry = {
+        source: formatRepoUri(source),
+        sourceType: source.host,
+        ref: source.ref,
+        refType: source.refType,
+        range: source.range,
+        commit: source.commit,
+        path: skill.relativePath,
+        upstreamName: name !== skill.name ? skill.name : undefined,
+        installMode: mode,
+        integrity: await treeIntegrity(source, skill),
+        hash: await installForAgents(projectDir, item.agents, name, skill, mode),
+        requires: item.requires,
+      };
+      addSkillToLock(lock, name, entry, agentIds);
+      for (const agent of item.agents) recordSkillsDir(lock, agent);
+
+      const alias = entry.upstreamName ? ` (as ${name})` : '';
+      const reason = item.requiredBy ? ` (required by ${item.requiredBy})` : '';
+      console.log(`  + ${skill.name}${alias} @ ${versionLabel(entry)} [${agentIds.join(', ')}]${reason}`);
+    }
+
+    // 10. Save lock, and list the selected skills in remote-skills-list.json
+    await saveLock(projectDir, lock);
+    for (const item of plan.filter(p => !p.requiredBy)) {
+      const agentIds = getAgentsForSkill(lock, item.name);
+      addToSkillsFile(skillsFile, {
+        source: formatRepoUri(parsed),
+        ref: requested.ref,
+        range: requested.range,
+        name: item.skill.name,
+        installedName: item.name,
+        agents: agents.every(a => agentIds.includes(a.id)) ? undefined : agentIds,
+        mode: installMode,
+      });
+    }
+    await saveSkillsFile(projectDir, skillsFile);
+    console.log(`\n  Done. ${plan.length} skill(s) installed.\n`);
   } finally {
-    await cleanupTemp(repoDir);
+    for (const repo of repos) await cleanupTemp(repo.repoDir);
+  }
+}
+
+// ----------------------------------------------------------------
+// skill install
+// ----------------------------------------------------------------
+
+/**
+ * Check whether a lock entry was installed from the ref or range a
+ * remote-skills-list.json entry asks for. No ref means the default branch.
+ * @param {import('../lib/lock.js').LockFile['skills'][string]} info
+ * @param {import('../lib/skills-file.js').SkillsFileEntry} entry
+ * @returns {boolean}
+ */
+function matchesRequestedRef(info, entry) {
+  if (entry.range) return info.range === entry.range;
+  if (info.range) return false;
+  if (entry.ref) {
+    return info.ref === entry.ref || (info.refType === 'commit' && !!info.commit?.startsWith(entry.ref.toLowerCase()));
+  }
+  return !info.refType || info.refType === 'branch';
+}
+
+/**
+ * Turn a remote-skills-list.json entry into planned installs. The commit in the
+ * lock is kept while the entry's ref or range is unchanged; otherwise the
+ * ref is resolved again.
+ * @param {RequirementContext} ctx
+ * @param {import('../lib/skills-file.js').SkillsFileEntry} entry
+ * @param {{ id: string, skillsDir: string }[]} agents - configured agents
+ * @returns {Promise<PlannedInstall[]>}
+ */
+async function planSkillsFileEntry(ctx, entry, agents) {
+  const targets = (entry.agents ?? agents.map(a => a.id)).map((id) => {
+    const agent = agents.find(a => a.id === id);
+    if (!agent) throw new Error(`unknown agent "${id}". Configured agents: ${agents.map(a => a.id).join(', ')}`);
+    return agent;
+  });
+
+  // Set ref and range on the parsed source: how they are spelled in a URI depends on the host
+  const source = parseRemoteSource(entry.source);
+  if (entry.range) {
+    if (!validRange(entry.range)) throw new Error(`invalid semver range "${entry.range}".`);
+    Object.assign(source, { range: entry.range, ref: '' });
+  } else if (entry.ref) {
+    Object.assign(source, { range: undefined, ref: entry.ref });
+  }
+  const mode = entry.mode ?? 'copy';
+  if (mode === 'link' && !isLocalSource(source)) {
+    throw new Error('"mode": "link" is only supported for local directory sources.');
+  }
+
+  const uri = formatRepoUri(source);
+  const locked = Object.values(ctx.lock.skills).find(info => info.source === uri && info.commit && matchesRequestedRef(info, entry));
+  if (locked) {
+    Object.assign(source, { ref: locked.ref, refType: locked.refType, commit: locked.commit });
+  }
+
+  const listed = entry.skills?.map(skillsFileName)
+    ?? (source.skillPath ? [{ name: source.skillPath, installedName: undefined }] : undefined);
+  const matches = (skill, name) => skill.name === name || skill.relativePath === name;
+  const paths = listed?.flatMap(l => [l.name, `skills/${l.name}`]);
+  const repo = await loadRepo(ctx, source, paths, skills => !listed || listed.every(l => skills.some(s => matches(s, l.name))));
+
+  const selected = listed
+    ? listed.map((l) => {
+      const skill = repo.detected.find(s => matches(s, l.name));
+      if (!skill) throw new Error(`skill "${l.name}" not found in ${describeSource(repo.source)}.`);
+      return { skill, name: l.installedName ?? skill.name };
+    })
+    : repo.detected.map(skill => ({ skill, name: skill.name }));
+
+  return selected.map(({ skill, name }) => ({
+    name,
+    skill,
+    source: repo.source,
+    agents: targets,
+    requires: [],
+    installMode: mode,
+  }));
+}
+
+async function skillInstallCommand(opts, cmd) {
+  const yes = cmd.parent?.opts().yes ?? false;
+  const projectDir = process.cwd();
+  if (opts.offline) setOffline();
+
+  console.log('\n  AI Factory - Install Remote Skills\n');
+
+  const manifest = await loadManifest(projectDir);
+  const agents = getAgents(manifest);
+  if (agents.length === 0) {
+    console.error('Error: No .ai-factory.json found or no agents configured.');
+    console.error('Run "ai-factory init" first.');
+    process.exit(1);
+  }
+
+  const lock = await openLock(projectDir);
+  let skillsFile;
+  try {
+    skillsFile = await loadSkillsFile(projectDir);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  if (!skillsFile) {
+    skillsFile = skillsFileFromLock(lock, agents.map(a => a.id));
+    if (skillsFile.skills.length === 0) {
+      console.log('  Nothing to install: no remote-skills-list.json and no skills in the lock file.\n');
+      return;
+    }
+    await saveSkillsFile(projectDir, skillsFile);
+    console.log('  Created remote-skills-list.json from the lock file.\n');
+  }
+
+  /** @type {RequirementContext} */
+  const ctx = { projectDir, manifest, lock, repos: [], keepLocked: true };
+  try {
+    // 1. Resolve every entry to the skills it lists
+    /** @type {PlannedInstall[]} */
+    const plan = [];
+    const missing = [];
+    for (const [index, entry] of skillsFile.skills.entries()) {
+      try {
+        for (const item of await planSkillsFileEntry(ctx, entry, agents)) {
+          if (plan.some(p => p.name === item.name)) {
+            throw new Error(`"${item.name}" is listed more than once; install one of them with "as".`);
+          }
+          plan.push(item);
+        }
+      } catch (error) {
+        if (error.missing) {
+          missing.push(error.missing);
+          continue;
+        }
+        console.error(`remote-skills-list.json entry ${index + 1} (${entry.source}): ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+    if (missing.length > 0) {
+      reportMissing(missing);
+      return;
+    }
+
+    // 2. Add the skills they require
+    try {
+      await resolveRequirements(ctx, plan);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    // 3. Check SKILL.md and names like add does
+    if (!await checkPlan(plan) || !await checkPlanOwners(ctx, plan, { replaceLocked: true })
+      || (opts.validate && await validatePlan(plan) > 0)) {
+      process.exitCode = 1;
+      return;
+    }
+
+    // 4. Install new, changed and missing skills
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0, skipped: 0 };
+    const skillsDirOf = agentId => lock.skillsDirs[agentId] ?? agents.find(a => a.id === agentId)?.skillsDir;
+
+    for (const item of plan) {
+      const { name, skill, source } = item;
+      const mode = item.installMode ?? 'copy';
+      const info = lock.skills[name];
+      const current = info && info.source === formatRepoUri(source) && info.path === skill.relativePath
+        && info.commit === source.commit && (info.installMode ?? 'copy') === mode
+        && (info.upstreamName ?? name) === skill.name;
+
+      // Agents the skill is no longer listed for
+      for (const agentId of getAgentsForSkill(lock, name)) {
+        if (item.agents.some(a => a.id === agentId)) continue;
+        const skillsDir = skillsDirOf(agentId);
+        if (skillsDir) await removeSkillForAgent(projectDir, skillsDir, name);
+        removeSkillFromAgents(lock, name, [agentId]);
+        console.log(`  - ${name} [${agentId}]`);
+      }
+
+      let installTo = item.agents;
+      if (current) {
+        installTo = [];
+        for (const agent of item.agents) {
+          if (!lock.agents[agent.id]?.includes(name)
+            || await getSkillState(projectDir, agent.skillsDir, name, info) === 'missing') {
+            installTo.push(agent);
+          }
+        }
+      } else if (info) {
+        const installed = item.agents.filter(a => lock.agents[a.id]?.includes(name));
+        if (!await protectLocalEdits(projectDir, installed, name, info, { force: opts.force, yes })) {
+          counts.skipped++;
+          continue;
+        }
+      }
+
+      // Reinstalling the locked commit: it must still be the tree that was recorded
+      const mismatch = current && installTo.length > 0 ? await checkIntegrity(name, skill, info) : null;
+      if (mismatch) {
+        console.error(`  x ${mismatch}`);
+        process.exitCode = 1;
+        counts.skipped++;
+        continue;
+      }
+
+      if (installTo.length === 0) {
+        lock.skills[name].requires = item.requires.length > 0 ? item.requires : undefined;
+        counts.unchanged++;
+        continue;
+      }
+
+      const entry = {
+        source: formatRepoUri(source),
+        sourceType: source.host,
+        ref: source.ref,
+        refType: source.refType,
+        range: source.range,
+        commit: source.commit,
+        path: skill.relativePath,
+        upstreamName: name !== skill.name ? skill.name : undefined,
+        installMode: mode,
+        integrity: await treeIntegrity(source, skill),
+        hash: await installForAgents(projectDir, installTo, name, skill, mode),
+        requires: item.requires,
+      };
+      addSkillToLock(lock, name, entry, installTo.map(a => a.id));
+      for (const agent of installTo) recordSkillsDir(lock, agent);
+      if (info?.installMode === 'store' && mode !== 'store') {
+        await removeSkillFromStore(projectDir, name);
+      }
+
+      const agentLabel = `[${installTo.map(a => a.id).join(', ')}]`;
+      if (info && !current) {
+        console.log(`  ~ ${name} ${versionLabel(info)} -> ${versionLabel(entry)} ${agentLabel}`);
+        counts.updated++;
+      } else {
+        console.log(`  + ${name} @ ${versionLabel(entry)} ${agentLabel}`);
+        counts.added++;
+      }
+    }
+
+    // 5. Remove skills that aren't listed or required anymore
+    for (const name of getAllSkillNames(lock)) {
+      if (plan.some(p => p.name === name)) continue;
+      const { installMode } = lock.skills[name];
+      for (const agentId of getAgentsForSkill(lock, name)) {
+        const skillsDir = skillsDirOf(agentId);
+        if (skillsDir) await removeSkillForAgent(projectDir, skillsDir, name);
+      }
+      removeSkillFromLock(lock, name);
+      if (installMode === 'store') await removeSkillFromStore(projectDir, name);
+      console.log(`  - ${name}`);
+      counts.removed++;
+    }
+
+    await saveLock(projectDir, lock);
+
+    const summary = Object.entries(counts).filter(([, n]) => n > 0).map(([what, n]) => `${n} ${what}`);
+    console.log(`\n  Done. ${summary.join(', ') || 'Nothing to install'}.\n`);
+  } finally {
+    for (const repo of ctx.repos) await cleanupTemp(repo.repoDir);
   }
 }
 
@@ -182,7 +1352,7 @@ async function skillRemoveCommand(name, opts, cmd) {
     process.exit(1);
   }
 
-  const lock = await loadLock(projectDir);
+  const lock = await openLock(projectDir);
   const allNames = getAllSkillNames(lock);
 
   if (allNames.length === 0) {
@@ -190,11 +1360,19 @@ async function skillRemoveCommand(name, opts, cmd) {
     return;
   }
 
+  let skillsFile;
+  try {
+    skillsFile = await loadSkillsFile(projectDir) ?? skillsFileFromLock(lock, agents.map(a => a.id));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   // Determine which skills to remove
   let skillsToRemove;
 
   if (name) {
-    if (!lock.skills[name]) {
+    if (!isValidSkillName(name) || !Object.hasOwn(lock.skills, name)) {
       console.error(`Remote skill "${name}" not found.`);
       return;
     }
@@ -218,11 +1396,48 @@ async function skillRemoveCommand(name, opts, cmd) {
     skillsToRemove = chosen;
   }
 
-  // Remove selected skills from all agents
+  // Remove selected skills from the chosen agents (all by default)
+  const targets = await selectAgents(agents, opts.agent);
   const affectedAgents = new Set();
 
+  // Skills other installed skills require are kept unless confirmed or --force
+  const required = [];
+  for (const skillName of [...skillsToRemove]) {
+    const dependents = getDependents(lock, skillName).filter(dependent => !skillsToRemove.includes(dependent)
+      && targets.some(a => lock.agents[a.id]?.includes(dependent)));
+    if (dependents.length === 0 || opts.force) continue;
+
+    const message = `"${skillName}" is required by ${dependents.join(', ')}`;
+    if (yes) {
+      required.push(message);
+    } else if (!await confirm(`${message}. Remove it anyway?`, false)) {
+      skillsToRemove = skillsToRemove.filter(n => n !== skillName);
+    }
+  }
+  if (required.length > 0) {
+    for (const message of required) console.error(`  ${message}`);
+    console.error('\nRemove the skills that require it first, or pass --force.');
+    process.exit(1);
+  }
+  if (skillsToRemove.length === 0) return;
+
+  const removedRequires = new Map();
   for (const skillName of skillsToRemove) {
-    for (const agent of agents) {
+    const { installMode, requires, source } = lock.skills[skillName];
+    removedRequires.set(skillName, requires);
+
+    // Entries that list a whole source keep the other skills installed from it
+    const siblings = Object.keys(lock.skills)
+      .filter(n => n !== skillName && lock.skills[n].source === source)
+      .map(n => (lock.skills[n].upstreamName ? { name: lock.skills[n].upstreamName, as: n } : n));
+    removeFromSkillsFile(skillsFile, skillName, {
+      source,
+      siblings,
+      agents: opts.agent ? targets.map(a => a.id) : undefined,
+      allAgentIds: agents.map(a => a.id),
+    });
+
+    for (const agent of targets) {
       // Check if this agent had the skill
       if (lock.agents[agent.id]?.includes(skillName)) {
         await removeSkillForAgent(projectDir, agent.skillsDir, skillName);
@@ -230,10 +1445,38 @@ async function skillRemoveCommand(name, opts, cmd) {
         console.log(`  - Removed "${skillName}" from ${agent.id}`);
       }
     }
-    removeSkillFromLock(lock, skillName);
+    if (opts.agent) {
+      const remaining = getAgentsForSkill(lock, skillName).filter(id => !targets.some(a => a.id === id));
+      if (removeSkillFromAgents(lock, skillName, targets.map(a => a.id))) {
+        console.log(`  - "${skillName}" is no longer installed for any agent`);
+      } else {
+        console.log(`    "${skillName}" stays installed for ${remaining.join(', ')}`);
+      }
+    } else {
+      removeSkillFromLock(lock, skillName);
+    }
+
+    // The shared copy goes once no agent links to it
+    if (installMode === 'store' && !lock.skills[skillName]) {
+      await removeSkillFromStore(projectDir, skillName);
+    }
+  }
+
+  // Requirements are left installed, but say when nothing needs them anymore
+  const unneeded = new Set();
+  for (const skillName of skillsToRemove) {
+    for (const requirement of removedRequires.get(skillName) ?? []) {
+      if (lock.skills[requirement] && !skillsToRemove.includes(requirement) && getDependents(lock, requirement).length === 0) {
+        unneeded.add(requirement);
+      }
+    }
+  }
+  for (const requirement of unneeded) {
+    console.log(`    "${requirement}" is no longer required by any skill`);
   }
 
   await saveLock(projectDir, lock);
+  await saveSkillsFile(projectDir, skillsFile);
 
   const skillLabel = skillsToRemove.length === 1 ? `"${skillsToRemove[0]}"` : `${skillsToRemove.length} skill(s)`;
   const agentLabel = affectedAgents.size === 1 ? '1 agent' : `${affectedAgents.size} agents`;
@@ -250,7 +1493,7 @@ async function skillListCommand() {
   const manifest = await loadManifest(projectDir);
   const agents = getAgents(manifest);
 
-  const lock = await loadLock(projectDir);
+  const lock = await openLock(projectDir);
   const allNames = getAllSkillNames(lock);
 
   if (allNames.length === 0) {
@@ -263,17 +1506,49 @@ async function skillListCommand() {
   for (const name of allNames) {
     const info = lock.skills[name];
     const age = timeSince(info.installedAt);
-    const skillAgents = [];
-    for (const [agentId, skills] of Object.entries(lock.agents)) {
-      if (skills.includes(name)) skillAgents.push(agentId);
-    }
+    const skillAgents = getAgentsForSkill(lock, name);
 
     console.log(`  ${name}`);
-    console.log(`    Source:  ${info.source}${info.ref ? `#${info.ref}` : ''}`);
+    if (info.range) {
+      console.log(`    Source:  ${info.source}@${info.range} (${info.ref})`);
+    } else {
+      const refType = info.refType && info.refType !== 'branch' ? ` (${info.refType})` : '';
+      console.log(`    Source:  ${info.source}${info.ref ? `#${info.ref}` : ''}${refType}`);
+    }
+    console.log(`    Version: ${versionLabel(info)}`);
+    if (info.upstreamName) {
+      console.log(`    Alias:   for ${info.upstreamName}`);
+    }
+    if (info.installMode === 'store') {
+      console.log(`    Store:   ${join(STORE_DIR, name)}`);
+    }
+    if (info.requires) {
+      console.log(`    Requires: ${info.requires.join(', ')}`);
+    }
     console.log(`    Agents:  ${skillAgents.join(', ') || 'none'}`);
     console.log(`    Added:   ${age}`);
     console.log('');
   }
+
+  // Skill x agent matrix: configured agents first, then agents only the lock knows
+  const agentIds = [...new Set([...agents.map(a => a.id), ...Object.keys(lock.agents)])];
+  const rows = [];
+  for (const name of allNames) {
+    const row = [name];
+    for (const agentId of agentIds) {
+      const agent = agents.find(a => a.id === agentId);
+      if (!lock.agents[agentId]?.includes(name)) {
+        row.push('-');
+      } else if (!agent) {
+        row.push('not configured');
+      } else {
+        row.push(await skillExistsForAgent(projectDir, agent.skillsDir, name) ? 'yes' : 'missing');
+      }
+    }
+    rows.push(row);
+  }
+  printTable(['Skill', ...agentIds], rows);
+  console.log('');
 }
 
 function timeSince(isoDate) {
@@ -287,151 +1562,706 @@ function timeSince(isoDate) {
 }
 
 // ----------------------------------------------------------------
-// skill update
+// skill update
+// ----------------------------------------------------------------
+
+/**
+ * Decide which skills of a source group need updating and resolve the commit to move to.
+ * Prints a status line for every skill that stays where it is.
+ * Mutates source to point at the target commit.
+ *
+ * @param {{ ref: string, refType: string, range?: string, skills: string[] }} group
+ * @param {import('../lib/remote-skill.js').RemoteSource} source
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @param {{ latest?: boolean }} opts
+ * @returns {Promise<{ pending: string[], range?: string }>}
+ */
+async function planGroupUpdate(group, source, lock, opts) {
+  // Local directories aren't versioned -- always re-copy from disk
+  if (isLocalSource(source)) {
+    return { pending: group.skills };
+  }
+
+  // Ranged installs move to the highest matching tag, or the highest tag overall with --latest
+  if (group.range) {
+    source.ref = '';
+    source.range = opts.latest ? '*' : group.range;
+  }
+
+  // Offline, upstream can't be checked -- keep everything where it is
+  if (isOffline()) {
+    for (const skillName of group.skills) {
+      console.log(`  = ${skillName} kept at ${shortCommit(lock.skills[skillName].commit)} (offline)`);
+    }
+    return { pending: [] };
+  }
+
+  // Commit installs are immutable -- nothing to update
+  if (group.refType === 'commit') {
+    for (const skillName of group.skills) {
+      console.log(`  = ${skillName} pinned to commit ${shortCommit(lock.skills[skillName].commit)}`);
+    }
+    return { pending: [] };
+  }
+
+  // Resolve the current commit of the ref and skip sources that haven't moved
+  await resolveRef(source);
+
+  // --latest widens the recorded range to the new major version
+  const range = group.range && opts.latest ? `^${parseVersion(source.ref).version}` : group.range;
+
+  // Tags are expected to be immutable: report a moved tag instead of following it
+  if (group.refType === 'tag' && !group.range) {
+    for (const skillName of group.skills) {
+      const recorded = lock.skills[skillName].commit;
+      if (recorded && recorded !== source.commit) {
+        console.log(
+          `  ! ${skillName}: tag ${group.ref} moved upstream ${shortCommit(recorded)} -> ${shortCommit(source.commit)}, ` +
+          're-add the skill to accept it',
+        );
+      } else {
+        console.log(`  = ${skillName} pinned to tag ${group.ref}`);
+      }
+    }
+    return { pending: [] };
+  }
+
+  const pending = group.skills.filter(n => lock.skills[n].commit !== source.commit);
+  for (const skillName of group.skills) {
+    if (!pending.includes(skillName)) {
+      if (range) lock.skills[skillName].range = range;
+      console.log(`  = ${skillName} already at ${group.range ? source.ref : shortCommit(source.commit)}`);
+    }
+  }
+  return { pending, range };
+}
+
+/**
+ * Print what an update would change in each agent's installed copy of a skill:
+ * added, removed and modified files, plus a unified diff for text files.
+ * Agents whose copies would change identically are listed together.
+ *
+ * @param {string} projectDir
+ * @param {{ id: string, skillsDir: string }[]} agents - agents that have the skill installed
+ * @param {string} skillName
+ * @param {string} newDir - incoming skill directory
+ */
+async function printSkillDiff(projectDir, agents, skillName, newDir) {
+  /** @type {Map<string, string[]>} preview text -> agent ids */
+  const previews = new Map();
+
+  for (const agent of agents) {
+    const installedDir = resolve(projectDir, agent.skillsDir, skillName);
+    const { added, removed, modified } = await diffDirectories(installedDir, newDir);
+
+    let preview = '';
+    for (const file of added) preview += `      A ${file}\n`;
+    for (const file of removed) preview += `      D ${file}\n`;
+    for (const file of modified) preview += `      M ${file}\n`;
+
+    for (const file of modified) {
+      const [before, after] = await Promise.all([
+        readEntry(join(installedDir, file)),
+        readEntry(join(newDir, file)),
+      ]);
+      if (!isTextBuffer(before) || !isTextBuffer(after)) continue;
+      const diff = unifiedDiff(before.toString('utf-8'), after.toString('utf-8'), `a/${file}`, `b/${file}`);
+      preview += `\n${diff.replace(/^/gm, '      ').trimEnd()}\n`;
+    }
+
+    if (!previews.has(preview)) previews.set(preview, []);
+    previews.get(preview).push(agent.id);
+  }
+
+  for (const [preview, agentIds] of previews) {
+    console.log(`    [${agentIds.join(', ')}]`);
+    console.log(preview ? preview.trimEnd() : '      (no file changes)');
+  }
+}
+
+/**
+ * Make remote-skills-list.json ask for the ref or range `skill update` moved
+ * listed skills to, so the next `skill install` doesn't move them back.
+ * An entry whose skills all moved the same way is changed in place; other
+ * skills move to an entry of their own.
+ *
+ * @param {import('../lib/skills-file.js').SkillsFile} skillsFile
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @param {Map<string, import('../lib/lock.js').LockFile['skills'][string]>} before - lock entries of the updated skills as they were
+ * @param {{ id: string }[]} agents - configured agents
+ * @returns {boolean} whether the file changed
+ */
+function followUpdatedVersions(skillsFile, lock, before, agents) {
+  // The form remote-skills-list.json asks for a version in, as skillsFileFromLock writes it
+  const requested = info => ({ ref: info.range ? undefined : info.ref, range: info.range });
+  const sameRequest = (a, b) => a.ref === b.ref && a.range === b.range;
+  const coveredBy = entry => Object.keys(lock.skills).filter((n) => {
+    const info = before.get(n) ?? lock.skills[n];
+    return info.source === entry.source && matchesRequestedRef(info, entry)
+      && (!entry.skills || entry.skills.some(s => skillsFileName(s).installedName === n));
+  });
+
+  const moved = [...before.keys()].filter(n => lock.skills[n]
+    && !sameRequest(requested(before.get(n)), requested(lock.skills[n]))
+    && skillsFile.skills.some(entry => coveredBy(entry).includes(n)));
+  if (moved.length === 0) return false;
+
+  const remaining = new Set(moved);
+  for (const entry of skillsFile.skills) {
+    const covered = coveredBy(entry);
+    const target = covered.length > 0 && requested(lock.skills[covered[0]]);
+    if (!target || !covered.every(n => remaining.has(n) && sameRequest(requested(lock.skills[n]), target))) continue;
+    entry.ref = target.ref;
+    entry.range = target.range;
+    for (const n of covered) remaining.delete(n);
+  }
+
+  for (const name of remaining) {
+    const info = lock.skills[name];
+    const siblings = Object.keys(lock.skills)
+      .filter(n => n !== name && lock.skills[n].source === info.source)
+      .map(n => (lock.skills[n].upstreamName ? { name: lock.skills[n].upstreamName, as: n } : n));
+    removeFromSkillsFile(skillsFile, name, { source: info.source, siblings, allAgentIds: agents.map(a => a.id) });
+    const agentIds = getAgentsForSkill(lock, name);
+    addToSkillsFile(skillsFile, {
+      source: info.source,
+      ...requested(info),
+      name: info.upstreamName ?? name,
+      installedName: name,
+      agents: agents.every(a => agentIds.includes(a.id)) ? undefined : agentIds,
+      mode: info.installMode,
+    });
+  }
+  return true;
+}
+
+async function skillUpdateCommand(name, opts, cmd) {
+  const yes = cmd.parent?.opts().yes ?? false;
+  const projectDir = process.cwd();
+  if (opts.offline) setOffline();
+
+  console.log(`\n  AI Factory - Update Remote Skills${opts.dryRun ? ' (dry run)' : ''}\n`);
+
+  const manifest = await loadManifest(projectDir);
+  const agents = getAgents(manifest);
+  if (agents.length === 0) {
+    console.error('Error: No .ai-factory.json found or no agents configured.');
+    process.exit(1);
+  }
+
+  const lock = await openLock(projectDir);
+  let allNames = getAllSkillNames(lock);
+
+  if (allNames.length === 0) {
+    console.log('No remote skills installed.');
+    return;
+  }
+
+  let skillsFile;
+  try {
+    skillsFile = await loadSkillsFile(projectDir);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Filter by name if specified
+  if (name) {
+    if (!isValidSkillName(name) || !Object.hasOwn(lock.skills, name)) {
+      console.error(`Remote skill "${name}" not found.`);
+      return;
+    }
+    allNames = [name];
+  } else if (allNames.length > 1 && !yes) {
+    // Ask: update all or select
+    const mode = await selectOne(
+      [
+        { label: 'All remote skills', value: 'all' },
+        { label: 'Select skills to update', value: 'select' },
+      ],
+      'What would you like to update?',
+    );
+
+    if (mode === 'select') {
+      const chosen = await selectMultiple(
+        allNames.map(n => {
+          const info = lock.skills[n];
+          const source = info ? ` (${info.source})` : '';
+          return { label: `${n}${source}`, value: n };
+        }),
+        'Select skills to update',
+      );
+      if (chosen.length === 0) return;
+      allNames = chosen;
+    }
+  }
+
+  // Group skills by source+ref for efficient downloading
+  const sourceGroups = new Map();
+  const before = new Map(allNames.filter(n => lock.skills[n]).map(n => [n, { ...lock.skills[n] }]));
+
+  for (const skillName of allNames) {
+    const info = lock.skills[skillName];
+    if (!info) continue;
+    const key = info.range ? `${info.source}@${info.range}` : `${info.source}#${info.ref}`;
+    if (!sourceGroups.has(key)) {
+      const parsed = sourceFromLockEntry(info);
+      sourceGroups.set(key, {
+        source: info.source,
+        ref: info.ref,
+        refType: parsed.refType,
+        range: info.range,
+        parsed,
+        skills: [],
+      });
+    }
+    sourceGroups.get(key).skills.push(skillName);
+  }
+
+  let updatedCount = 0;
+  const missing = [];
+
+  console.log('');
+
+  for (const [, group] of sourceGroups) {
+    const source = { ...group.parsed, commit: undefined };
+
+    let plan;
+    try {
+      plan = await planGroupUpdate(group, source, lock, opts);
+    } catch (error) {
+      console.error(`  ${error.message}`);
+      process.exitCode = 1;
+      continue;
+    }
+
+    const { pending, range } = plan;
+    if (pending.length === 0) continue;
+
+    // Download repo
+    console.log(`  ${isLocalSource(source) ? 'Reading' : 'Downloading'} ${describeSource(source)}...`);
+    let repoDir;
+    let allDetected;
+    try {
+      ({ repoDir, detected: allDetected } = await fetchSkills(
+        source,
+        pending.map(n => lock.skills[n].path ?? ''),
+        skills => pending.every(n => findLockedSkill(skills, n, lock.skills[n])),
+      ));
+    } catch (error) {
+      if (error.missing) {
+        missing.push(error.missing);
+      } else {
+        console.error(`  Failed to download ${group.source}: ${error.message}`);
+        process.exitCode = 1;
+      }
+      continue;
+    }
+
+    try {
+      for (const skillName of pending) {
+        const info = lock.skills[skillName];
+        const detected = findLockedSkill(allDetected, skillName, info);
+
+        if (!detected) {
+          console.log(`  ${skillName}: not found in updated repo, skipping`);
+          continue;
+        }
+
+        // Reinstall for all agents that have it
+        const skillAgents = [];
+        for (const [agentId, skills] of Object.entries(lock.agents)) {
+          if (skills.includes(skillName)) skillAgents.push(agentId);
+        }
+
+        // --dry-run: show what would change, touch nothing
+        if (opts.dryRun) {
+          const change = isLocalSource(source)
+            ? `from ${info.source}`
+            : `${shortCommit(info.commit)} -> ${shortCommit(source.commit)}`;
+          const targets = agents.filter(a => skillAgents.includes(a.id));
+          console.log(`  ~ ${skillName} ${change}`);
+          for (const agent of targets) {
+            if (await getSkillState(projectDir, agent.skillsDir, skillName, info) === 'modified') {
+              console.log(`    ! ${agent.id} copy has local changes, the update needs --force`);
+            }
+          }
+          const renamed = detected.name !== skillName && info.installMode !== 'link';
+          const newDir = renamed ? await stageRenamedSkill(detected.dirPath, skillName) : detected.dirPath;
+          await printSkillDiff(projectDir, targets, skillName, newDir);
+          if (renamed) await removeStagedSkill(newDir);
+          updatedCount++;
+          continue;
+        }
+
+        // Never silently overwrite local edits
+        const targets = agents.filter(a => skillAgents.includes(a.id));
+        if (!(await protectLocalEdits(projectDir, targets, skillName, info, { force: opts.force, yes }))) {
+          continue;
+        }
+
+        try {
+          info.hash = await installForAgents(projectDir, targets, skillName, detected, info.installMode);
+        } catch (error) {
+          console.error(`  ${skillName}: ${error.message}`);
+          process.exitCode = 1;
+          continue;
+        }
+        info.integrity = await treeIntegrity(source, detected);
+
+        if (isLocalSource(source)) {
+          info.installedAt = new Date().toISOString();
+          console.log(`  + ${skillName} refreshed from ${info.source} [${skillAgents.join(', ')}]`);
+          updatedCount++;
+          continue;
+        }
+
+        // Update lock entry to the new commit
+        const previous = info.commit;
+        info.ref = source.ref;
+        info.refType = source.refType;
+        if (range) info.range = range;
+        info.commit = source.commit;
+        info.installedAt = new Date().toISOString();
+
+        console.log(
+          `  + ${skillName} updated ${shortCommit(previous)} -> ${shortCommit(source.commit)} [${skillAgents.join(', ')}]`,
+        );
+        updatedCount++;
+      }
+    } finally {
+      await cleanupTemp(repoDir);
+    }
+  }
+
+  reportMissing(missing);
+
+  if (opts.dryRun) {
+    console.log('');
+    console.log(updatedCount > 0
+      ? `  Dry run: ${updatedCount} skill(s) would be updated. Nothing was changed.\n`
+      : '  All skills are up to date.\n');
+    return;
+  }
+
+  await saveLock(projectDir, lock);
+  if (skillsFile && followUpdatedVersions(skillsFile, lock, before, agents)) {
+    await saveSkillsFile(projectDir, skillsFile);
+    console.log('  Updated remote-skills-list.json to the new versions.');
+  }
+
+  console.log('');
+  if (updatedCount > 0) {
+    console.log(`  Done. Updated ${updatedCount} skill(s).\n`);
+  } else {
+    console.log('  All skills are up to date.\n');
+  }
+}
+
+// ----------------------------------------------------------------
+// skill outdated
+// ----------------------------------------------------------------
+
+/**
+ * Print rows as a table with left-aligned, padded columns.
+ * @param {string[]} header
+ * @param {string[][]} rows
+ */
+function printTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const format = row => `  ${row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()}`;
+  console.log(format(header));
+  for (const row of rows) console.log(format(row));
+}
+
+async function skillOutdatedCommand() {
+  const projectDir = process.cwd();
+
+  const lock = await openLock(projectDir);
+  const allNames = getAllSkillNames(lock);
+
+  if (allNames.length === 0) {
+    console.log('\n  No remote skills installed.\n');
+    return;
+  }
+
+  // Group by source+ref so each upstream ref is resolved once
+  const sourceGroups = new Map();
+  for (const skillName of allNames) {
+    const info = lock.skills[skillName];
+    if (info.sourceType === 'file') continue;
+    const key = info.range ? `${info.source}@${info.range}` : `${info.source}#${info.ref}`;
+    if (!sourceGroups.has(key)) sourceGroups.set(key, { info, skills: [] });
+    sourceGroups.get(key).skills.push(skillName);
+  }
+
+  console.log('\n  Checking for updates...\n');
+
+  const rows = [];
+  let failed = false;
+
+  for (const [, { info, skills }] of sourceGroups) {
+    // Commit installs never move
+    if (info.refType === 'commit') continue;
+
+    const source = { ...sourceFromLockEntry(info), commit: undefined };
+    if (info.range) source.ref = '';
+
+    try {
+      await resolveRef(source);
+    } catch (error) {
+      console.error(`  ${error.message}`);
+      failed = true;
+      continue;
+    }
+
+    const label = info.range
+      ? `${info.source}@${info.range}`
+      : `${info.source}${info.ref ? `#${info.ref}` : ''}${info.refType === 'tag' ? ' (tag moved)' : ''}`;
+
+    for (const skillName of skills) {
+      const current = lock.skills[skillName].commit;
+      if (current === source.commit) continue;
+
+      const behind = current ? await countCommitsBetween(source, current, source.commit) : null;
+      rows.push([
+        skillName,
+        shortCommit(current),
+        info.range ? `${shortCommit(source.commit)} (${source.ref})` : shortCommit(source.commit),
+        behind === null ? '?' : String(behind),
+        label,
+      ]);
+    }
+  }
+
+  if (rows.length === 0) {
+    console.log(failed ? '' : '  All skills are up to date.\n');
+  } else {
+    printTable(['Skill', 'Current', 'Latest', 'Behind', 'Source'], rows);
+    console.log(`\n  ${rows.length} skill(s) can be updated. Run "ai-factory skill update" to install them.\n`);
+  }
+
+  if (rows.length > 0 || failed) {
+    process.exitCode = 1;
+  }
+}
+
+// ----------------------------------------------------------------
+// skill status
 // ----------------------------------------------------------------
 
-async function skillUpdateCommand(name, opts, cmd) {
-  const yes = cmd.parent?.opts().yes ?? false;
+async function skillStatusCommand() {
   const projectDir = process.cwd();
 
-  console.log('\n  AI Factory - Update Remote Skills\n');
-
   const manifest = await loadManifest(projectDir);
   const agents = getAgents(manifest);
-  if (agents.length === 0) {
-    console.error('Error: No .ai-factory.json found or no agents configured.');
-    process.exit(1);
-  }
 
-  const lock = await loadLock(projectDir);
-  let allNames = getAllSkillNames(lock);
+  const lock = await openLock(projectDir);
+  const allNames = getAllSkillNames(lock);
 
   if (allNames.length === 0) {
-    console.log('No remote skills installed.');
+    console.log('\n  No remote skills installed.\n');
     return;
   }
 
-  // Filter by name if specified
-  if (name) {
-    if (!lock.skills[name]) {
-      console.error(`Remote skill "${name}" not found.`);
-      return;
-    }
-    allNames = [name];
-  } else if (allNames.length > 1 && !yes) {
-    // Ask: update all or select
-    const mode = await selectOne(
-      [
-        { label: 'All remote skills', value: 'all' },
-        { label: 'Select skills to update', value: 'select' },
-      ],
-      'What would you like to update?',
-    );
+  console.log('\n  Remote Skills Status\n');
 
-    if (mode === 'select') {
-      const chosen = await selectMultiple(
-        allNames.map(n => {
-          const info = lock.skills[n];
-          const source = info ? ` (${info.source})` : '';
-          return { label: `${n}${source}`, value: n };
-        }),
-        'Select skills to update',
-      );
-      if (chosen.length === 0) return;
-      allNames = chosen;
+  const rows = [];
+  const counts = {};
+  for (const name of allNames) {
+    const info = lock.skills[name];
+    for (const agent of agents) {
+      if (!lock.agents[agent.id]?.includes(name)) continue;
+      const state = await getSkillState(projectDir, agent.skillsDir, name, info);
+      counts[state] = (counts[state] ?? 0) + 1;
+      rows.push([name, agent.id, state]);
     }
   }
 
-  // Group skills by source+ref for efficient downloading
-  const sourceGroups = new Map();
+  printTable(['Skill', 'Agent', 'Status'], rows);
 
-  for (const skillName of allNames) {
-    const info = lock.skills[skillName];
-    if (!info) continue;
-    const key = `${info.source}#${info.ref}`;
-    if (!sourceGroups.has(key)) {
-      const parsed = parseRemoteSource(info.source + (info.ref && info.ref !== 'main' ? `#${info.ref}` : ''));
-      sourceGroups.set(key, {
-        source: info.source,
-        ref: info.ref,
-        owner: parsed.owner,
-        repo: parsed.repo,
-        skills: [],
-      });
-    }
-    sourceGroups.get(key).skills.push(skillName);
+  console.log('');
+  console.log(`  ${Object.entries(counts).map(([state, n]) => `${n} ${state}`).join(', ')}.`);
+  if (counts.modified || counts.missing) {
+    console.log('  Modified copies are kept by "skill update" unless --force is passed; "skill sync" restores missing ones.');
   }
+  console.log('');
+}
 
-  let updatedCount = 0;
+// ----------------------------------------------------------------
+// skill sync
+// ----------------------------------------------------------------
 
-  console.log('');
+/**
+ * Delete an agent's skill copies from a skills directory the lock no longer
+ * points at. Copies with local changes are kept unless --force is given.
+ *
+ * @param {string} projectDir
+ * @param {string} skillsDir - recorded skills directory, relative to projectDir
+ * @param {string[]} skillNames
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @param {{ force?: boolean }} opts
+ * @returns {Promise<number>} number of directories deleted
+ */
+async function removeOrphanedSkills(projectDir, skillsDir, skillNames, lock, opts) {
+  // The lock is shared through git: never follow it outside the project
+  const relativeDir = relative(projectDir, resolve(projectDir, skillsDir));
+  if (relativeDir === '' || relativeDir.startsWith('..') || isAbsolute(relativeDir)) {
+    console.log(`  ! Not cleaning ${skillsDir}: it is outside the project`);
+    return 0;
+  }
 
-  for (const [, group] of sourceGroups) {
-    const source = { host: 'github', owner: group.owner, repo: group.repo, ref: group.ref };
+  let count = 0;
+  for (const skillName of skillNames) {
+    // Nor outside the skills directory
+    if (!isValidSkillName(skillName)) {
+      console.log(`  ! Not removing "${skillName}" from ${skillsDir}: it is not a single directory name`);
+      continue;
+    }
+    const info = lock.skills[skillName];
+    if (!info || !(await skillExistsForAgent(projectDir, skillsDir, skillName))) continue;
 
-    // Download repo
-    console.log(`  Downloading ${group.owner}/${group.repo}...`);
-    let repoDir;
-    try {
-      repoDir = await downloadAndExtract(source);
-    } catch (error) {
-      console.error(`  Failed to download ${group.source}: ${error.message}`);
+    if (await getSkillState(projectDir, skillsDir, skillName, info) === 'modified' && !opts.force) {
+      console.log(`  ! ${join(skillsDir, skillName)} has local changes, keeping it (use --force to delete)`);
       continue;
     }
+    await removeSkillForAgent(projectDir, skillsDir, skillName);
+    console.log(`  - ${skillName} removed from ${skillsDir}`);
+    count++;
+  }
+  return count;
+}
 
+/**
+ * Find directories in the agents' skills directories that are neither remote
+ * skills of that agent nor listed in the manifest's installedSkills.
+ * Hidden directories and "<name>.orig" backups are ignored.
+ *
+ * @param {string} projectDir
+ * @param {object} manifest
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @returns {Promise<{ agentId: string, skillsDir: string, name: string }[]>}
+ */
+async function findUnmanagedSkills(projectDir, manifest, lock) {
+  const unmanaged = [];
+  for (const agent of manifest.agents) {
+    let entries;
     try {
-      const allDetected = await detectSkills(repoDir);
+      entries = await readdir(resolve(projectDir, agent.skillsDir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    const known = new Set([...(lock.agents[agent.id] ?? []), ...(agent.installedSkills ?? [])]);
+    for (const entry of entries) {
+      if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
+      if (entry.name.startsWith('.') || entry.name.endsWith('.orig') || known.has(entry.name)) continue;
+      unmanaged.push({ agentId: agent.id, skillsDir: agent.skillsDir, name: entry.name });
+    }
+  }
+  return unmanaged;
+}
 
-      for (const skillName of group.skills) {
-        const info = lock.skills[skillName];
-        const detected = allDetected.find(
-          d => d.name === skillName || d.relativePath === info.path,
-        );
+/**
+ * Report unmanaged skill directories, or adopt them into the manifest's
+ * installedSkills (--adopt-unmanaged) or delete them (--delete-unmanaged).
+ *
+ * @param {string} projectDir
+ * @param {object} manifest
+ * @param {{ agentId: string, skillsDir: string, name: string }[]} unmanaged
+ * @param {{ adoptUnmanaged?: boolean, deleteUnmanaged?: boolean, yes?: boolean }} opts
+ * @returns {Promise<number>} number of directories deleted
+ */
+async function handleUnmanagedSkills(projectDir, manifest, unmanaged, opts) {
+  console.log('');
 
-        if (!detected) {
-          console.log(`  ${skillName}: not found in updated repo, skipping`);
-          continue;
-        }
+  if (opts.adoptUnmanaged) {
+    for (const { agentId, skillsDir, name } of unmanaged) {
+      const agent = manifest.agents.find(a => a.id === agentId);
+      agent.installedSkills = [...(agent.installedSkills ?? []), name];
+      console.log(`  + Adopted ${join(skillsDir, name)} into installedSkills of ${agentId}`);
+    }
+    await saveManifest(projectDir, manifest);
+    return 0;
+  }
 
-        // Reinstall for all agents that have it
-        const skillAgents = [];
-        for (const [agentId, skills] of Object.entries(lock.agents)) {
-          if (skills.includes(skillName)) skillAgents.push(agentId);
-        }
+  for (const { skillsDir, name } of unmanaged) {
+    console.log(`  ? ${join(skillsDir, name)} is not managed (not in the lock file or installedSkills)`);
+  }
 
-        for (const agentId of skillAgents) {
-          const agent = agents.find(a => a.id === agentId);
-          if (!agent) continue;
-          await installSkillForAgent(projectDir, agent.skillsDir, skillName, detected.dirPath);
-        }
+  if (!opts.deleteUnmanaged) {
+    console.log('  Use --adopt-unmanaged to keep them in .ai-factory.json or --delete-unmanaged to delete them.');
+    return 0;
+  }
 
-        // Update lock entry timestamp
-        lock.skills[skillName].installedAt = new Date().toISOString();
+  if (!opts.yes && !(await confirm(`Delete ${unmanaged.length} unmanaged skill director${unmanaged.length === 1 ? 'y' : 'ies'}?`, false))) {
+    return 0;
+  }
+  for (const { skillsDir, name } of unmanaged) {
+    await removeSkillForAgent(projectDir, skillsDir, name);
+    console.log(`  - Deleted ${join(skillsDir, name)}`);
+  }
+  return unmanaged.length;
+}
 
-        console.log(`  + ${skillName} updated [${skillAgents.join(', ')}]`);
-        updatedCount++;
-      }
-    } finally {
-      await cleanupTemp(repoDir);
+/**
+ * Find what keeps `sync --frozen` from installing exactly what the lock
+ * records: agents that changed, entries without a pinned commit or an
+ * integrity value, and installed copies with local changes.
+ *
+ * Copies of a skill installed under its own name are checked against the
+ * lock's integrity as well, so a copy edited together with its `hash` is
+ * still caught. Renamed copies differ from upstream in their frontmatter
+ * and only have the hash.
+ * @param {string} projectDir
+ * @param {{ id: string, skillsDir: string }[]} agents
+ * @param {import('../lib/lock.js').LockFile} lock
+ * @returns {Promise<string[]>}
+ */
+async function findFrozenProblems(projectDir, agents, lock) {
+  const problems = [];
+  for (const agentId of Object.keys(lock.agents)) {
+    const agent = agents.find(a => a.id === agentId);
+    const recordedDir = lock.skillsDirs[agentId];
+    if (!agent) {
+      problems.push(`agent "${agentId}" is no longer in .ai-factory.json`);
+    } else if (!recordedDir || resolve(projectDir, recordedDir) !== resolve(projectDir, agent.skillsDir)) {
+      problems.push(`agent "${agentId}" installs skills to ${agent.skillsDir}, the lock records ${recordedDir ?? 'nothing'}`);
     }
   }
 
-  await saveLock(projectDir, lock);
+  for (const [skillName, info] of Object.entries(lock.skills)) {
+    if (info.sourceType !== 'file') {
+      if (!info.commit) problems.push(`${skillName} has no pinned commit`);
+      else if (!info.integrity) problems.push(`${skillName} has no integrity value`);
+    }
+    const mode = info.installMode ?? 'copy';
+    const verifiable = info.sourceType !== 'file' && info.integrity && !info.upstreamName;
+    const mismatch = async dir => verifiable && await skillIntegrity(dir) !== info.integrity;
 
-  console.log('');
-  if (updatedCount > 0) {
-    console.log(`  Done. Updated ${updatedCount} skill(s).\n`);
-  } else {
-    console.log('  All skills are up to date.\n');
+    if (mode === 'store' && await storeHasSkill(projectDir, skillName)
+      && await mismatch(getStorePath(projectDir, skillName))) {
+      problems.push(`${skillName} in ${join(STORE_DIR, skillName)} does not match the lock file's integrity`);
+      continue;
+    }
+
+    for (const agent of agents) {
+      if (!lock.agents[agent.id]?.includes(skillName)) continue;
+      const installedDir = join(agent.skillsDir, skillName);
+      const state = await getSkillState(projectDir, agent.skillsDir, skillName, info);
+      if (state === 'modified') {
+        problems.push(`${skillName} has local changes in ${installedDir}`);
+      } else if (mode === 'copy' && state !== 'missing' && await mismatch(resolve(projectDir, installedDir))) {
+        problems.push(`${skillName} in ${installedDir} does not match the lock file's integrity`);
+      }
+    }
   }
+  return problems;
 }
 
-// ----------------------------------------------------------------
-// skill sync
-// ----------------------------------------------------------------
-
-async function skillSyncCommand() {
+async function skillSyncCommand(opts, cmd) {
+  const yes = cmd.parent?.opts().yes ?? false;
   const projectDir = process.cwd();
+  if (opts.offline) setOffline();
 
   console.log('\n  AI Factory - Sync Remote Skills\n');
 
@@ -442,7 +2272,7 @@ async function skillSyncCommand() {
     process.exit(1);
   }
 
-  const lock = await loadLock(projectDir);
+  const lock = await openLock(projectDir);
   const allNames = getAllSkillNames(lock);
 
   if (allNames.length === 0) {
@@ -450,75 +2280,172 @@ async function skillSyncCommand() {
     return;
   }
 
+  // --frozen installs exactly what the lock records and never rewrites it
+  const lockBefore = JSON.stringify(lock);
+  if (opts.frozen) {
+    const problems = await findFrozenProblems(projectDir, agents, lock);
+    if (problems.length > 0) {
+      console.error('  The project does not match the lock file:');
+      for (const problem of problems) console.error(`    ${problem}`);
+      console.error('\n  Undo local changes to installed skills, or run "skill sync" without --frozen and commit remote-skills-lock.json.\n');
+      process.exit(1);
+    }
+  }
+
   const currentAgentIds = new Set(agents.map(a => a.id));
   const lockAgentIds = new Set(Object.keys(lock.agents));
 
   let installed = 0;
   let removed = 0;
   let cleaned = 0;
+  let failed = 0;
+  const missing = [];
+
+  // 1. Delete skills left behind by agents that were removed from .ai-factory.json
+  //    or whose skillsDir changed (they are reinstalled in the new place below)
+  for (const agentId of lockAgentIds) {
+    const agent = agents.find(a => a.id === agentId);
+    const recordedDir = lock.skillsDirs[agentId];
+    const moved = agent && recordedDir && resolve(projectDir, recordedDir) !== resolve(projectDir, agent.skillsDir);
+
+    if (recordedDir && (!agent || moved)) {
+      removed += await removeOrphanedSkills(projectDir, recordedDir, lock.agents[agentId], lock, opts);
+    }
 
-  // 1. Find skills that need to be installed for new/existing agents
-  const needsDownload = new Map(); // source key -> { parsed, skillNames[] }
+    if (!currentAgentIds.has(agentId)) {
+      removeAgentFromLock(lock, agentId);
+      console.log(`  - Removed agent "${agentId}" from lock (no longer in .ai-factory.json)`);
+      cleaned++;
+    } else {
+      recordSkillsDir(lock, agent);
+    }
+  }
+
+  // 2. Find skills that need to be installed for existing agents
+  const needsDownload = new Map(); // source key -> { info, skills: Map<skillName, agents[]> }
+  const queue = (skillName, info) => {
+    const key = `${info.source}#${info.ref}@${info.commit ?? ''}`;
+    if (!needsDownload.has(key)) {
+      needsDownload.set(key, { info, skills: new Map() });
+    }
+    const group = needsDownload.get(key);
+    if (!group.skills.has(skillName)) {
+      group.skills.set(skillName, []);
+    }
+    return group.skills.get(skillName);
+  };
 
   for (const skillName of allNames) {
     const info = lock.skills[skillName];
     if (!info) continue;
 
+    // Entries recorded before integrity values get one from their locked commit
+    if (!info.integrity && info.commit && info.sourceType !== 'file') {
+      queue(skillName, info);
+    }
+
     for (const agent of agents) {
-      const hasInLock = lock.agents[agent.id]?.includes(skillName);
+      // Only agents the skill was installed for
+      if (!lock.agents[agent.id]?.includes(skillName)) continue;
+
       const existsOnDisk = await skillExistsForAgent(projectDir, agent.skillsDir, skillName);
+      // Copies of local directory sources are refreshed from disk on every sync
+      const isLocalCopy = info.sourceType === 'file' && info.installMode !== 'link';
+
+      // The store still has the skill: only the agent's link is missing
+      if (!existsOnDisk && !isLocalCopy && info.installMode === 'store' && await storeHasSkill(projectDir, skillName)) {
+        await installSkillForAgent(projectDir, agent.skillsDir, skillName, '', { mode: 'store' });
+        console.log(`  + ${skillName} -> ${agent.id} (from store)`);
+        installed++;
+        continue;
+      }
 
-      if (!existsOnDisk) {
+      if (!existsOnDisk || isLocalCopy) {
         // Need to re-download and install
-        const key = `${info.source}#${info.ref}`;
-        if (!needsDownload.has(key)) {
-          needsDownload.set(key, { info, skills: new Map() });
-        }
-        const group = needsDownload.get(key);
-        if (!group.skills.has(skillName)) {
-          group.skills.set(skillName, []);
-        }
-        group.skills.get(skillName).push(agent);
+        queue(skillName, info).push(agent);
       }
     }
   }
 
-  // 2. Download and install missing skills
+  // 3. Download and install missing skills
   for (const [, group] of needsDownload) {
     const { info } = group;
     let parsed;
     try {
-      parsed = parseRemoteSource(info.source + (info.ref && info.ref !== 'main' ? `#${info.ref}` : ''));
+      parsed = sourceFromLockEntry(info);
     } catch (error) {
       console.error(`  Error parsing source "${info.source}": ${error.message}`);
+      failed += group.skills.size;
       continue;
     }
 
-    console.log(`  Downloading ${parsed.owner}/${parsed.repo}...`);
+    const verb = isLocalSource(parsed) ? 'Reading' : 'Downloading';
+    console.log(`  ${verb} ${describeSource(parsed)}${parsed.commit ? `@${shortCommit(parsed.commit)}` : ''}...`);
     let repoDir;
+    let allDetected;
     try {
-      repoDir = await downloadAndExtract(parsed);
+      // Entries recorded before commits were pinned get pinned to the current head now
+      if (!parsed.commit && !isLocalSource(parsed)) {
+        await resolveRef(parsed);
+        for (const skillName of group.skills.keys()) {
+          lock.skills[skillName].refType = parsed.refType;
+          lock.skills[skillName].commit = parsed.commit;
+        }
+      }
+      const skillNames = [...group.skills.keys()];
+      ({ repoDir, detected: allDetected } = await fetchSkills(
+        parsed,
+        skillNames.map(n => lock.skills[n].path ?? ''),
+        skills => skillNames.every(n => findLockedSkill(skills, n, lock.skills[n])),
+      ));
     } catch (error) {
-      console.error(`  Failed to download ${info.source}: ${error.message}`);
+      if (error.missing) {
+        missing.push(error.missing);
+      } else {
+        console.error(`  Failed to download ${info.source}: ${error.message}`);
+        failed += group.skills.size;
+      }
       continue;
     }
 
     try {
-      const allDetected = await detectSkills(repoDir);
 
       for (const [skillName, agentsToInstall] of group.skills) {
         const lockInfo = lock.skills[skillName];
-        const detected = allDetected.find(
-          d => d.name === skillName || d.relativePath === lockInfo?.path,
-        );
+        const detected = findLockedSkill(allDetected, skillName, lockInfo);
 
         if (!detected) {
-          console.log(`  ${skillName}: not found in repo, skipping`);
+          console.error(`  ${skillName}: not found in repo, skipping`);
+          failed++;
+          continue;
+        }
+
+        const mismatch = await checkIntegrity(skillName, detected, lockInfo);
+        if (mismatch) {
+          console.error(`  x ${mismatch}`);
+          failed++;
+          continue;
+        }
+        if (agentsToInstall.length === 0) {
+          lockInfo.integrity = await treeIntegrity(parsed, detected);
+          console.log(`  ${skillName}: recorded integrity ${lockInfo.integrity}`);
           continue;
         }
 
+        // Refreshed local copies may carry edits
+        if (!(await protectLocalEdits(projectDir, agentsToInstall, skillName, lockInfo, { force: opts.force, yes }))) {
+          continue;
+        }
+
+        try {
+          lockInfo.hash = await installForAgents(projectDir, agentsToInstall, skillName, detected, lockInfo.installMode);
+        } catch (error) {
+          console.error(`  ${skillName}: ${error.message}`);
+          failed++;
+          continue;
+        }
+        lockInfo.integrity = await treeIntegrity(parsed, detected);
         for (const agent of agentsToInstall) {
-          await installSkillForAgent(projectDir, agent.skillsDir, skillName, detected.dirPath);
           console.log(`  + ${skillName} -> ${agent.id}`);
           installed++;
         }
@@ -528,47 +2455,173 @@ async function skillSyncCommand() {
     }
   }
 
-  // 3. Update lock.agents to match current agents
-  //    - Add new agents (install all lock skills for them)
+  // 4. Agents without remote skills are left alone -- installing is opt-in per agent
   for (const agent of agents) {
     if (!lock.agents[agent.id]) {
-      lock.agents[agent.id] = [...allNames];
-    } else {
-      // Ensure all skills are listed
-      for (const skillName of allNames) {
-        if (!lock.agents[agent.id].includes(skillName)) {
-          lock.agents[agent.id].push(skillName);
-        }
-      }
+      console.log(`  Agent "${agent.id}" has no remote skills. Use "skill add <source> --agent ${agent.id}" to add some.`);
     }
   }
 
-  // 4. Remove agents from lock that no longer exist in .ai-factory.json
-  for (const agentId of lockAgentIds) {
-    if (!currentAgentIds.has(agentId)) {
-      delete lock.agents[agentId];
-      console.log(`  - Removed agent "${agentId}" from lock (no longer in .ai-factory.json)`);
-      cleaned++;
-    }
+  // 5. Report, adopt or delete skill directories nobody manages
+  const unmanaged = await findUnmanagedSkills(projectDir, manifest, lock);
+  if (unmanaged.length > 0) {
+    removed += await handleUnmanagedSkills(projectDir, manifest, unmanaged, { ...opts, yes });
   }
 
-  // 5. Remove skill directories from agents that were removed from .ai-factory.json
-  //    (they're gone from config, so we can't know their skillsDir — just clean the lock)
+  if (!opts.frozen) {
+    await saveLock(projectDir, lock);
+  } else if (JSON.stringify(lock) !== lockBefore) {
+    console.error('\n  The lock file would change; run "skill sync" without --frozen and commit it.');
+    process.exitCode = 1;
+  }
 
-  await saveLock(projectDir, lock);
+  reportMissing(missing);
 
   console.log('');
-  if (installed > 0 || removed > 0 || cleaned > 0) {
+  if (failed > 0) {
+    console.error(`  ${failed} skill(s) could not be installed.\n`);
+    process.exitCode = 1;
+  } else if (installed > 0 || removed > 0 || cleaned > 0) {
     const parts = [];
     if (installed > 0) parts.push(`${installed} installed`);
     if (removed > 0) parts.push(`${removed} removed`);
     if (cleaned > 0) parts.push(`${cleaned} agent(s) cleaned from lock`);
     console.log(`  Done. ${parts.join(', ')}.\n`);
-  } else {
+  } else if (missing.length === 0) {
     console.log('  Everything is in sync.\n');
   }
 }
 
+// ----------------------------------------------------------------
+// skill cache
+// ----------------------------------------------------------------
+
+/**
+ * Parse a size like "500MB", "2G" or "1048576".
+ * @param {string} value
+ * @returns {number}
+ */
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use bytes or a KB, MB or GB suffix.`);
+  }
+  const units = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+  return Math.floor(Number(match[1]) * units[match[2].toUpperCase()]);
+}
+
+async function skillCacheListCommand() {
+  const entries = await listCache();
+
+  if (entries.length === 0) {
+    console.log(`\n  Download cache is empty (${getCacheDir()}).\n`);
+    return;
+  }
+
+  console.log(`\n  Download Cache (${getCacheDir()})\n`);
+
+  printTable(
+    ['Source', 'Commit', 'Contents', 'Size', 'Last used'],
+    entries.map(e => [
+      e.source,
+      shortCommit(e.commit),
+      e.paths ? e.paths.join(', ') : 'all',
+      formatBytes(e.size),
+      timeSince(e.lastUsedAt),
+    ]),
+  );
+
+  const total = entries.reduce((sum, e) => sum + e.size, 0);
+  console.log(`\n  ${entries.length} entries, ${formatBytes(total)} of ${formatBytes(getCacheMaxSize())}.\n`);
+}
+
+async function skillCacheCleanCommand() {
+  const entries = await listCache();
+  await cleanCache();
+  const total = entries.reduce((sum, e) => sum + e.size, 0);
+  console.log(`\n  Removed ${entries.length} cached download(s), ${formatBytes(total)}.\n`);
+}
+
+async function skillCachePruneCommand(opts) {
+  let maxSize;
+  try {
+    maxSize = opts.maxSize !== undefined ? parseSize(opts.maxSize) : getCacheMaxSize();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const removed = await pruneCache(maxSize);
+  console.log('');
+  for (const entry of removed) {
+    console.log(`  - ${entry.source} @ ${shortCommit(entry.commit)} (${formatBytes(entry.size)})`);
+  }
+  if (removed.length > 0) console.log('');
+
+  const total = (await listCache()).reduce((sum, e) => sum + e.size, 0);
+  console.log(`  Removed ${removed.length} cached download(s). Cache size: ${formatBytes(total)} of ${formatBytes(maxSize)}.\n`);
+}
+
+// ----------------------------------------------------------------
+// skill validate
+// ----------------------------------------------------------------
+
+async function skillValidateCommand(source, opts) {
+  console.log('\n  AI Factory - Validate Skills\n');
+
+  let parsed;
+  try {
+    // Plain directory names like "skills/foo" are local here, unlike in add
+    const isDir = source && await stat(source).then(info => info.isDirectory(), () => false);
+    parsed = parseRemoteSource(isDir ? `file:${source}` : source ?? '.');
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  let repoDir;
+  let detected;
+  try {
+    const paths = parsed.skillPath ? [parsed.skillPath, `skills/${parsed.skillPath}`] : undefined;
+    ({ repoDir, detected } = await fetchSkills(parsed, paths, skills => skills.some(
+      s => s.relativePath === parsed.skillPath || s.name === parsed.skillPath,
+    )));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  try {
+    const skills = parsed.skillPath
+      ? detected.filter(s => s.relativePath === parsed.skillPath || s.name === parsed.skillPath)
+      : detected;
+    if (skills.length === 0) {
+      console.error(`Skill "${parsed.skillPath}" not found in ${describeSource(parsed)}.`);
+      process.exit(1);
+    }
+
+    let failed = 0;
+    for (const skill of skills) {
+      const result = await validateSkill(skill.dirPath, { dirName: publishedDirName(parsed, skill) });
+      const ok = result.errors.length === 0 && (!opts.strict || result.warnings.length === 0);
+      const mark = !ok ? 'x' : result.warnings.length > 0 ? '!' : '+';
+      console.log(`  ${mark} ${skill.name} (${skill.relativePath || 'root'})`);
+      printValidation(result);
+      if (!ok) failed++;
+    }
+
+    console.log('');
+    if (failed > 0) {
+      console.log(`  ${failed} of ${skills.length} skill(s) failed validation.\n`);
+      process.exitCode = 1;
+    } else {
+      console.log(`  ${skills.length} skill(s) valid.\n`);
+    }
+  } finally {
+    await cleanupTemp(repoDir);
+  }
+}
+
 // ----------------------------------------------------------------
 // register
 // ----------------------------------------------------------------
@@ -581,12 +2634,30 @@ export function register(program) {
 
   skill
     .command('add <source>')
-    .description('Install skill from GitHub repository')
+    .description('Install skills from a GitHub, GitLab, Bitbucket or Gitea repository, or a local directory')
+    .option('--link', 'Symlink a local directory source instead of copying it')
+    .option('--store', 'Keep one copy in .ai-factory/remote-skills and symlink it into each agent')
+    .option('--as <alias>', 'Install the skill under another name')
+    .option('--agent <ids>', 'Comma-separated agent ids to install for (default: ask, all with -y)')
+    .option('--offline', 'Install only from the download cache, never use the network')
+    .option('--no-validate', 'Install even if SKILL.md fails validation')
+    .option('--include <glob>', 'Only consider skills whose path or name matches (repeatable)', collect, [])
+    .option('--exclude <glob>', 'Skip skills whose path or name matches (repeatable)', collect, [])
     .action(skillAddCommand);
 
+  skill
+    .command('install')
+    .description('Make installed skills and the lock file match remote-skills-list.json')
+    .option('--force', 'Overwrite installed copies that have local changes')
+    .option('--no-validate', 'Install skills whose SKILL.md fails validation')
+    .option('--offline', 'Install only from the download cache, never use the network')
+    .action(skillInstallCommand);
+
   skill
     .command('remove [name]')
     .description('Remove a remote skill')
+    .option('--agent <ids>', 'Comma-separated agent ids to remove from (default: all agents)')
+    .option('--force', 'Remove skills even if other installed skills require them')
     .action(skillRemoveCommand);
 
   skill
@@ -597,10 +2668,61 @@ export function register(program) {
   skill
     .command('update [name]')
     .description('Update remote skills from their sources')
+    .option('--latest', 'Ignore recorded version ranges and move to the highest tag')
+    .option('--dry-run', 'Show file changes without installing anything')
+    .option('--force', 'Overwrite installed copies that have local changes')
+    .option('--offline', 'Install only from the download cache, never use the network')
     .action(skillUpdateCommand);
 
+  skill
+    .command('outdated')
+    .description('Show remote skills with upstream updates (exits 1 if any)')
+    .action(skillOutdatedCommand);
+
+  skill
+    .command('status')
+    .description('Show whether installed skills are pristine, modified or missing per agent')
+    .action(skillStatusCommand);
+
   skill
     .command('sync')
     .description('Sync remote skills with current agents from .ai-factory.json')
+    .option('--force', 'Overwrite or delete installed copies that have local changes')
+    .option('--adopt-unmanaged', 'Add unmanaged skill directories to installedSkills in .ai-factory.json')
+    .option('--delete-unmanaged', 'Delete unmanaged skill directories')
+    .option('--offline', 'Install only from the download cache, never use the network')
+    .option('--frozen', 'Install exactly the locked commits, verify their integrity and fail if the lock would change')
     .action(skillSyncCommand);
+
+  skill
+    .command('ci')
+    .description('Install exactly what the lock file records, for CI (same as sync --frozen)')
+    .option('--offline', 'Install only from the download cache, never use the network')
+    .action((opts, cmd) => skillSyncCommand({ ...opts, frozen: true }, cmd));
+
+  skill
+    .command('validate [source]')
+    .description('Check SKILL.md files in a directory or repository against the agent skill rules (default: current directory)')
+    .option('--strict', 'Fail on warnings too')
+    .action(skillValidateCommand);
+
+  const cache = skill
+    .command('cache')
+    .description('Manage the download cache shared by all projects');
+
+  cache
+    .command('list')
+    .description('List cached downloads')
+    .action(skillCacheListCommand);
+
+  cache
+    .command('clean')
+    .description('Remove all cached downloads')
+    .action(skillCacheCleanCommand);
+
+  cache
+    .command('prune')
+    .description('Remove least recently used downloads above the size limit')
+    .option('--max-size <size>', 'Size to prune to, e.g. 500MB (default: configured limit)')
+    .action(skillCachePruneCommand);
 }
@@ -0,0 +1,78 @@
+import path from 'node:path';
+import { mkdir } from 'node:fs/promises';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+import { fetchWithTimeout, httpError } from './http.js';
+import { extractTarStream } from './tar.js';
+import { getArchiveLimits } from './config.js';
+
+/**
+ * Download a .tar.gz archive and extract it into destDir as it streams in.
+ * Returns the path to the archive's single top-level directory
+ * (e.g. {repo}-{ref}/ for GitHub, {repo}/ for Gitea).
+ *
+ * Uses Node.js native fetch + zlib + tar parser -- no shell dependencies.
+ *
+ * When paths are given, only entries under those repository paths are
+ * written; everything else is read and discarded.
+ *
+ * @param {string} url
+ * @param {string} destDir
+ * @param {{
+ *   headers?: Record<string, string>,
+ *   paths?: string[],
+ *   onProgress?: (bytes: number) => void,
+ * }} [init]
+ * @returns {Promise<string>}
+ */
+export async function downloadArchive(url, destDir, init = {}) {
+  const { paths, onProgress, ...fetchInit } = init;
+  const res = await fetchWithTimeout(url, { ...fetchInit, timeout: 60000 });
+  if (!res.ok) {
+    throw httpError(res, url);
+  }
+
+  // Archives have a single top-level directory; paths are relative to it
+  const roots = new Set();
+  const prefixes = paths?.map(p => `${p.replace(/^\/+|\/+$/g, '')}/`);
+  const filter = (name) => {
+    const [root, ...rest] = name.replace(/^\.\//, '').split('/');
+    roots.add(root);
+    if (!prefixes) return true;
+    const relative = `${rest.join('/')}/`;
+    return prefixes.some(prefix => relative.startsWith(prefix) || prefix.startsWith(relative));
+  };
+
+  let received = 0;
+  const progress = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      onProgress?.(received);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(
+      Readable.fromWeb(res.body),
+      progress,
+      zlib.createGunzip(),
+      source => extractTarStream(source, destDir, { limits: getArchiveLimits(), filter }),
+    );
+  } catch (error) {
+    if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+      throw new Error(`Archive from ${url} is not valid gzip: ${error.message}`);
+    }
+    throw error;
+  }
+
+  if (roots.size !== 1) {
+    throw new Error('Could not find extracted repository directory');
+  }
+
+  // With a path filter the top-level directory may not have been created
+  const repoDir = path.join(destDir, [...roots][0]);
+  await mkdir(repoDir, { recursive: true });
+  return repoDir;
+}
@@ -0,0 +1,137 @@
+import { execFile } from 'node:child_process';
+import { getConfigPath, getHostConfig } from './config.js';
+
+/**
+ * Environment variables checked for each provider, in order.
+ * Only used for the provider's default host, so a github.com token is never
+ * sent to another server.
+ */
+const TOKEN_ENV = {
+  github: ['GITHUB_TOKEN', 'GH_TOKEN'],
+  gitlab: ['GITLAB_TOKEN'],
+  bitbucket: ['BITBUCKET_TOKEN'],
+  gitea: ['GITEA_TOKEN'],
+};
+
+/** Environment variables for self-hosted instances (GitHub Enterprise), following the gh CLI */
+const ENTERPRISE_TOKEN_ENV = {
+  github: ['GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN'],
+};
+
+/**
+ * Get the token environment variables that apply to a source's host.
+ * @param {import('./remote-skill.js').RemoteSource} source
+ * @param {string} [defaultDomain]
+ * @returns {string[]}
+ */
+function tokenEnvNames(source, defaultDomain) {
+  if (!defaultDomain || source.domain === defaultDomain) {
+    return TOKEN_ENV[source.host] ?? [];
+  }
+  return ENTERPRISE_TOKEN_ENV[source.host] ?? [];
+}
+
+/** @type {Map<string, Promise<string|null>>} */
+const tokenCache = new Map();
+
+/**
+ * Ask the GitHub CLI for its stored token. Returns null if gh isn't installed or logged in.
+ * @param {string} domain
+ * @returns {Promise<string|null>}
+ */
+function ghCliToken(domain) {
+  return new Promise((resolve) => {
+    execFile('gh', ['auth', 'token', '--hostname', domain], { timeout: 5000 }, (error, stdout) => {
+      resolve(error ? null : stdout.trim() || null);
+    });
+  });
+}
+
+/**
+ * Find a token for a source's host.
+ *
+ * Lookup order:
+ * 1. Environment variables (GITHUB_TOKEN/GH_TOKEN, GITLAB_TOKEN, ...) for the provider's
+ *    default host, GH_ENTERPRISE_TOKEN for other GitHub hosts
+ * 2. hosts["<domain>"].token in the user config file (or AIF_HOST_<DOMAIN>_TOKEN)
+ * 3. The gh CLI's stored auth (GitHub only)
+ *
+ * @param {import('./remote-skill.js').RemoteSource} source
+ * @param {string} [defaultDomain] - provider's public host, the only one provider env tokens apply to
+ * @returns {Promise<string|null>}
+ */
+export function getToken(source, defaultDomain) {
+  const key = `${source.host}:${source.domain}`;
+  if (!tokenCache.has(key)) {
+    tokenCache.set(key, (async () => {
+      for (const name of tokenEnvNames(source, defaultDomain)) {
+        if (process.env[name]) return process.env[name];
+      }
+
+      const hostConfig = getHostConfig(source.domain);
+      if (hostConfig.token) return hostConfig.token;
+
+      if (source.host === 'github') {
+        return ghCliToken(source.domain);
+      }
+      return null;
+    })());
+  }
+  return tokenCache.get(key);
+}
+
+/**
+ * Describe where a token for the source's host can be configured.
+ * @param {import('./remote-skill.js').RemoteSource} source
+ * @param {string} [defaultDomain]
+ * @returns {string}
+ */
+export function authHint(source, defaultDomain) {
+  const envNames = tokenEnvNames(source, defaultDomain);
+  const options = [`add hosts["${source.domain}"].token to ${getConfigPath()}`];
+  if (envNames.length > 0) options.unshift(`set ${envNames.join('/')}`);
+  if (source.host === 'github') options.push('run "gh auth login"');
+  return options.length > 1 ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}` : options[0];
+}
+
+/**
+ * Build the error for a request that failed because credentials are missing or rejected.
+ * @param {import('./remote-skill.js').RemoteSource} source
+ * @param {boolean} hadToken
+ * @param {string} [defaultDomain]
+ * @returns {Error}
+ */
+export function authError(source, hadToken, defaultDomain) {
+  if (hadToken) {
+    return new Error(
+      `Authentication failed for ${source.domain}: the token was rejected or has no access to ` +
+      `${source.owner}/${source.repo}.`,
+    );
+  }
+  return new Error(
+    `Authentication required for ${source.owner}/${source.repo} on ${source.domain}. ` +
+    `To access private repositories, ${authHint(source, defaultDomain)}.`,
+  );
+}
+
+/**
+ * Run a request with the source's token, turning 401/403 responses into an
+ * authentication error instead of a bare HTTP status.
+ *
+ * @param {import('./remote-skill.js').RemoteSource} source
+ * @param {string|undefined} defaultDomain
+ * @param {(token: string|null) => Promise<T>} request
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withToken(source, defaultDomain, request) {
+  const token = await getToken(source, defaultDomain);
+  try {
+    return await request(token);
+  } catch (error) {
+    if (error.status === 401 || error.status === 403) {
+      throw authError(source, Boolean(token), defaultDomain);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,307 @@
+import path from 'node:path';
+import os from 'node:os';
+import { cp, mkdir, mkdtemp, readFile, writeFile, readdir, rename, rm, stat } from 'node:fs/promises';
+import { loadUserConfig } from './config.js';
+
+/**
+ * User-level cache of downloaded repositories, shared by all projects:
+ *
+ *   ~/.cache/ai-factory/remote-skills/<host>/<owner>/<repo>/<commit>/
+ *     repo/        extracted repository (or only some of its paths)
+ *     meta.json    source, commit, cached paths, size and last use
+ *
+ * Commits are immutable, so entries never go stale. The cache is kept below
+ * a size cap by evicting the least recently used entries.
+ *
+ * @typedef {{
+ *   source: string,
+ *   commit: string,
+ *   paths: string[]|null,
+ *   size: number,
+ *   createdAt: string,
+ *   lastUsedAt: string,
+ * }} CacheMeta
+ * @typedef {CacheMeta & { dir: string }} CacheEntry
+ */
+
+const META_FILENAME = 'meta.json';
+const REPO_DIRNAME = 'repo';
+const STAGING_DIRNAME = '.tmp';
+
+/** Default size cap: 1 GiB */
+const DEFAULT_MAX_SIZE = 1024 * 1024 * 1024;
+
+/** Entry directories handed out by this process, which pruning must not evict */
+const entriesInUse = new Set();
+
+/**
+ * Entries used and downloads started within this long may belong to a
+ * command still running in another process, so they are never removed
+ */
+const IN_USE_GRACE = 60 * 60 * 1000;
+
+/**
+ * Get the cache directory.
+ * AIF_REMOTE_SKILLS_CACHE overrides the default location.
+ * @returns {string}
+ */
+export function getCacheDir() {
+  if (process.env.AIF_REMOTE_SKILLS_CACHE) {
+    return path.resolve(process.env.AIF_REMOTE_SKILLS_CACHE);
+  }
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'ai-factory', 'remote-skills');
+}
+
+/**
+ * Get the cache size cap in bytes: "cacheMaxSize" from the config file,
+ * overridden by AIF_CACHE_MAX_SIZE.
+ * @returns {number}
+ */
+export function getCacheMaxSize() {
+  const value = process.env.AIF_CACHE_MAX_SIZE
+    ? Number(process.env.AIF_CACHE_MAX_SIZE)
+    : loadUserConfig().cacheMaxSize ?? DEFAULT_MAX_SIZE;
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`Invalid cache size limit: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Directory of a cache entry.
+ * @param {string[]} key - e.g. ["github.com", "owner", "repo"]
+ * @param {string} commit
+ * @returns {string}
+ */
+function entryDir(key, commit) {
+  const segments = [...key, commit].map(s => s.replace(/[^\w.-]/g, '_').replace(/^\.+$/, '_'));
+  return path.join(getCacheDir(), ...segments);
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<CacheMeta|null>}
+ */
+async function readMeta(dir) {
+  try {
+    return JSON.parse(await readFile(path.join(dir, META_FILENAME), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether cached paths cover all requested paths.
+ * @param {string[]|null} cached - null for a complete repository
+ * @param {string[]|undefined} wanted - undefined for the complete repository
+ * @returns {boolean}
+ */
+function covers(cached, wanted) {
+  if (!cached) return true;
+  if (!wanted) return false;
+  return wanted.every(p => cached.some(c => p === c || p.startsWith(`${c}/`)));
+}
+
+/**
+ * Total size of the files under a directory.
+ * @param {string} dir
+ * @returns {Promise<number>}
+ */
+async function directorySize(dir) {
+  let total = 0;
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(full);
+    } else if (entry.isFile()) {
+      total += (await stat(full)).size;
+    }
+  }
+  return total;
+}
+
+/**
+ * Look up a cached repository. Marks the entry as used.
+ * @param {string[]} key
+ * @param {string} commit
+ * @param {string[]} [paths] - repository paths that must be present; all of them if omitted
+ * @returns {Promise<string|null>} path of the cached repository directory
+ */
+export async function findCached(key, commit, paths) {
+  const dir = entryDir(key, commit);
+  const meta = await readMeta(dir);
+  if (!meta || !covers(meta.paths, paths)) return null;
+
+  meta.lastUsedAt = new Date().toISOString();
+  await writeFile(path.join(dir, META_FILENAME), `${JSON.stringify(meta, null, 2)}\n`).catch(() => {});
+  entriesInUse.add(dir);
+  return path.join(dir, REPO_DIRNAME);
+}
+
+/**
+ * Create a temporary directory inside the cache, so finished downloads can
+ * be moved into place with a rename.
+ * @returns {Promise<string>}
+ */
+export async function createStagingDir() {
+  const staging = path.join(getCacheDir(), STAGING_DIRNAME);
+  await mkdir(staging, { recursive: true });
+  return mkdtemp(path.join(staging, 'download-'));
+}
+
+/**
+ * Move a downloaded repository into the cache, then evict old entries above
+ * the size cap.
+ *
+ * The entry is assembled in the staging directory and renamed into place, so
+ * an entry is never seen half-written. Paths of a partial entry it replaces
+ * are carried over, so directories already returned for that entry keep
+ * their files.
+ *
+ * @param {string[]} key
+ * @param {{ source: string, commit: string, paths?: string[] }} info
+ * @param {string} repoDir - downloaded repository, inside a staging directory
+ * @returns {Promise<string>} path of the cached repository directory
+ */
+export async function storeCached(key, info, repoDir) {
+  const dir = entryDir(key, info.commit);
+  const previous = await readMeta(dir);
+
+  // Another download of the same commit got there first
+  if (previous && covers(previous.paths, info.paths)) {
+    entriesInUse.add(dir);
+    return path.join(dir, REPO_DIRNAME);
+  }
+
+  const staged = await createStagingDir();
+  try {
+    const stagedRepo = path.join(staged, REPO_DIRNAME);
+    await rename(repoDir, stagedRepo);
+
+    let paths = info.paths ?? null;
+    if (previous && paths) {
+      for (const kept of previous.paths.filter(p => !covers(paths, [p]))) {
+        await cp(path.join(dir, REPO_DIRNAME, kept), path.join(stagedRepo, kept), {
+          recursive: true,
+          verbatimSymlinks: true,
+        }).catch(() => {});
+        paths = [...paths, kept];
+      }
+    }
+
+    const now = new Date().toISOString();
+    /** @type {CacheMeta} */
+    const meta = {
+      source: info.source,
+      commit: info.commit,
+      paths,
+      size: await directorySize(stagedRepo),
+      createdAt: previous?.createdAt ?? now,
+      lastUsedAt: now,
+    };
+    await writeFile(path.join(staged, META_FILENAME), `${JSON.stringify(meta, null, 2)}\n`);
+
+    // A directory can't be renamed over a non-empty one: move the old entry
+    // aside first and delete it once the new one is in place
+    await mkdir(path.dirname(dir), { recursive: true });
+    const retired = `${staged}-old`;
+    await rename(dir, retired).catch(() => {});
+    try {
+      await rename(staged, dir);
+    } catch (error) {
+      // Lost a race with another process storing the same commit
+      const current = await readMeta(dir);
+      if (!current || !covers(current.paths, info.paths)) throw error;
+    }
+    await rm(retired, { recursive: true, force: true });
+  } finally {
+    await rm(staged, { recursive: true, force: true }).catch(() => {});
+  }
+
+  entriesInUse.add(dir);
+  await pruneCache(getCacheMaxSize());
+  return path.join(dir, REPO_DIRNAME);
+}
+
+/**
+ * List all cache entries, most recently used first.
+ * @returns {Promise<CacheEntry[]>}
+ */
+export async function listCache() {
+  const entries = [];
+
+  async function walk(dir) {
+    let children;
+    try {
+      children = await readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    if (children.some(c => c.name === META_FILENAME)) {
+      const meta = await readMeta(dir);
+      if (meta) entries.push({ ...meta, dir });
+      return;
+    }
+    for (const child of children) {
+      if (child.isDirectory() && child.name !== STAGING_DIRNAME) {
+        await walk(path.join(dir, child.name));
+      }
+    }
+  }
+
+  await walk(getCacheDir());
+  return entries.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+/**
+ * Remove one cache entry.
+ * @param {CacheEntry} entry
+ */
+export async function removeCacheEntry(entry) {
+  await rm(entry.dir, { recursive: true, force: true });
+}
+
+/**
+ * Remove the whole cache.
+ */
+export async function cleanCache() {
+  await rm(getCacheDir(), { recursive: true, force: true });
+}
+
+/**
+ * Evict least recently used entries until the cache fits in maxSize, and
+ * remove leftovers of interrupted downloads. Entries this process has looked
+ * up or stored are never evicted, since their files may still be copied, and
+ * neither are entries another process used within the last hour.
+ *
+ * @param {number} maxSize
+ * @param {string[]} [keep] - entry directories that must not be evicted
+ * @returns {Promise<CacheEntry[]>} removed entries
+ */
+export async function pruneCache(maxSize, keep = []) {
+  const entries = await listCache();
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  const removed = [];
+
+  for (const entry of [...entries].reverse()) {
+    if (total <= maxSize) break;
+    if (keep.includes(entry.dir) || entriesInUse.has(entry.dir)) continue;
+    if (Date.now() - Date.parse(entry.lastUsedAt) < IN_USE_GRACE) continue;
+    await removeCacheEntry(entry);
+    total -= entry.size;
+    removed.push(entry);
+  }
+
+  // Older staging directories belong to downloads that died
+  const staging = path.join(getCacheDir(), STAGING_DIRNAME);
+  for (const name of await readdir(staging).catch(() => [])) {
+    const full = path.join(staging, name);
+    const info = await stat(full).catch(() => null);
+    if (info && Date.now() - info.mtimeMs > IN_USE_GRACE) {
+      await rm(full, { recursive: true, force: true });
+    }
+  }
+
+  return removed;
+}
@@ -0,0 +1,164 @@
+import path from 'node:path';
+import os from 'node:os';
+import fs from 'node:fs';
+import { DEFAULT_LIMITS } from './tar.js';
+
+const CONFIG_FILENAME = 'remote-skills.json';
+
+/**
+ * User-level configuration, shared by all projects.
+ *
+ * Example ~/.config/ai-factory/remote-skills.json:
+ *   {
+ *     "hosts": {
+ *       "github.com": { "token": "ghp_..." },
+ *       "ghe.corp": { "type": "github", "apiUrl": "https://ghe.corp/api/v3" },
+ *       "gitlab.com": { "token": "glpat-...", "archiveUrl": "https://mirror.corp/gitlab" }
+ *     }
+ *   }
+ *
+ * Every host field can also be set through the environment as
+ * AIF_HOST_<DOMAIN>_<FIELD>, e.g. AIF_HOST_GHE_CORP_API_URL, which wins over the file.
+ *
+ * @typedef {{
+ *   type?: string,
+ *   token?: string,
+ *   apiUrl?: string,
+ *   webUrl?: string,
+ *   archiveUrl?: string,
+ * }} HostConfig
+ * @typedef {{
+ *   hosts: Record<string, HostConfig>,
+ *   archiveLimits?: Partial<import('./tar.js').TarLimits>,
+ *   cacheMaxSize?: number,
+ * }} UserConfig
+ */
+
+/** Environment overrides for archive limits */
+const LIMIT_ENV = {
+  maxTotalSize: 'AIF_ARCHIVE_MAX_SIZE',
+  maxFiles: 'AIF_ARCHIVE_MAX_FILES',
+  maxFileSize: 'AIF_ARCHIVE_MAX_FILE_SIZE',
+};
+
+/** Environment variable suffix for each host field */
+const HOST_ENV_FIELDS = {
+  TYPE: 'type',
+  TOKEN: 'token',
+  API_URL: 'apiUrl',
+  WEB_URL: 'webUrl',
+  ARCHIVE_URL: 'archiveUrl',
+};
+
+/** @type {UserConfig|null} */
+let cachedConfig = null;
+
+/**
+ * Get the path of the user config file.
+ * AIF_REMOTE_SKILLS_CONFIG overrides the default location.
+ * @returns {string}
+ */
+export function getConfigPath() {
+  if (process.env.AIF_REMOTE_SKILLS_CONFIG) {
+    return path.resolve(process.env.AIF_REMOTE_SKILLS_CONFIG);
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'ai-factory', CONFIG_FILENAME);
+}
+
+/**
+ * Load the user config file (once per process).
+ * Returns an empty config if the file doesn't exist; throws if it is invalid JSON.
+ * @returns {UserConfig}
+ */
+export function loadUserConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  const configPath = getConfigPath();
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, 'utf-8');
+  } catch {
+    cachedConfig = { hosts: {} };
+    return cachedConfig;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+  cachedConfig = { ...parsed, hosts: parsed?.hosts ?? {} };
+  return cachedConfig;
+}
+
+/**
+ * Get the config entry for a host (e.g. "github.com"), with environment overrides applied.
+ * @param {string} domain
+ * @returns {HostConfig}
+ */
+export function getHostConfig(domain) {
+  const hostConfig = { ...loadUserConfig().hosts[domain] };
+  const prefix = `AIF_HOST_${String(domain).toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  for (const [suffix, field] of Object.entries(HOST_ENV_FIELDS)) {
+    if (process.env[prefix + suffix]) hostConfig[field] = process.env[prefix + suffix];
+  }
+  return hostConfig;
+}
+
+/**
+ * Get a configured base URL for a host, or the fallback. Trailing slashes are removed.
+ * @param {string} domain
+ * @param {'apiUrl' | 'webUrl' | 'archiveUrl'} field
+ * @param {string} [fallback]
+ * @returns {string|undefined}
+ */
+export function getHostUrl(domain, field, fallback) {
+  return (getHostConfig(domain)[field] ?? fallback)?.replace(/\/+$/, '');
+}
+
+/**
+ * Get the provider configured for a host (hosts[domain].type), if any.
+ * @param {string} domain
+ * @returns {string|undefined}
+ */
+export function getHostType(domain) {
+  return getHostConfig(domain).type;
+}
+
+/**
+ * Get the limits applied when extracting downloaded archives:
+ * defaults, then "archiveLimits" from the config file, then environment variables.
+ * @returns {import('./tar.js').TarLimits}
+ */
+export function getArchiveLimits() {
+  const limits = { ...DEFAULT_LIMITS, ...loadUserConfig().archiveLimits };
+  for (const [key, envName] of Object.entries(LIMIT_ENV)) {
+    if (process.env[envName]) limits[key] = Number(process.env[envName]);
+  }
+  for (const [key, value] of Object.entries(limits)) {
+    if (!Number.isSafeInteger(value) || value <= 0) {
+      throw new Error(`Invalid archive limit ${key}: ${value}`);
+    }
+  }
+  return limits;
+}
+
+/** Set by --offline; AIF_OFFLINE=1 has the same effect */
+let offline = false;
+
+/**
+ * Turn offline mode on for the rest of the process.
+ */
+export function setOffline() {
+  offline = true;
+}
+
+/**
+ * Check whether network access is disabled (--offline or AIF_OFFLINE).
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return offline || /^(1|true|yes)$/i.test(process.env.AIF_OFFLINE ?? '');
+}
@@ -0,0 +1,223 @@
+import path from 'node:path';
+import { readdir, readFile, lstat, readlink } from 'node:fs/promises';
+
+/**
+ * File-level comparison of skill directories, used to preview updates.
+ *
+ * Line diffs use a plain LCS table after trimming the common prefix and
+ * suffix, which is plenty for skill files. Larger changes are reported
+ * without a line diff.
+ */
+
+/** Maximum LCS table size (changed old lines x changed new lines) */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * List all files under a directory as relative posix paths, skipping .git.
+ * Symlinks are listed as files and never followed, even to directories.
+ * A missing directory has no files.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+export async function listFiles(dir) {
+  const files = [];
+
+  async function walk(current, prefix) {
+    let entries;
+    try {
+      entries = await readdir(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name === '.git') continue;
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(current, entry.name), rel);
+      } else {
+        files.push(rel);
+      }
+    }
+  }
+
+  await walk(dir, '');
+  return files.sort();
+}
+
+/**
+ * Read a file listed by listFiles(). A symlink reads as its target path, so
+ * links to directories or outside the skill compare like small files.
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+export async function readEntry(filePath) {
+  if ((await lstat(filePath)).isSymbolicLink()) {
+    return Buffer.from(`symlink -> ${await readlink(filePath)}\n`);
+  }
+  return readFile(filePath);
+}
+
+/**
+ * Compare two directories by file content.
+ * @param {string} oldDir - installed copy
+ * @param {string} newDir - incoming version
+ * @returns {Promise<{ added: string[], removed: string[], modified: string[] }>}
+ */
+export async function diffDirectories(oldDir, newDir) {
+  const oldFiles = await listFiles(oldDir);
+  const newFiles = await listFiles(newDir);
+  const oldSet = new Set(oldFiles);
+  const newSet = new Set(newFiles);
+
+  const added = newFiles.filter(f => !oldSet.has(f));
+  const removed = oldFiles.filter(f => !newSet.has(f));
+  const modified = [];
+
+  for (const file of newFiles) {
+    if (!oldSet.has(file)) continue;
+    const [a, b] = await Promise.all([
+      readEntry(path.join(oldDir, file)),
+      readEntry(path.join(newDir, file)),
+    ]);
+    if (!a.equals(b)) modified.push(file);
+  }
+
+  return { added, removed, modified };
+}
+
+/**
+ * Heuristic text check: no NUL bytes in the first 8 KB.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isTextBuffer(buffer) {
+  return !buffer.subarray(0, 8192).includes(0);
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute line operations turning a into b.
+ * Returns null if the changed region is too large to diff.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{ type: ' ' | '-' | '+', line: string }[]|null}
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const n = midA.length;
+  const m = midB.length;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..], stored row-major
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: ' ', line: midA[i++] });
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: '-', line: midA[i++] });
+    } else {
+      ops.push({ type: '+', line: midB[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: midA[i++] });
+  while (j < m) ops.push({ type: '+', line: midB[j++] });
+  for (const line of a.slice(a.length - suffix)) ops.push({ type: ' ', line });
+
+  return /** @type {{ type: ' ' | '-' | '+', line: string }[]} */ (ops);
+}
+
+/**
+ * Produce a unified diff of two texts. Returns '' if they are equal.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} oldLabel - e.g. "a/SKILL.md"
+ * @param {string} newLabel - e.g. "b/SKILL.md"
+ * @param {number} [context] - unchanged lines around each change
+ * @returns {string}
+ */
+export function unifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+  if (oldText === newText) return '';
+
+  const header = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops) return `${header}(too many changes to show a line diff)\n`;
+
+  // Line positions before each op, for hunk headers
+  const aPos = [];
+  const bPos = [];
+  let a = 0;
+  let b = 0;
+  for (const op of ops) {
+    aPos.push(a);
+    bPos.push(b);
+    if (op.type !== '+') a++;
+    if (op.type !== '-') b++;
+  }
+
+  const changes = [];
+  ops.forEach((op, idx) => {
+    if (op.type !== ' ') changes.push(idx);
+  });
+  // Only a trailing newline differs
+  if (changes.length === 0) return `${header}(whitespace at end of file changed)\n`;
+
+  /** @type {[number, number][]} */
+  const hunks = [];
+  let start = Math.max(0, changes[0] - context);
+  let end = Math.min(ops.length, changes[0] + context + 1);
+  for (const idx of changes.slice(1)) {
+    if (idx - context <= end) {
+      end = Math.min(ops.length, idx + context + 1);
+    } else {
+      hunks.push([start, end]);
+      start = idx - context;
+      end = Math.min(ops.length, idx + context + 1);
+    }
+  }
+  hunks.push([start, end]);
+
+  let out = header;
+  for (const [from, to] of hunks) {
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? aPos[from] : aPos[from] + 1;
+    const newStart = newCount === 0 ? bPos[from] : bPos[from] + 1;
+    out += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    for (const op of slice) out += `${op.type}${op.line}\n`;
+  }
+  return out;
+}
@@ -0,0 +1,636 @@
+/**
+ * YAML frontmatter parser for SKILL.md files.
+ *
+ * Supports the part of YAML that frontmatter uses: nested block mappings
+ * and sequences, plain, single- and double-quoted scalars (also spanning
+ * several lines), literal (|) and folded (>) block scalars with chomping
+ * indicators, flow collections ([a, b] and {a: b}), comments and CRLF line
+ * endings. Anchors, aliases, tags, multiple documents and comments inside
+ * flow collections are not supported.
+ *
+ * One deliberate leniency: a plain value on the same line as its key is
+ * taken as-is up to a comment, so `description: Use when: ...` doesn't fail
+ * the way strict YAML parsers do.
+ */
+
+/**
+ * @typedef {{ lines: string[], i: number, offset: number }} ParserState
+ */
+
+/**
+ * Split a document into its frontmatter source and body.
+ * @param {string} content
+ * @returns {{ yaml: string|null, body: string, line: number }} line is where the YAML starts (1-based)
+ */
+export function splitFrontmatter(content) {
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (!/^---[ \t]*(\n|$)/.test(text)) {
+    return { yaml: null, body: text, line: 0 };
+  }
+
+  const start = text.indexOf('\n') + 1;
+  const close = /^(---|\.\.\.)[ \t]*$/m;
+  const rest = start > 0 ? text.slice(start) : '';
+  const match = close.exec(rest);
+  if (!match) {
+    throw new Error('SKILL.md frontmatter is not closed with "---".');
+  }
+
+  const yaml = rest.slice(0, match.index).replace(/\n$/, '');
+  const body = rest.slice(match.index + match[0].length).replace(/^\n/, '');
+  return { yaml, body, line: 2 };
+}
+
+/**
+ * Parse the YAML frontmatter of a SKILL.md file.
+ * Files without frontmatter give an empty object.
+ * @param {string} content
+ * @returns {{ data: Record<string, unknown>, body: string }}
+ */
+export function parseFrontmatter(content) {
+  const { yaml, body, line } = splitFrontmatter(content);
+  if (yaml === null) {
+    return { data: {}, body };
+  }
+
+  const data = parseYaml(yaml, line - 1);
+  if (data === null) {
+    return { data: {}, body };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('SKILL.md frontmatter must be a mapping of fields.');
+  }
+  return { data, body };
+}
+
+/**
+ * Parse a YAML document.
+ * @param {string} text
+ * @param {number} [offset] - added to line numbers in error messages
+ * @returns {unknown}
+ */
+export function parseYaml(text, offset = 0) {
+  /** @type {ParserState} */
+  const state = { lines: text.replace(/\r\n?/g, '\n').split('\n'), i: 0, offset };
+
+  skipBlank(state);
+  if (state.i >= state.lines.length) return null;
+
+  const value = parseNode(state, -1);
+  skipBlank(state);
+  if (state.i < state.lines.length) {
+    fail(state, 'unexpected indentation');
+  }
+  return value;
+}
+
+/**
+ * @param {ParserState} state
+ * @param {string} message
+ * @returns {never}
+ */
+function fail(state, message) {
+  throw new Error(`Invalid YAML on line ${state.i + 1 + state.offset}: ${message}`);
+}
+
+/**
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Skip empty and comment-only lines.
+ * @param {ParserState} state
+ */
+function skipBlank(state) {
+  while (state.i < state.lines.length) {
+    const trimmed = state.lines[state.i].trim();
+    if (trimmed !== '' && !trimmed.startsWith('#')) break;
+    state.i++;
+  }
+}
+
+/**
+ * Match a mapping key at the start of a line's content.
+ * @param {string} content - line without indentation
+ * @returns {{ key: string, rest: string }|null}
+ */
+function matchKey(content) {
+  const match = content.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},&*!|>%@`-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+|$)/);
+  if (!match) return null;
+
+  const raw = match[1];
+  const key = raw.startsWith('"') ? unescapeDouble(raw.slice(1, -1))
+    : raw.startsWith("'") ? raw.slice(1, -1).replace(/''/g, "'")
+      : raw;
+  return { key, rest: content.slice(match[0].length) };
+}
+
+/**
+ * Set a key as an own property, so "__proto__" is data and not the prototype.
+ * @param {Record<string, unknown>} target
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {Record<string, unknown>} target
+ */
+function setKey(target, key, value) {
+  return Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Parse the block node starting at the current line.
+ * @param {ParserState} state
+ * @param {number} parentIndent - indentation of the owning key or sequence
+ * @returns {unknown}
+ */
+function parseNode(state, parentIndent) {
+  const line = state.lines[state.i];
+  const indent = indentOf(line);
+  const content = line.slice(indent);
+
+  if (line.slice(0, indent).includes('\t')) {
+    fail(state, 'tabs are not allowed for indentation');
+  }
+  if (/^-([ \t]|$)/.test(content)) {
+    return parseSequence(state, indent);
+  }
+  if (matchKey(content)) {
+    return parseMapping(state, indent);
+  }
+  if (content === '---' || content === '...') {
+    fail(state, 'multiple documents are not supported');
+  }
+
+  // A lone scalar, e.g. a sequence item on its own line
+  return parseInlineValue(state, content, parentIndent);
+}
+
+/**
+ * @param {ParserState} state
+ * @param {number} indent
+ * @returns {Record<string, unknown>}
+ */
+function parseMapping(state, indent) {
+  /** @type {Record<string, unknown>} */
+  const result = {};
+
+  while (true) {
+    skipBlank(state);
+    if (state.i >= state.lines.length) break;
+
+    const line = state.lines[state.i];
+    const lineIndent = indentOf(line);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) fail(state, 'unexpected indentation');
+
+    const entry = matchKey(line.slice(indent));
+    if (!entry) fail(state, 'expected a "key: value" pair');
+    if (Object.hasOwn(result, entry.key)) fail(state, `duplicate key "${entry.key}"`);
+
+    setKey(result, entry.key, parseValue(state, entry.rest, indent));
+  }
+
+  return result;
+}
+
+/**
+ * @param {ParserState} state
+ * @param {number} indent
+ * @returns {unknown[]}
+ */
+function parseSequence(state, indent) {
+  const result = [];
+
+  while (true) {
+    skipBlank(state);
+    if (state.i >= state.lines.length) break;
+
+    const line = state.lines[state.i];
+    const lineIndent = indentOf(line);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) fail(state, 'unexpected indentation');
+    if (!/^-([ \t]|$)/.test(line.slice(indent))) break;
+
+    const rest = line.slice(indent + 1);
+    if (rest.trim() === '' || rest.trim().startsWith('#')) {
+      state.i++;
+      skipBlank(state);
+      const next = state.lines[state.i];
+      result.push(next !== undefined && indentOf(next) > indent ? parseNode(state, indent) : null);
+      continue;
+    }
+
+    // "- key: value" and "- - item" open a nested node at the item's column:
+    // blank out the dash and parse the line again from there
+    const column = indent + 1 + indentOf(rest);
+    state.lines[state.i] = ' '.repeat(column) + rest.trimStart();
+    const content = rest.trimStart();
+    if (/^-([ \t]|$)/.test(content) || matchKey(content)) {
+      result.push(parseNode(state, indent));
+    } else {
+      result.push(parseValue(state, content, indent));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse the value after "key:" or "- ", which may continue on the
+ * following lines.
+ * @param {ParserState} state
+ * @param {string} rest - text after the indicator
+ * @param {number} indent - indentation of the key or sequence
+ * @returns {unknown}
+ */
+function parseValue(state, rest, indent) {
+  const value = rest.trim();
+
+  if (value === '' || value.startsWith('#')) {
+    state.i++;
+    skipBlank(state);
+    if (state.i >= state.lines.length) return null;
+
+    const next = state.lines[state.i];
+    const nextIndent = indentOf(next);
+    // Block sequences may sit at the same indentation as their key
+    if (nextIndent > indent || (nextIndent === indent && /^-([ \t]|$)/.test(next.slice(indent)))) {
+      return parseNode(state, indent);
+    }
+    return null;
+  }
+
+  if (value.startsWith('|') || value.startsWith('>')) {
+    return parseBlockScalar(state, value, indent);
+  }
+  return parseInlineValue(state, value, indent);
+}
+
+/**
+ * Parse a scalar or flow collection that starts on the current line.
+ * @param {ParserState} state
+ * @param {string} value - trimmed text where the value starts
+ * @param {number} parentIndent - continuation lines must be indented more than this
+ * @returns {unknown}
+ */
+function parseInlineValue(state, value, parentIndent) {
+  if (/^[&*!]/.test(value)) {
+    fail(state, 'anchors, aliases and tags are not supported');
+  }
+  if (value.startsWith('"') || value.startsWith("'")) {
+    return parseQuoted(state, value);
+  }
+  if (value.startsWith('[') || value.startsWith('{')) {
+    return parseFlow(state, value, parentIndent);
+  }
+
+  // Plain scalar, folded with any more indented continuation lines
+  let text = stripComment(value);
+  state.i++;
+  if (!value.includes(' #')) {
+    let newlines = 0;
+    while (state.i < state.lines.length) {
+      const line = state.lines[state.i];
+      const trimmed = line.trim();
+      if (trimmed === '') {
+        newlines++;
+        state.i++;
+        continue;
+      }
+      if (indentOf(line) <= parentIndent || trimmed.startsWith('#')) break;
+      text += newlines > 0 ? '\n'.repeat(newlines) : ' ';
+      text += stripComment(trimmed);
+      newlines = 0;
+      state.i++;
+      if (trimmed.includes(' #')) break;
+    }
+  }
+  return resolvePlain(text);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+  const index = text.search(/[ \t]#/);
+  return (index === -1 ? text : text.slice(0, index)).trim();
+}
+
+/**
+ * Resolve a plain scalar to null, a boolean, a number or a string
+ * (YAML 1.2 core schema).
+ * @param {string} text
+ * @returns {unknown}
+ */
+function resolvePlain(text) {
+  if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^0x[\da-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+/**
+ * Parse a single- or double-quoted scalar, which may span several lines.
+ * @param {ParserState} state
+ * @param {string} value - text starting at the opening quote
+ * @returns {string}
+ */
+function parseQuoted(state, value) {
+  const quote = value[0];
+  const startLine = state.i;
+  const pieces = [];
+  let text = value.slice(1);
+
+  while (true) {
+    const end = quote === '"' ? findDoubleQuoteEnd(text) : findSingleQuoteEnd(text);
+    if (end !== -1) {
+      pieces.push(text.slice(0, end));
+      const after = text.slice(end + 1).trim();
+      if (after !== '' && !after.startsWith('#')) {
+        fail(state, 'unexpected text after a quoted value');
+      }
+      break;
+    }
+    pieces.push(text);
+    state.i++;
+    if (state.i >= state.lines.length) {
+      state.i = startLine;
+      fail(state, 'unterminated quoted value');
+    }
+    text = state.lines[state.i].trim();
+  }
+  state.i++;
+
+  // Fold line breaks: a single break is a space, each empty line a newline
+  let joined = '';
+  for (let n = 0; n < pieces.length; n++) {
+    let piece = n === 0 ? pieces[n] : pieces[n].trimStart();
+    if (n < pieces.length - 1) piece = piece.trimEnd();
+    if (n === 0) {
+      joined = piece;
+    } else if (piece === '' && n < pieces.length - 1) {
+      joined += '\n';
+    } else {
+      const escaped = quote === '"' && /(^|[^\\])(\\\\)*\\$/.test(joined);
+      joined = escaped ? joined.slice(0, -1) + piece
+        : joined.endsWith('\n') ? joined + piece
+          : `${joined} ${piece}`;
+    }
+  }
+
+  return quote === '"' ? unescapeDouble(joined) : joined.replace(/''/g, "'");
+}
+
+/**
+ * @param {string} text
+ * @returns {number} index of the closing quote, or -1
+ */
+function findDoubleQuoteEnd(text) {
+  for (let n = 0; n < text.length; n++) {
+    if (text[n] === '\\') n++;
+    else if (text[n] === '"') return n;
+  }
+  return -1;
+}
+
+/**
+ * @param {string} text
+ * @returns {number} index of the closing quote, or -1
+ */
+function findSingleQuoteEnd(text) {
+  for (let n = 0; n < text.length; n++) {
+    if (text[n] === "'") {
+      if (text[n + 1] === "'") n++;
+      else return n;
+    }
+  }
+  return -1;
+}
+
+const ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+  e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: ' ', P: ' ',
+};
+
+/**
+ * @param {string} text - double-quoted scalar content
+ * @returns {string}
+ */
+function unescapeDouble(text) {
+  return text.replace(/\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|.)/g, (match, code) => {
+    if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+    if (Object.hasOwn(ESCAPES, code)) return ESCAPES[code];
+    throw new Error(`Invalid escape sequence "${match}" in a double-quoted value`);
+  });
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar.
+ * @param {ParserState} state
+ * @param {string} header - e.g. "|", ">-", "|+2"
+ * @param {number} indent - indentation of the owning key or sequence
+ * @returns {string}
+ */
+function parseBlockScalar(state, header, indent) {
+  const match = stripComment(header).match(/^([|>])([-+]?)(\d?)([-+]?)$/);
+  if (!match || (match[2] && match[4])) {
+    fail(state, `invalid block scalar header "${header}"`);
+  }
+  const folded = match[1] === '>';
+  const chomping = match[2] || match[4];
+  state.i++;
+
+  // Content indentation: explicit, or that of the first non-empty line
+  let blockIndent = match[3] ? Math.max(indent, 0) + Number(match[3]) : -1;
+  if (blockIndent === -1) {
+    for (let n = state.i; n < state.lines.length; n++) {
+      if (state.lines[n].trim() !== '') {
+        blockIndent = indentOf(state.lines[n]);
+        break;
+      }
+    }
+    if (blockIndent <= indent) blockIndent = indent + 1;
+  }
+
+  const lines = [];
+  while (state.i < state.lines.length) {
+    const line = state.lines[state.i];
+    if (line.trim() === '') {
+      lines.push(line.slice(blockIndent));
+    } else if (indentOf(line) >= blockIndent) {
+      lines.push(line.slice(blockIndent));
+    } else {
+      break;
+    }
+    state.i++;
+  }
+
+  let trailing = 0;
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+    trailing++;
+  }
+  let text;
+  if (!folded) {
+    text = lines.join('\n');
+  } else {
+    text = '';
+    let previous = null;
+    let empty = 0;
+    for (const line of lines) {
+      if (line.trim() === '') {
+        empty++;
+        continue;
+      }
+      const more = /^[ \t]/.test(line);
+      if (previous === null) text += '\n'.repeat(empty);
+      else if (previous === 'text' && !more) text += empty === 0 ? ' ' : '\n'.repeat(empty);
+      else text += '\n'.repeat(empty + 1);
+      text += line;
+      previous = more ? 'more' : 'text';
+      empty = 0;
+    }
+  }
+
+  if (lines.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+  if (chomping === '-') return text;
+  if (chomping === '+') return `${text}\n${'\n'.repeat(trailing)}`;
+  return `${text}\n`;
+}
+
+/**
+ * Parse a flow collection, which may span several lines.
+ * @param {ParserState} state
+ * @param {string} value - text starting at the opening bracket
+ * @param {number} parentIndent
+ * @returns {unknown}
+ */
+function parseFlow(state, value, parentIndent) {
+  const startLine = state.i;
+  let text = value;
+
+  // Collect lines until the brackets balance
+  while (true) {
+    const end = flowEnd(text);
+    if (end !== -1) {
+      const after = text.slice(end).trim();
+      if (after !== '' && !after.startsWith('#')) {
+        fail(state, 'unexpected text after a flow collection');
+      }
+      text = text.slice(0, end);
+      break;
+    }
+    state.i++;
+    if (state.i >= state.lines.length || indentOf(state.lines[state.i]) <= parentIndent && state.lines[state.i].trim() !== '') {
+      state.i = startLine;
+      fail(state, 'unterminated flow collection');
+    }
+    text += ` ${state.lines[state.i].trim()}`;
+  }
+  state.i++;
+
+  const parser = { text, pos: 0 };
+  try {
+    return parseFlowNode(parser);
+  } catch (error) {
+    state.i = startLine;
+    fail(state, error.message);
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {number} index after the closing bracket, or -1
+ */
+function flowEnd(text) {
+  let depth = 0;
+  for (let n = 0; n < text.length; n++) {
+    const char = text[n];
+    if (char === '"') {
+      const end = findDoubleQuoteEnd(text.slice(n + 1));
+      if (end === -1) return -1;
+      n += end + 1;
+    } else if (char === "'") {
+      const end = findSingleQuoteEnd(text.slice(n + 1));
+      if (end === -1) return -1;
+      n += end + 1;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) return n + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @param {{ text: string, pos: number }} parser
+ * @returns {unknown}
+ */
+function parseFlowNode(parser) {
+  skipFlowSpace(parser);
+  const char = parser.text[parser.pos];
+
+  if (char === '[' || char === '{') {
+    const close = char === '[' ? ']' : '}';
+    const result = char === '[' ? [] : {};
+    parser.pos++;
+    while (true) {
+      skipFlowSpace(parser);
+      if (parser.text[parser.pos] === close) {
+        parser.pos++;
+        return result;
+      }
+
+      const item = parseFlowNode(parser);
+      skipFlowSpace(parser);
+      if (parser.text[parser.pos] === ':') {
+        parser.pos++;
+        const value = parseFlowNode(parser);
+        if (Array.isArray(result)) result.push(setKey({}, String(item), value));
+        else setKey(result, String(item), value);
+      } else if (Array.isArray(result)) {
+        result.push(item);
+      } else {
+        setKey(result, String(item), null);
+      }
+
+      skipFlowSpace(parser);
+      if (parser.text[parser.pos] === ',') {
+        parser.pos++;
+      } else if (parser.text[parser.pos] !== close) {
+        throw new Error(`expected "," or "${close}" in a flow collection`);
+      }
+    }
+  }
+
+  if (char === '"' || char === "'") {
+    const rest = parser.text.slice(parser.pos + 1);
+    const end = char === '"' ? findDoubleQuoteEnd(rest) : findSingleQuoteEnd(rest);
+    parser.pos += end + 2;
+    return char === '"' ? unescapeDouble(rest.slice(0, end)) : rest.slice(0, end).replace(/''/g, "'");
+  }
+
+  // Plain scalars end at an indicator: "," "]" "}" or ": "
+  const match = parser.text.slice(parser.pos).match(/^(?:[^,[\]{}:#]|:(?=[^\s,[\]{}])|(?<=\S)#)*/);
+  parser.pos += match[0].length;
+  return resolvePlain(match[0].trim());
+}
+
+/**
+ * @param {{ text: string, pos: number }} parser
+ */
+function skipFlowSpace(parser) {
+  while (/\s/.test(parser.text[parser.pos] ?? '')) parser.pos++;
+}
@@ -0,0 +1,62 @@
+/**
+ * Glob patterns for skill paths, as used by `skill add --include/--exclude`:
+ *
+ *   *        any characters except "/"
+ *   **       any characters, including "/"
+ *   ?        one character except "/"
+ *   {a,b}    either alternative
+ */
+
+/**
+ * @param {string} pattern
+ * @returns {string} regular expression source
+ */
+function compile(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        i++;
+        // "**/" also matches no directory at all
+        if (pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(compile).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile a glob pattern into an anchored regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  return new RegExp(`^${compile(pattern.replace(/^\.\//, ''))}$`);
+}
+
+/**
+ * Check whether a path matches a pattern, or lies under a directory that does.
+ * @param {string} pattern
+ * @param {string} target - "/"-separated relative path
+ * @returns {boolean}
+ */
+export function matchesGlob(pattern, target) {
+  const directory = pattern.replace(/\/+$/, '');
+  return globToRegExp(directory).test(target) || globToRegExp(`${directory}/**`).test(target);
+}
@@ -0,0 +1,56 @@
+import { isOffline } from './config.js';
+
+/**
+ * Fetch with timeout helper. Fails immediately in offline mode.
+ * @param {string} url
+ * @param {RequestInit & { timeout?: number }} [init]
+ * @returns {Promise<Response>}
+ */
+export function fetchWithTimeout(url, init = {}) {
+  if (isOffline()) {
+    return Promise.reject(new Error(`Offline mode: not fetching ${url}`));
+  }
+  const { timeout = 15000, ...rest } = init;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  return fetch(url, { ...rest, signal: controller.signal }).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fetch a JSON API resource.
+ * Returns null for "not found" style responses, throws on any other failure.
+ *
+ * @param {string} url
+ * @param {RequestInit & { timeout?: number, notFound?: number[] }} [init]
+ *   notFound lists the status codes treated as "doesn't exist" (default: 404)
+ * @returns {Promise<any|null>}
+ */
+export async function fetchJson(url, init = {}) {
+  const { notFound = [404], ...rest } = init;
+  let res;
+  try {
+    res = await fetchWithTimeout(url, rest);
+  } catch (error) {
+    throw new Error(`Request to ${url} failed: ${error.message}`);
+  }
+
+  if (notFound.includes(res.status)) return null;
+  if (!res.ok) {
+    throw httpError(res, url);
+  }
+  return res.json();
+}
+
+/**
+ * Build the error for a failed response. The status is kept on the error so
+ * callers can tell authentication failures (401/403) apart.
+ * @param {Response} res
+ * @param {string} url
+ * @returns {Error & { status?: number }}
+ */
+export function httpError(res, url) {
+  if ((res.status === 403 || res.status === 429) && res.headers.get('x-ratelimit-remaining') === '0') {
+    return new Error(`API rate limit exceeded for ${url}. Authenticate to raise the limit.`);
+  }
+  return Object.assign(new Error(`HTTP ${res.status} from ${url}`), { status: res.status });
+}
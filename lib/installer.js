@@ -1,32 +1,251 @@
-import { cp, rm, mkdir, access } from 'node:fs/promises';
+import { cp, rm, mkdir, mkdtemp, access, symlink, readFile, writeFile, rename, lstat, readlink, realpath } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import os from 'node:os';
 import path from 'node:path';
+import { listFiles } from './diff.js';
+import { setFrontmatterName } from './remote-skill.js';
+
+/**
+ * @typedef {'copy' | 'link' | 'store'} InstallMode
+ * @typedef {'pristine' | 'modified' | 'missing' | 'linked' | 'unknown'} SkillState
+ */
+
+/** Project store for 'store' installs: one canonical copy per skill, linked into every agent */
+export const STORE_DIR = path.join('.ai-factory', 'remote-skills');
+
+/** Errors meaning the filesystem or user can't create symlinks */
+const SYMLINK_UNSUPPORTED = new Set(['EPERM', 'EACCES', 'ENOTSUP', 'EINVAL']);
+
+/**
+ * Check that a skill name can be used as a directory name: a single path
+ * segment, so installing or removing it can't reach outside the skills directory.
+ * Names come from upstream frontmatter, aliases and lock files.
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isValidSkillName(name) {
+  return typeof name === 'string' && name !== '' && name !== '.' && name !== '..' && !/[/\\\0]/.test(name);
+}
+
+/**
+ * @param {unknown} name
+ */
+function assertValidSkillName(name) {
+  if (!isValidSkillName(name)) {
+    throw new Error(`Invalid skill name "${name}": it must be a single directory name.`);
+  }
+}
+
+/**
+ * Get a skill's directory inside a parent directory, refusing names that
+ * would resolve anywhere else.
+ * @param {string} parentDir
+ * @param {string} skillName
+ * @returns {string}
+ */
+function skillDirIn(parentDir, skillName) {
+  assertValidSkillName(skillName);
+  const parent = path.resolve(parentDir);
+  const target = path.resolve(parent, skillName);
+  if (path.dirname(target) !== parent) {
+    throw new Error(`Invalid skill name "${skillName}": it resolves outside ${parentDir}.`);
+  }
+  return target;
+}
+
+/**
+ * Get an agent's directory for a skill.
+ * @param {string} projectDir
+ * @param {string} agentSkillsDir - relative to projectDir
+ * @param {string} skillName
+ * @returns {string}
+ */
+function agentSkillDir(projectDir, agentSkillsDir, skillName) {
+  return skillDirIn(path.join(projectDir, agentSkillsDir), skillName);
+}
+
+/**
+ * Get the store directory of a skill.
+ * @param {string} projectDir
+ * @param {string} skillName
+ * @returns {string}
+ */
+export function getStorePath(projectDir, skillName) {
+  return skillDirIn(path.join(projectDir, STORE_DIR), skillName);
+}
+
+/**
+ * Create a directory symlink (a junction on Windows, which needs no privileges).
+ * @param {string} sourceDir
+ * @param {string} targetDir
+ */
+async function linkDirectory(sourceDir, targetDir) {
+  if (process.platform === 'win32') {
+    await symlink(path.resolve(sourceDir), targetDir, 'junction');
+  } else {
+    await symlink(path.relative(path.dirname(targetDir), sourceDir), targetDir, 'dir');
+  }
+}
+
+/**
+ * Refuse skills with symlinks that leave the skill directory: installed
+ * copies must not depend on, or expose, anything outside themselves.
+ * @param {string} dir
+ */
+export async function assertLinksInside(dir) {
+  const root = path.resolve(dir);
+  const realRoot = await realpath(root);
+  for (const file of await listFiles(root)) {
+    const filePath = path.join(root, file);
+    if (!(await lstat(filePath)).isSymbolicLink()) continue;
+    const target = await readlink(filePath);
+    const resolved = path.resolve(path.dirname(filePath), target);
+    // Also follow the link: "a -> sub/up/.." looks inside but leaves if sub/up links to ".."
+    const real = await realpath(filePath).catch(() => null);
+    if (path.isAbsolute(target) || !resolved.startsWith(root + path.sep)
+      || (real !== null && real !== realRoot && !real.startsWith(realRoot + path.sep))) {
+      throw new Error(`Symlink "${file}" points outside the skill directory (${target}).`);
+    }
+  }
+}
+
+/**
+ * Copy a skill directory without its git metadata. Symlinks are copied as
+ * they are; fs.cp would otherwise rewrite relative links into absolute ones
+ * into the download cache or a temp directory.
+ * @param {string} sourceDir
+ * @param {string} targetDir
+ */
+function copySkill(sourceDir, targetDir) {
+  return cp(sourceDir, targetDir, {
+    recursive: true,
+    verbatimSymlinks: true,
+    filter: src => path.basename(src) !== '.git',
+  });
+}
+
+/**
+ * Copy a skill into the project store, replacing the previous version.
+ * @param {string} projectDir
+ * @param {string} skillName
+ * @param {string} sourceDir
+ * @returns {Promise<string>} the store directory
+ */
+export async function installSkillToStore(projectDir, skillName, sourceDir) {
+  const storeDir = getStorePath(projectDir, skillName);
+  await assertLinksInside(sourceDir);
+  await mkdir(path.dirname(storeDir), { recursive: true });
+  await rm(storeDir, { recursive: true, force: true });
+  await copySkill(sourceDir, storeDir);
+  return storeDir;
+}
+
+/**
+ * Remove a skill from the project store.
+ * @param {string} projectDir
+ * @param {string} skillName
+ */
+export async function removeSkillFromStore(projectDir, skillName) {
+  await rm(getStorePath(projectDir, skillName), { recursive: true, force: true });
+}
+
+/**
+ * Check whether a skill is in the project store.
+ * @param {string} projectDir
+ * @param {string} skillName
+ * @returns {Promise<boolean>}
+ */
+export async function storeHasSkill(projectDir, skillName) {
+  try {
+    await access(getStorePath(projectDir, skillName));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Copy a skill to a temp directory with its frontmatter name changed, for
+ * installing it under an alias. Remove the copy with removeStagedSkill().
+ * @param {string} sourceDir
+ * @param {string} name
+ * @returns {Promise<string>} the staged skill directory
+ */
+export async function stageRenamedSkill(sourceDir, name) {
+  assertValidSkillName(name);
+  await assertLinksInside(sourceDir);
+  const stageDir = skillDirIn(await mkdtemp(path.join(os.tmpdir(), 'aif-skill-alias-')), name);
+  await copySkill(sourceDir, stageDir);
+
+  const skillMd = path.join(stageDir, 'SKILL.md');
+  await writeFile(skillMd, setFrontmatterName(await readFile(skillMd, 'utf-8'), name));
+  return stageDir;
+}
+
+/**
+ * Remove a directory created by stageRenamedSkill().
+ * @param {string} stageDir
+ */
+export async function removeStagedSkill(stageDir) {
+  await rm(path.dirname(stageDir), { recursive: true, force: true });
+}
 
 /**
  * Install a skill directory into an agent's skills directory.
  *
- * Copies the entire skill directory (containing SKILL.md and any
- * references, templates, etc.) into the agent's skillsDir.
+ * In 'copy' mode (default), copies the entire skill directory (containing
+ * SKILL.md and any references, templates, etc.) into the agent's skillsDir.
+ * In 'link' mode, symlinks the agent's skill directory to sourceDir instead,
+ * so edits to the source show up immediately (junctions on Windows).
+ * In 'store' mode, sourceDir is ignored and the agent's skill directory is
+ * linked to the skill's copy in the project store (see installSkillToStore).
+ * Where symlinks can't be created, the store copy is copied instead.
+ *
+ * Any existing installation is replaced, so files deleted upstream don't linger.
  *
  * @param {string} projectDir - Project root directory
  * @param {string} agentSkillsDir - Agent's skills directory relative to projectDir (e.g. ".claude/skills")
  * @param {string} skillName - Name of the skill (used as directory name)
  * @param {string} sourceDir - Absolute path to the source skill directory
+ * @param {{ mode?: InstallMode }} [options]
+ * @returns {Promise<'copy' | 'link'>} how the skill ended up installed
  */
-export async function installSkillForAgent(projectDir, agentSkillsDir, skillName, sourceDir) {
-  const targetDir = path.join(projectDir, agentSkillsDir, skillName);
+export async function installSkillForAgent(projectDir, agentSkillsDir, skillName, sourceDir, options = {}) {
+  const targetDir = agentSkillDir(projectDir, agentSkillsDir, skillName);
+  if (!options.mode || options.mode === 'copy') await assertLinksInside(sourceDir);
   await mkdir(path.dirname(targetDir), { recursive: true });
-  await cp(sourceDir, targetDir, { recursive: true, force: true });
+  await rm(targetDir, { recursive: true, force: true });
+
+  if (options.mode === 'link') {
+    await linkDirectory(sourceDir, targetDir);
+    return 'link';
+  }
+
+  if (options.mode === 'store') {
+    sourceDir = getStorePath(projectDir, skillName);
+    try {
+      await linkDirectory(sourceDir, targetDir);
+      return 'link';
+    } catch (error) {
+      if (!SYMLINK_UNSUPPORTED.has(error.code)) throw error;
+    }
+  }
+
+  // Never copy a local source's git metadata into the agent's skills
+  await copySkill(sourceDir, targetDir);
+  return 'copy';
 }
 
 /**
  * Remove a skill directory from an agent's skills directory.
+ * For linked skills only the link is removed, never the source directory.
  *
  * @param {string} projectDir - Project root directory
  * @param {string} agentSkillsDir - Agent's skills directory relative to projectDir
  * @param {string} skillName - Name of the skill to remove
  */
 export async function removeSkillForAgent(projectDir, agentSkillsDir, skillName) {
-  const targetDir = path.join(projectDir, agentSkillsDir, skillName);
+  const targetDir = agentSkillDir(projectDir, agentSkillsDir, skillName);
   await rm(targetDir, { recursive: true, force: true });
 }
 
@@ -39,7 +258,7 @@ export async function removeSkillForAgent(projectDir, agentSkillsDir, skillName)
  * @returns {Promise<boolean>}
  */
 export async function skillExistsForAgent(projectDir, agentSkillsDir, skillName) {
-  const targetDir = path.join(projectDir, agentSkillsDir, skillName);
+  const targetDir = agentSkillDir(projectDir, agentSkillsDir, skillName);
   try {
     await access(targetDir);
     return true;
@@ -47,3 +266,93 @@ export async function skillExistsForAgent(projectDir, agentSkillsDir, skillName)
     return false;
   }
 }
+
+/**
+ * Hash the contents of a skill directory: every file's path and content, .git excluded.
+ * Symlinks are hashed by their target path instead of being followed.
+ * The result is stable across machines, so it can be recorded in the lock.
+ *
+ * @param {string} dir
+ * @returns {Promise<string>} hex sha256
+ */
+export async function hashDirectory(dir) {
+  const hash = createHash('sha256');
+  for (const file of await listFiles(dir)) {
+    const filePath = path.join(dir, file);
+    if ((await lstat(filePath)).isSymbolicLink()) {
+      const target = await readlink(filePath);
+      hash.update(`${createHash('sha256').update(target).digest('hex')}  ${file} -> (symlink)\n`);
+      continue;
+    }
+    const content = await readFile(filePath);
+    hash.update(`${createHash('sha256').update(content).digest('hex')}  ${file}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Integrity value of a skill's file tree, in Subresource Integrity format
+ * ("sha256-<base64>") like other lock files use. Recorded for the tree as
+ * downloaded, so a later download of the same commit can be checked against it.
+ *
+ * @param {string} dir
+ * @returns {Promise<string>}
+ */
+export async function skillIntegrity(dir) {
+  return `sha256-${Buffer.from(await hashDirectory(dir), 'hex').toString('base64')}`;
+}
+
+/**
+ * Compare an agent's installed copy of a skill with the hash recorded at install time.
+ *
+ * - 'missing': the skill directory doesn't exist
+ * - 'linked': installed as a symlink, there is no copy to modify
+ * - 'unknown': no hash was recorded (installed by an older version)
+ * - 'pristine' / 'modified': whether the copy still matches the recorded hash
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {string} agentSkillsDir - Agent's skills directory relative to projectDir
+ * @param {string} skillName - Name of the skill
+ * @param {{ installMode?: string, hash?: string }} info - the skill's lock entry
+ * @returns {Promise<SkillState>}
+ */
+export async function getSkillState(projectDir, agentSkillsDir, skillName, info) {
+  const targetDir = agentSkillDir(projectDir, agentSkillsDir, skillName);
+  let stat;
+  try {
+    stat = await lstat(targetDir);
+  } catch {
+    return 'missing';
+  }
+  if (info.installMode === 'link') return 'linked';
+  // Store installs are links too, but the store copy they point at can be edited
+  if (stat.isSymbolicLink()) {
+    if (info.installMode !== 'store') return 'linked';
+    if (!(await skillExistsForAgent(projectDir, agentSkillsDir, skillName))) return 'missing';
+  }
+  if (!info.hash) return 'unknown';
+  return (await hashDirectory(targetDir)) === info.hash ? 'pristine' : 'modified';
+}
+
+/**
+ * Move an agent's installed copy of a skill aside to "<name>.orig",
+ * replacing any previous backup. A link into the store is replaced by a copy
+ * of what it points at, so the backup survives the store being updated.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {string} agentSkillsDir - Agent's skills directory relative to projectDir
+ * @param {string} skillName - Name of the skill
+ * @returns {Promise<string>} backup path relative to projectDir
+ */
+export async function backupSkillForAgent(projectDir, agentSkillsDir, skillName) {
+  const targetDir = agentSkillDir(projectDir, agentSkillsDir, skillName);
+  const backupDir = `${targetDir}.orig`;
+  await rm(backupDir, { recursive: true, force: true });
+  if ((await lstat(targetDir)).isSymbolicLink()) {
+    await cp(await realpath(targetDir), backupDir, { recursive: true, verbatimSymlinks: true });
+    await rm(targetDir, { force: true });
+  } else {
+    await rename(targetDir, backupDir);
+  }
+  return path.relative(projectDir, backupDir);
+}
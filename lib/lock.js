@@ -1,19 +1,43 @@
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import path from 'node:path';
+import { isValidSkillName } from './installer.js';
 
 const LOCK_FILENAME = 'remote-skills-lock.json';
 
+/** Commits are recorded as full SHAs */
+const COMMIT_SHA = /^[0-9a-f]{40}$/;
+
+const INSTALL_MODES = ['copy', 'link', 'store'];
+
 /**
+ * skills are keyed by their installed name, which is the skill's own name
+ * unless it was installed under an alias (then upstreamName keeps the original).
+ * agents maps each agent id to its installed skills; skillsDirs records where
+ * each agent's skills were installed, so they can still be found after the
+ * agent is removed from .ai-factory.json or its skillsDir changes.
+ * requires lists the installed names of the skills a skill depends on.
+ * hash is the content of the installed copy (after renaming to an alias);
+ * integrity is the skill's file tree as downloaded from the recorded commit.
+ *
  * @typedef {{
  *   version: number,
  *   skills: Record<string, {
  *     source: string,
  *     sourceType: string,
  *     ref: string,
+ *     refType?: 'branch' | 'tag' | 'commit',
+ *     range?: string,
+ *     commit?: string,
  *     path: string,
+ *     upstreamName?: string,
+ *     installMode?: 'copy' | 'link' | 'store',
+ *     hash?: string,
+ *     integrity?: string,
+ *     requires?: string[],
  *     installedAt: string
  *   }>,
- *   agents: Record<string, string[]>
+ *   agents: Record<string, string[]>,
+ *   skillsDirs: Record<string, string>
  * }} LockFile
  */
 
@@ -26,6 +50,7 @@ export function createEmptyLock() {
     version: 1,
     skills: {},
     agents: {},
+    skillsDirs: {},
   };
 }
 
@@ -40,26 +65,95 @@ function getLockPath(projectDir) {
 
 /**
  * Load the lock file from a project directory.
- * Returns an empty lock if the file doesn't exist.
+ * Returns an empty lock if the file doesn't exist, and throws if it is not
+ * valid JSON or fails validateLock().
  * @param {string} projectDir
  * @returns {Promise<LockFile>}
  */
 export async function loadLock(projectDir) {
-  const lockPath = getLockPath(projectDir);
+  let raw;
   try {
-    const raw = await readFile(lockPath, 'utf-8');
-    const parsed = JSON.parse(raw);
-    if (parsed && typeof parsed === 'object' && parsed.version) {
-      return {
-        version: parsed.version,
-        skills: parsed.skills ?? {},
-        agents: parsed.agents ?? {},
-      };
-    }
+    raw = await readFile(getLockPath(projectDir), 'utf-8');
   } catch {
-    // File doesn't exist or is invalid
+    return createEmptyLock();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid ${LOCK_FILENAME}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || !parsed.version) {
+    return createEmptyLock();
+  }
+
+  const lock = {
+    version: parsed.version,
+    skills: parsed.skills ?? {},
+    agents: parsed.agents ?? {},
+    skillsDirs: parsed.skillsDirs ?? {},
+  };
+  validateLock(lock, projectDir);
+  return lock;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a lock file before anything is done with it. The lock is shared
+ * through git and its values end up in git arguments (commits) and in paths
+ * that are written and deleted (skill names, skillsDirs), so every one of
+ * them must stay what it claims to be.
+ * @param {LockFile} lock
+ * @param {string} projectDir
+ */
+export function validateLock(lock, projectDir) {
+  const fail = (message) => {
+    throw new Error(`Invalid ${LOCK_FILENAME}: ${message}`);
+  };
+  if (!isObject(lock.skills)) fail('"skills" must be an object.');
+  if (!isObject(lock.agents)) fail('"agents" must be an object.');
+  if (!isObject(lock.skillsDirs)) fail('"skillsDirs" must be an object.');
+
+  for (const [name, info] of Object.entries(lock.skills)) {
+    if (!isValidSkillName(name)) fail(`skill name "${name}" is not a single directory name.`);
+    if (!isObject(info)) fail(`skill "${name}" must be an object.`);
+    if (typeof info.source !== 'string' || info.source === '') fail(`skill "${name}" has no source.`);
+    if (info.commit !== undefined && (typeof info.commit !== 'string' || !COMMIT_SHA.test(info.commit))) {
+      fail(`skill "${name}" has an invalid commit "${info.commit}" (expected a full 40-character SHA).`);
+    }
+    if (info.path !== undefined && (typeof info.path !== 'string'
+      || path.posix.isAbsolute(info.path) || info.path.split('/').includes('..'))) {
+      fail(`skill "${name}" has a path outside its repository.`);
+    }
+    if (info.installMode !== undefined && !INSTALL_MODES.includes(info.installMode)) {
+      fail(`skill "${name}" has an unknown installMode "${info.installMode}".`);
+    }
+    if (info.requires !== undefined && !(Array.isArray(info.requires) && info.requires.every(r => typeof r === 'string'))) {
+      fail(`skill "${name}" has invalid requires.`);
+    }
+  }
+
+  for (const [agentId, names] of Object.entries(lock.agents)) {
+    if (!Array.isArray(names)) fail(`agents of "${agentId}" must be a list of skill names.`);
+    const invalid = names.find(n => !isValidSkillName(n));
+    if (invalid !== undefined) fail(`agent "${agentId}" lists "${invalid}", which is not a single directory name.`);
+  }
+
+  const root = path.resolve(projectDir);
+  for (const [agentId, dir] of Object.entries(lock.skillsDirs)) {
+    const relative = typeof dir === 'string' ? path.relative(root, path.resolve(root, dir)) : '';
+    if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      fail(`skillsDir "${dir}" of agent "${agentId}" is not inside the project.`);
+    }
   }
-  return createEmptyLock();
 }
 
 /**
@@ -77,7 +171,7 @@ export async function saveLock(projectDir, lock) {
  * Add a skill to the lock file for the given agents.
  * @param {LockFile} lock
  * @param {string} skillName
- * @param {{ source: string, sourceType: string, ref: string, path: string }} info
+ * @param {{ source: string, sourceType: string, ref: string, refType?: string, range?: string, commit?: string, path: string, upstreamName?: string, installMode?: string, hash?: string, integrity?: string, requires?: string[] }} info
  * @param {string[]} agentIds
  */
 export function addSkillToLock(lock, skillName, info, agentIds) {
@@ -85,7 +179,15 @@ export function addSkillToLock(lock, skillName, info, agentIds) {
     source: info.source,
     sourceType: info.sourceType,
     ref: info.ref,
+    refType: info.refType,
+    range: info.range,
+    commit: info.commit,
     path: info.path,
+    upstreamName: info.upstreamName,
+    installMode: info.installMode ?? 'copy',
+    hash: info.hash,
+    integrity: info.integrity,
+    requires: info.requires?.length ? info.requires : undefined,
     installedAt: new Date().toISOString(),
   };
 
@@ -99,6 +201,25 @@ export function addSkillToLock(lock, skillName, info, agentIds) {
   }
 }
 
+/**
+ * Record the skills directory an agent's skills are installed in.
+ * @param {LockFile} lock
+ * @param {{ id: string, skillsDir: string }} agent
+ */
+export function recordSkillsDir(lock, agent) {
+  lock.skillsDirs[agent.id] = agent.skillsDir;
+}
+
+/**
+ * Forget an agent entirely.
+ * @param {LockFile} lock
+ * @param {string} agentId
+ */
+export function removeAgentFromLock(lock, agentId) {
+  delete lock.agents[agentId];
+  delete lock.skillsDirs[agentId];
+}
+
 /**
  * Remove a skill from the lock file and from all agents.
  * @param {LockFile} lock
@@ -110,11 +231,35 @@ export function removeSkillFromLock(lock, skillName) {
   for (const agentId of Object.keys(lock.agents)) {
     lock.agents[agentId] = lock.agents[agentId].filter(s => s !== skillName);
     if (lock.agents[agentId].length === 0) {
-      delete lock.agents[agentId];
+      removeAgentFromLock(lock, agentId);
     }
   }
 }
 
+/**
+ * Remove a skill from some agents. The skill is dropped from the lock
+ * entirely once no agent has it anymore.
+ * @param {LockFile} lock
+ * @param {string} skillName
+ * @param {string[]} agentIds
+ * @returns {boolean} true if the skill was removed from the lock entirely
+ */
+export function removeSkillFromAgents(lock, skillName, agentIds) {
+  for (const agentId of agentIds) {
+    if (!lock.agents[agentId]) continue;
+    lock.agents[agentId] = lock.agents[agentId].filter(s => s !== skillName);
+    if (lock.agents[agentId].length === 0) {
+      removeAgentFromLock(lock, agentId);
+    }
+  }
+
+  if (getAgentsForSkill(lock, skillName).length === 0) {
+    delete lock.skills[skillName];
+    return true;
+  }
+  return false;
+}
+
 /**
  * Get all unique skill names from the lock file.
  * @param {LockFile} lock
@@ -139,3 +284,13 @@ export function getAgentsForSkill(lock, skillName) {
   }
   return agents;
 }
+
+/**
+ * Get the skills that require a specific skill.
+ * @param {LockFile} lock
+ * @param {string} skillName
+ * @returns {string[]}
+ */
+export function getDependents(lock, skillName) {
+  return Object.keys(lock.skills).filter(name => lock.skills[name].requires?.includes(skillName));
+}
@@ -88,3 +88,16 @@ export async function selectOne(choices, message = 'Select') {
 
   return choices[idx - 1].value;
 }
+
+/**
+ * Ask a yes/no question.
+ *
+ * @param {string} message
+ * @param {boolean} [defaultYes]
+ * @returns {Promise<boolean>}
+ */
+export async function confirm(message, defaultYes = true) {
+  const answer = (await ask(`  ${message} ${defaultYes ? '[Y/n]' : '[y/N]'}: `)).toLowerCase();
+  if (answer === '') return defaultYes;
+  return answer === 'y' || answer === 'yes';
+}
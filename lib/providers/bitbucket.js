@@ -0,0 +1,119 @@
+import { fetchJson } from '../http.js';
+import { withToken } from '../auth.js';
+import { getHostUrl } from '../config.js';
+
+/**
+ * Bitbucket Cloud source provider.
+ *
+ *   bitbucket:workspace/repo[/skill-path][#ref]
+ *   https://bitbucket.org/workspace/repo[/src/<ref>[/skill-path]]
+ */
+
+const DOMAIN = 'bitbucket.org';
+const API_URL = 'https://api.bitbucket.org/2.0';
+
+/**
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @returns {string}
+ */
+function repoApiUrl(source) {
+  return `${getHostUrl(source.domain, 'apiUrl', API_URL)}/repositories/${source.owner}/${source.repo}`;
+}
+
+/**
+ * Access tokens are sent as bearer tokens; "username:app-password" pairs use basic auth.
+ * @param {string|null} token
+ * @returns {Record<string, string>}
+ */
+function authHeaders(token) {
+  if (!token) return {};
+  if (token.includes(':')) {
+    return { Authorization: `Basic ${Buffer.from(token).toString('base64')}` };
+  }
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Fetch a JSON API resource with the source's credentials.
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @param {string} url
+ * @param {{ notFound?: number[] }} [init]
+ * @returns {Promise<any|null>}
+ */
+function api(source, url, init = {}) {
+  return withToken(source, DOMAIN, token => fetchJson(url, { ...init, headers: authHeaders(token) }));
+}
+
+/** @type {import('./index.js').SourceProvider} */
+export default {
+  name: 'bitbucket',
+  defaultDomain: DOMAIN,
+
+  normalizeUrl(url) {
+    if (url.hostname !== DOMAIN) return null;
+
+    const segments = url.pathname.replace(/\/+$/, '').replace(/\.git$/, '').split('/').filter(Boolean);
+    if (segments.length < 2) return null;
+
+    const [owner, repo] = segments;
+
+    // /src/<ref>[/path...] pattern
+    if (segments.length >= 4 && segments[2] === 'src') {
+      const ref = segments[3];
+      const skillPath = segments.slice(4).join('/');
+      return `bitbucket:${owner}/${repo}${skillPath ? `/${skillPath}` : ''}#${ref}`;
+    }
+
+    return `bitbucket:${owner}/${repo}`;
+  },
+
+  async resolveDefaultBranch(source) {
+    try {
+      const data = await api(source, repoApiUrl(source));
+      if (data?.mainbranch?.name) return data.mainbranch.name;
+    } catch {
+      // API failed, fall back to 'main'
+    }
+    return 'main';
+  },
+
+  async resolveBranch(source, name) {
+    const data = await api(source, `${repoApiUrl(source)}/refs/branches/${encodeURIComponent(name)}`);
+    return data?.target?.hash ?? null;
+  },
+
+  async resolveTag(source, name) {
+    const data = await api(source, `${repoApiUrl(source)}/refs/tags/${encodeURIComponent(name)}`);
+    return data?.target?.hash ?? null;
+  },
+
+  async resolveCommit(source, sha) {
+    const data = await api(source, `${repoApiUrl(source)}/commit/${sha}`);
+    return data?.hash ?? null;
+  },
+
+  async listTags(source) {
+    const tags = [];
+    let url = `${repoApiUrl(source)}/refs/tags?pagelen=100`;
+    for (let page = 1; url && page <= 10; page++) {
+      const data = await api(source, url);
+      if (!data) break;
+      for (const tag of data.values ?? []) {
+        tags.push({ name: tag.name, commit: tag.target.hash });
+      }
+      url = data.next;
+    }
+    return tags;
+  },
+
+  archiveRequest(source, token) {
+    const path = `${source.owner}/${source.repo}/get/${source.commit}.tar.gz`;
+
+    // Mirrors serve the same archive layout and never receive the token
+    const mirror = getHostUrl(source.domain, 'archiveUrl');
+    if (mirror) {
+      return { url: `${mirror}/${path}`, headers: {} };
+    }
+    return { url: `${getHostUrl(source.domain, 'webUrl', `https://${source.domain}`)}/${path}`, headers: authHeaders(token) };
+  },
+};
@@ -0,0 +1,78 @@
+import path from 'node:path';
+import os from 'node:os';
+import { stat } from 'node:fs/promises';
+
+/**
+ * Local directory source provider, for developing skills without pushing them.
+ *
+ *   file:../skills-repo
+ *   ./path/to/my-skill        (bare relative or absolute paths)
+ *
+ * Paths are resolved against the current directory (the project root) and
+ * stored relative to it, so the lock stays portable between machines.
+ * Nothing is downloaded: the directory itself is the "repository".
+ */
+
+/**
+ * Check whether a source string is a bare filesystem path.
+ * @param {string} uri
+ * @returns {boolean}
+ */
+export function isLocalPath(uri) {
+  return uri === '.' || uri === '..'
+    || /^\.{1,2}[\\/]/.test(uri)
+    || uri.startsWith('/')
+    || uri.startsWith('~/')
+    || /^[a-zA-Z]:[\\/]/.test(uri);
+}
+
+/** @type {import('./index.js').SourceProvider} */
+export default {
+  name: 'file',
+  local: true,
+
+  normalizeUrl() {
+    return null;
+  },
+
+  parse(body, uri) {
+    if (body.includes('#') || /@[^/\\]*$/.test(body)) {
+      throw new Error(`Invalid file source: "${uri}". Local directories don't support #ref or version ranges.`);
+    }
+
+    let target = body || '.';
+    if (target === '~' || target.startsWith('~/')) {
+      target = path.join(os.homedir(), target.slice(1));
+    }
+
+    const absolute = path.resolve(target);
+    const relative = path.relative(process.cwd(), absolute);
+    // Keep absolute paths when there is no relative path (e.g. another drive on Windows)
+    const localPath = (path.isAbsolute(relative) ? relative : relative || '.').split(path.sep).join('/');
+
+    return { owner: '', repo: path.basename(absolute), localPath };
+  },
+
+  format(source) {
+    return `file:${source.localPath}`;
+  },
+
+  async resolveRef() {
+    // Local directories aren't versioned
+    return { refType: undefined, commit: undefined };
+  },
+
+  async download(source) {
+    const dir = path.resolve(source.localPath);
+    let info;
+    try {
+      info = await stat(dir);
+    } catch {
+      throw new Error(`Local skill directory "${source.localPath}" does not exist.`);
+    }
+    if (!info.isDirectory()) {
+      throw new Error(`Local skill source "${source.localPath}" is not a directory.`);
+    }
+    return dir;
+  },
+};
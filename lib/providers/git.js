@@ -0,0 +1,205 @@
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { rm } from 'node:fs/promises';
+
+/**
+ * Generic git source provider using the local git binary, for repositories
+ * that are only reachable over SSH (deploy keys) or as plain bare repos.
+ *
+ *   git+ssh://git@host/org/repo.git[//skill-path][#ref]
+ *   git+https://host/org/repo.git[//skill-path][#ref]
+ *   git+file:///srv/skills/repo.git[//skill-path][#ref]
+ *
+ * A "//" after the repository path separates the skill path inside it.
+ * Authentication is left to git itself (ssh agent, credential helpers).
+ * Credentials embedded in a URL are used for the current command but never
+ * written back out, so the lock file can't leak them.
+ */
+
+const SCHEMES = ['ssh', 'https', 'http', 'file'];
+
+/** Full commit SHAs are the only commits passed to git */
+const FULL_SHA = /^[0-9a-f]{40}$/;
+
+/**
+ * Run git and return stdout. Never prompts for credentials.
+ * URLs, refs and commits come from sources and lock files: callers put them
+ * after "--end-of-options" so they can't be read as options.
+ * @param {string[]} args
+ * @param {{ cwd?: string, timeout?: number }} [options]
+ * @returns {Promise<string>}
+ */
+function git(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd: options.cwd,
+      timeout: options.timeout ?? 60000,
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          reject(new Error('git is not installed or not on PATH (required for git+ sources).'));
+          return;
+        }
+        const lines = stderr.trim().split('\n');
+        const detail = lines.find(l => l.startsWith('fatal:')) ?? (lines[0] || error.message);
+        reject(new Error(`git ${args[0]} failed: ${redactUrl(detail)}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Strip credentials from repository URLs in a string (the user name of ssh URLs is kept).
+ * @param {string} text
+ * @returns {string}
+ */
+function redactUrl(text) {
+  return text
+    .replace(/(https?:\/\/)[^@/\s]*@/g, '$1')
+    .replace(/(ssh:\/\/[^:@/\s]*):[^@/\s]*@/g, '$1@');
+}
+
+/**
+ * List remote refs as [sha, refname] pairs.
+ * @param {string} url
+ * @param {string[]} args
+ * @returns {Promise<[string, string][]>}
+ */
+async function lsRemote(url, args) {
+  const out = await git(['ls-remote', ...args, '--end-of-options', url]);
+  return out.split('\n').filter(Boolean).map(line => /** @type {[string, string]} */ (line.split('\t')));
+}
+
+/**
+ * Look up a tag's commit, preferring the peeled commit of annotated tags.
+ * @param {[string, string][]} refs
+ * @param {string} name
+ * @returns {string|null}
+ */
+function findTagCommit(refs, name) {
+  const peeled = refs.find(([, ref]) => ref === `refs/tags/${name}^{}`);
+  const direct = refs.find(([, ref]) => ref === `refs/tags/${name}`);
+  return (peeled ?? direct)?.[0] ?? null;
+}
+
+/** @type {import('./index.js').SourceProvider} */
+export default {
+  name: 'git',
+  prefixes: SCHEMES.map(s => `git+${s}`),
+
+  normalizeUrl() {
+    return null;
+  },
+
+  parse(body, uri) {
+    const scheme = uri.slice('git+'.length, uri.indexOf(':'));
+    let rest = body;
+    let ref = '';
+    let range;
+
+    const hashIdx = rest.indexOf('#');
+    if (hashIdx !== -1) {
+      ref = rest.slice(hashIdx + 1);
+      rest = rest.slice(0, hashIdx);
+    }
+    if (ref.startsWith('semver:')) {
+      range = ref.slice('semver:'.length).trim();
+      ref = '';
+    }
+
+    if (!rest.startsWith('//')) {
+      throw new Error(`Invalid git source: "${uri}". Expected git+${scheme}://host/path/repo.git`);
+    }
+
+    // Split off "//skill/path" after the repository path
+    let skillPath;
+    const sepIdx = rest.indexOf('//', scheme === 'file' ? 3 : 2);
+    if (sepIdx !== -1) {
+      skillPath = rest.slice(sepIdx + 2).replace(/^\/+|\/+$/g, '') || undefined;
+      rest = rest.slice(0, sepIdx);
+    }
+
+    const url = `${scheme}:${rest.replace(/\/+$/, '')}`;
+    const repo = path.posix.basename(url).replace(/\.git$/, '');
+    if (!repo) {
+      throw new Error(`Invalid git source: "${uri}". Missing repository path.`);
+    }
+
+    return { url, owner: '', repo, skillPath, ref, range };
+  },
+
+  format(source, skillPath) {
+    return `git+${redactUrl(source.url)}${skillPath ? `//${skillPath}` : ''}`;
+  },
+
+  async resolveDefaultBranch(source) {
+    try {
+      const out = await git(['ls-remote', '--symref', '--end-of-options', source.url]);
+      const head = out.match(/^ref: refs\/heads\/(\S+)\tHEAD$/m);
+      if (head) return head[1];
+      // Bare repos whose HEAD points at a missing branch: prefer main, then master
+      for (const name of ['main', 'master']) {
+        if (out.split('\n').some(line => line.endsWith(`\trefs/heads/${name}`))) return name;
+      }
+    } catch {
+      // ls-remote failed, fall back to 'main'
+    }
+    return 'main';
+  },
+
+  async resolveBranch(source, name) {
+    const refs = await lsRemote(source.url, ['--heads']);
+    return refs.find(([, ref]) => ref === `refs/heads/${name}`)?.[0] ?? null;
+  },
+
+  async resolveTag(source, name) {
+    const refs = await lsRemote(source.url, ['--tags']);
+    return findTagCommit(refs, name);
+  },
+
+  async resolveCommit(source, sha) {
+    // Remotes can't be asked about arbitrary commits without fetching;
+    // full SHAs are verified when the commit is fetched
+    if (!FULL_SHA.test(sha.toLowerCase())) {
+      throw new Error(`git sources need a full 40-character commit SHA, got "${sha}".`);
+    }
+    return sha.toLowerCase();
+  },
+
+  async listTags(source) {
+    const refs = await lsRemote(source.url, ['--tags']);
+    const names = new Set(refs.map(([, ref]) => ref.replace(/^refs\/tags\//, '').replace(/\^\{\}$/, '')));
+    return [...names].map(name => ({ name, commit: findTagCommit(refs, name) }));
+  },
+
+  async download(source, tmpBase) {
+    if (!FULL_SHA.test(source.commit ?? '')) {
+      throw new Error(`Invalid commit "${source.commit}" for ${redactUrl(source.url)}: expected a full 40-character SHA.`);
+    }
+    const repoDir = path.join(tmpBase, source.repo);
+    await git(['init', '-q', repoDir]);
+
+    try {
+      // Shallow fetch of the exact commit (allowed by protocol v2 and most hosts)
+      await git(['fetch', '-q', '--depth', '1', '--end-of-options', source.url, source.commit], { cwd: repoDir, timeout: 120000 });
+    } catch {
+      // Older servers only serve advertised refs: fetch them all and pick the commit
+      await git(['fetch', '-q', '--end-of-options', source.url, '+refs/heads/*:refs/remotes/origin/*', '+refs/tags/*:refs/tags/*'], {
+        cwd: repoDir,
+        timeout: 300000,
+      });
+    }
+
+    // checkout has no --end-of-options: point HEAD at the commit and check that out instead
+    await git(['update-ref', '--no-deref', '--end-of-options', 'HEAD', source.commit], { cwd: repoDir });
+    await git(['reset', '-q', '--hard'], { cwd: repoDir });
+
+    // The checkout is only used as a source tree -- skills must not carry git metadata
+    await rm(path.join(repoDir, '.git'), { recursive: true, force: true });
+    return repoDir;
+  },
+};
@@ -0,0 +1,116 @@
+import { fetchJson } from '../http.js';
+import { withToken } from '../auth.js';
+import { getHostType, getHostUrl } from '../config.js';
+
+/**
+ * Gitea (and Forgejo) source provider for self-hosted instances.
+ * The host is part of the source, since there is no canonical public instance.
+ *
+ *   gitea:git.example.com/owner/repo[/skill-path][#ref]
+ *   https://git.example.com/owner/repo[/src/branch/<ref>[/skill-path]]   (hosts with type "gitea" in the user config)
+ */
+
+/**
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @returns {string}
+ */
+function repoApiUrl(source) {
+  return `${getHostUrl(source.domain, 'apiUrl', `https://${source.domain}/api/v1`)}/repos/${source.owner}/${source.repo}`;
+}
+
+/**
+ * @param {string|null} token
+ * @returns {Record<string, string>}
+ */
+function authHeaders(token) {
+  return token ? { Authorization: `token ${token}` } : {};
+}
+
+/**
+ * Fetch a JSON API resource with the source's credentials.
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @param {string} url
+ * @param {{ notFound?: number[] }} [init]
+ * @returns {Promise<any|null>}
+ */
+function api(source, url, init = {}) {
+  return withToken(source, undefined, token => fetchJson(url, { ...init, headers: authHeaders(token) }));
+}
+
+/** @type {import('./index.js').SourceProvider} */
+export default {
+  name: 'gitea',
+  requiresDomain: true,
+
+  normalizeUrl(url) {
+    // Any host can run Gitea, so plain URLs are only recognized for configured hosts
+    if (getHostType(url.host) !== 'gitea') return null;
+
+    const segments = url.pathname.replace(/\/+$/, '').replace(/\.git$/, '').split('/').filter(Boolean);
+    if (segments.length < 2) return null;
+
+    const [owner, repo] = segments;
+    const uri = `gitea:${url.host}/${owner}/${repo}`;
+
+    // /src/{branch,tag,commit}/<ref>[/path...] pattern
+    if (segments.length >= 5 && segments[2] === 'src') {
+      const skillPath = segments.slice(5).join('/');
+      return `${uri}${skillPath ? `/${skillPath}` : ''}#${segments[4]}`;
+    }
+
+    return uri;
+  },
+
+  async resolveDefaultBranch(source) {
+    try {
+      const data = await api(source, repoApiUrl(source));
+      if (data?.default_branch) return data.default_branch;
+    } catch {
+      // API failed, fall back to 'main'
+    }
+    return 'main';
+  },
+
+  async resolveBranch(source, name) {
+    const data = await api(source, `${repoApiUrl(source)}/branches/${encodeURIComponent(name)}`);
+    return data?.commit?.id ?? null;
+  },
+
+  async resolveTag(source, name) {
+    const data = await api(source, `${repoApiUrl(source)}/tags/${encodeURIComponent(name)}`);
+    return data?.commit?.sha ?? null;
+  },
+
+  async resolveCommit(source, sha) {
+    const data = await api(source, `${repoApiUrl(source)}/git/commits/${sha}`, { notFound: [404, 422] });
+    return data?.sha ?? null;
+  },
+
+  async listTags(source) {
+    const tags = [];
+    for (let page = 1; page <= 10; page++) {
+      const data = await api(source, `${repoApiUrl(source)}/tags?limit=50&page=${page}`);
+      if (!data || data.length === 0) break;
+      for (const tag of data) {
+        tags.push({ name: tag.name, commit: tag.commit.sha });
+      }
+    }
+    return tags;
+  },
+
+  async compareCommits(source, base, head) {
+    const data = await api(source, `${repoApiUrl(source)}/compare/${base}...${head}`);
+    return data?.total_commits ?? null;
+  },
+
+  archiveRequest(source, token) {
+    const path = `${source.owner}/${source.repo}/archive/${source.commit}.tar.gz`;
+
+    // Mirrors serve the same archive layout and never receive the token
+    const mirror = getHostUrl(source.domain, 'archiveUrl');
+    if (mirror) {
+      return { url: `${mirror}/${path}`, headers: {} };
+    }
+    return { url: `${getHostUrl(source.domain, 'webUrl', `https://${source.domain}`)}/${path}`, headers: authHeaders(token) };
+  },
+};
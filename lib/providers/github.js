@@ -0,0 +1,188 @@
+import { fetchJson, fetchWithTimeout, httpError } from '../http.js';
+import { withToken } from '../auth.js';
+import { getHostType, getHostUrl } from '../config.js';
+
+/**
+ * GitHub source provider, including GitHub Enterprise Server.
+ *
+ *   github:owner/repo[/skill-path][#ref]
+ *   github:ghe.example.com/owner/repo[/skill-path][#ref]
+ *   https://github.com/owner/repo[/tree/<ref>[/skill-path]]
+ *
+ * Enterprise hosts must be declared with type "github" in the user config
+ * for their web URLs to be recognized. API, web and archive base URLs can be
+ * overridden per host (see config.js).
+ */
+
+const DOMAIN = 'github.com';
+const API_URL = 'https://api.github.com';
+const WEB_URL = 'https://github.com';
+
+const JSON_HEADERS = { Accept: 'application/vnd.github.v3+json' };
+
+/**
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @returns {string}
+ */
+function repoApiUrl(source) {
+  const fallback = source.domain === DOMAIN ? API_URL : `https://${source.domain}/api/v3`;
+  return `${getHostUrl(source.domain, 'apiUrl', fallback)}/repos/${source.owner}/${source.repo}`;
+}
+
+/**
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @returns {string}
+ */
+function webUrl(source) {
+  return getHostUrl(source.domain, 'webUrl', source.domain === DOMAIN ? WEB_URL : `https://${source.domain}`);
+}
+
+/**
+ * @param {string|null} token
+ * @returns {Record<string, string>}
+ */
+function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Fetch a JSON API resource with the source's credentials.
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @param {string} url
+ * @returns {Promise<any|null>}
+ */
+function api(source, url) {
+  return withToken(source, DOMAIN, token => fetchJson(url, { headers: { ...JSON_HEADERS, ...authHeaders(token) } }));
+}
+
+/**
+ * Look up the commit SHA a ref points to.
+ * Returns null if the ref doesn't exist.
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @param {string} ref - fully qualified ref or (short) commit SHA
+ * @returns {Promise<string|null>}
+ */
+function fetchCommitSha(source, ref) {
+  const url = `${repoApiUrl(source)}/commits/${ref}`;
+  return withToken(source, DOMAIN, async (token) => {
+    let res;
+    try {
+      res = await fetchWithTimeout(url, { headers: { Accept: 'application/vnd.github.sha', ...authHeaders(token) } });
+    } catch (error) {
+      throw new Error(`Request to ${url} failed: ${error.message}`);
+    }
+
+    // 404: unknown repo or ref, 422: no commit found for the ref
+    if (res.status === 404 || res.status === 422) return null;
+    if (!res.ok) {
+      throw httpError(res, url);
+    }
+
+    const sha = (await res.text()).trim();
+    if (!/^[0-9a-f]{40}$/.test(sha)) {
+      throw new Error(`Unexpected commit response from ${url}: "${sha.slice(0, 80)}"`);
+    }
+    return sha;
+  });
+}
+
+/** @type {import('./index.js').SourceProvider} */
+export default {
+  name: 'github',
+  defaultDomain: DOMAIN,
+  // GitHub owners can't contain dots, so a dotted first segment is always a host
+  selfHosted: true,
+
+  normalizeUrl(url) {
+    if (url.hostname !== DOMAIN && getHostType(url.host) !== 'github') return null;
+
+    const prefix = url.hostname === DOMAIN ? 'github:' : `github:${url.host}/`;
+    const segments = url.pathname.replace(/\/+$/, '').replace(/\.git$/, '').split('/').filter(Boolean);
+    if (segments.length < 2) return null;
+
+    const [owner, repo] = segments;
+
+    // /tree/<ref>[/path...] pattern
+    if (segments.length >= 4 && segments[2] === 'tree') {
+      const ref = segments[3];
+      const skillPath = segments.slice(4).join('/');
+      return `${prefix}${owner}/${repo}${skillPath ? `/${skillPath}` : ''}#${ref}`;
+    }
+
+    return `${prefix}${owner}/${repo}`;
+  },
+
+  async resolveDefaultBranch(source) {
+    try {
+      const data = await api(source, repoApiUrl(source));
+      if (data?.default_branch) return data.default_branch;
+    } catch {
+      // API failed, fall back to 'main'
+    }
+    return 'main';
+  },
+
+  resolveBranch(source, name) {
+    return fetchCommitSha(source, `refs/heads/${name}`);
+  },
+
+  resolveTag(source, name) {
+    return fetchCommitSha(source, `refs/tags/${name}`);
+  },
+
+  resolveCommit(source, sha) {
+    return fetchCommitSha(source, sha);
+  },
+
+  async listTags(source) {
+    const tags = [];
+    // 10 pages of 100 tags is plenty for skill repositories
+    for (let page = 1; page <= 10; page++) {
+      const data = await api(source, `${repoApiUrl(source)}/tags?per_page=100&page=${page}`);
+      if (!data) break;
+      for (const tag of data) {
+        tags.push({ name: tag.name, commit: tag.commit.sha });
+      }
+      if (data.length < 100) break;
+    }
+    return tags;
+  },
+
+  async compareCommits(source, base, head) {
+    const data = await api(source, `${repoApiUrl(source)}/compare/${base}...${head}`);
+    return data?.ahead_by ?? null;
+  },
+
+  async listTree(source) {
+    const data = await api(source, `${repoApiUrl(source)}/git/trees/${source.commit}?recursive=1`);
+    if (!data) throw new Error(`Tree of commit ${source.commit} not found`);
+    return { truncated: Boolean(data.truncated), entries: data.tree };
+  },
+
+  fetchBlob(source, sha) {
+    const url = `${repoApiUrl(source)}/git/blobs/${sha}`;
+    return withToken(source, DOMAIN, async (token) => {
+      const res = await fetchWithTimeout(url, { headers: { Accept: 'application/vnd.github.raw', ...authHeaders(token) } });
+      if (!res.ok) {
+        throw httpError(res, url);
+      }
+      return Buffer.from(await res.arrayBuffer());
+    });
+  },
+
+  archiveRequest(source, token) {
+    const path = `${source.owner}/${source.repo}/archive/${source.commit}.tar.gz`;
+
+    // Mirrors serve the github.com archive layout and never receive the token
+    const mirror = getHostUrl(source.domain, 'archiveUrl');
+    if (mirror) {
+      return { url: `${mirror}/${path}`, headers: {} };
+    }
+
+    // Private repositories can only be downloaded through the API endpoint
+    if (token) {
+      return { url: `${repoApiUrl(source)}/tarball/${source.commit}`, headers: authHeaders(token) };
+    }
+    return { url: `${webUrl(source)}/${path}`, headers: {} };
+  },
+};
@@ -0,0 +1,141 @@
+import { fetchJson } from '../http.js';
+import { withToken } from '../auth.js';
+import { getHostUrl } from '../config.js';
+
+/**
+ * GitLab source provider.
+ *
+ *   gitlab:group/repo[/skill-path][#ref]
+ *   gitlab:group/subgroup/repo/-/skill-path[#ref]   (nested groups)
+ *   https://gitlab.com/group[/subgroup]/repo[/-/tree/<ref>[/skill-path]]
+ *
+ * Nested groups use GitLab's own "/-/" separator between the project and
+ * the path inside it, since "a/b/c" would otherwise be read as repo "b" with
+ * skill path "c".
+ */
+
+const DOMAIN = 'gitlab.com';
+
+/**
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @returns {string}
+ */
+function projectApiUrl(source) {
+  const id = encodeURIComponent(`${source.owner}/${source.repo}`);
+  return `${getHostUrl(source.domain, 'apiUrl', `https://${source.domain}/api/v4`)}/projects/${id}`;
+}
+
+/**
+ * @param {string|null} token
+ * @returns {Record<string, string>}
+ */
+function authHeaders(token) {
+  return token ? { 'PRIVATE-TOKEN': token } : {};
+}
+
+/**
+ * Fetch a JSON API resource with the source's credentials.
+ * @param {import('../remote-skill.js').RemoteSource} source
+ * @param {string} url
+ * @param {{ notFound?: number[] }} [init]
+ * @returns {Promise<any|null>}
+ */
+function api(source, url, init = {}) {
+  return withToken(source, DOMAIN, token => fetchJson(url, { ...init, headers: authHeaders(token) }));
+}
+
+/** @type {import('./index.js').SourceProvider} */
+export default {
+  name: 'gitlab',
+  defaultDomain: DOMAIN,
+
+  normalizeUrl(url) {
+    if (url.hostname !== DOMAIN) return null;
+
+    const pathname = url.pathname.replace(/\/+$/, '').replace(/\.git$/, '');
+    const [projectPath, rest = ''] = pathname.split('/-/');
+    const segments = projectPath.split('/').filter(Boolean);
+    if (segments.length < 2) return null;
+
+    const nested = segments.length > 2;
+    let uri = `gitlab:${segments.join('/')}`;
+
+    // /-/tree/<ref>[/path...] pattern
+    const restSegments = rest.split('/').filter(Boolean);
+    const tree = restSegments[0] === 'tree' && restSegments.length >= 2;
+    const skillPath = tree ? restSegments.slice(2).join('/') : '';
+
+    // Nested groups always need the separator, or the last group reads as the repo
+    if (nested) uri += skillPath ? `/-/${skillPath}` : '/-';
+    else if (skillPath) uri += `/${skillPath}`;
+
+    return tree ? `${uri}#${restSegments[1]}` : uri;
+  },
+
+  splitPath(body) {
+    const sepIdx = body.indexOf('/-');
+    if (sepIdx !== -1 && (body.length === sepIdx + 2 || body[sepIdx + 2] === '/')) {
+      const segments = body.slice(0, sepIdx).split('/').filter(Boolean);
+      if (segments.length < 2) return null;
+      const skillPath = body.slice(sepIdx + 3).replace(/^\/+|\/+$/g, '');
+      return { owner: segments.slice(0, -1).join('/'), repo: segments[segments.length - 1], skillPath: skillPath || undefined };
+    }
+
+    const parts = body.split('/').filter(Boolean);
+    if (parts.length < 2) return null;
+    return { owner: parts[0], repo: parts[1], skillPath: parts.length > 2 ? parts.slice(2).join('/') : undefined };
+  },
+
+  formatPath(source, skillPath) {
+    const project = `${source.owner}/${source.repo}`;
+    if (!source.owner.includes('/')) return skillPath ? `${project}/${skillPath}` : project;
+    return skillPath ? `${project}/-/${skillPath}` : `${project}/-`;
+  },
+
+  async resolveDefaultBranch(source) {
+    try {
+      const data = await api(source, projectApiUrl(source));
+      if (data?.default_branch) return data.default_branch;
+    } catch {
+      // API failed, fall back to 'main'
+    }
+    return 'main';
+  },
+
+  async resolveBranch(source, name) {
+    const data = await api(source, `${projectApiUrl(source)}/repository/branches/${encodeURIComponent(name)}`);
+    return data?.commit?.id ?? null;
+  },
+
+  async resolveTag(source, name) {
+    const data = await api(source, `${projectApiUrl(source)}/repository/tags/${encodeURIComponent(name)}`);
+    return data?.commit?.id ?? null;
+  },
+
+  async resolveCommit(source, sha) {
+    const data = await api(source, `${projectApiUrl(source)}/repository/commits/${sha}`);
+    return data?.id ?? null;
+  },
+
+  async listTags(source) {
+    const tags = [];
+    for (let page = 1; page <= 10; page++) {
+      const data = await api(source, `${projectApiUrl(source)}/repository/tags?per_page=100&page=${page}`);
+      if (!data) break;
+      for (const tag of data) {
+        tags.push({ name: tag.name, commit: tag.commit.id });
+      }
+      if (data.length < 100) break;
+    }
+    return tags;
+  },
+
+  async compareCommits(source, base, head) {
+    const data = await api(source, `${projectApiUrl(source)}/repository/compare?from=${base}&to=${head}`);
+    return data?.commits?.length ?? null;
+  },
+
+  archiveRequest(source, token) {
+    return { url: `${projectApiUrl(source)}/repository/archive.tar.gz?sha=${source.commit}`, headers: authHeaders(token) };
+  },
+};
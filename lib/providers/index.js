@@ -0,0 +1,92 @@
+import github from './github.js';
+import gitlab from './gitlab.js';
+import bitbucket from './bitbucket.js';
+import gitea from './gitea.js';
+import file from './file.js';
+import git from './git.js';
+
+export { isLocalPath } from './file.js';
+
+/**
+ * A source provider knows how to talk to one kind of git host.
+ *
+ * Every resolve* method returns the full commit SHA, or null if the ref
+ * doesn't exist. Network and server errors are thrown. compareCommits()
+ * counts the commits head is ahead of base, for hosts with a compare API.
+ * listTree() and fetchBlob() let single skills be fetched file by file
+ * instead of downloading the whole archive.
+ *
+ * Providers that don't fit the archive model override the generic steps:
+ * parse() replaces owner/repo parsing, format() replaces URI formatting,
+ * resolveRef() replaces ref resolution and download() replaces the archive
+ * download. Local providers (local: true) have no refs or commits at all.
+ * Self-hosted providers (selfHosted: true) accept an optional host as the
+ * first path segment; requiresDomain makes that host mandatory.
+ *
+ * @typedef {import('../remote-skill.js').RemoteSource} RemoteSource
+ * @typedef {{ path: string, mode: string, type: string, sha: string, size?: number }} TreeEntry
+ * @typedef {{
+ *   name: string,
+ *   prefixes?: string[],
+ *   defaultDomain?: string,
+ *   requiresDomain?: boolean,
+ *   selfHosted?: boolean,
+ *   local?: boolean,
+ *   normalizeUrl(url: URL): string|null,
+ *   parse?(body: string, uri: string): Partial<RemoteSource>,
+ *   splitPath?(body: string): { owner: string, repo: string, skillPath?: string }|null,
+ *   format?(source: RemoteSource, skillPath?: string): string,
+ *   formatPath?(source: RemoteSource, skillPath?: string): string,
+ *   resolveRef?(source: RemoteSource): Promise<{ refType?: string, commit?: string }>,
+ *   resolveDefaultBranch?(source: RemoteSource): Promise<string>,
+ *   resolveBranch?(source: RemoteSource, name: string): Promise<string|null>,
+ *   resolveTag?(source: RemoteSource, name: string): Promise<string|null>,
+ *   resolveCommit?(source: RemoteSource, sha: string): Promise<string|null>,
+ *   listTags?(source: RemoteSource): Promise<{ name: string, commit: string }[]>,
+ *   compareCommits?(source: RemoteSource, base: string, head: string): Promise<number|null>,
+ *   listTree?(source: RemoteSource): Promise<{ truncated: boolean, entries: TreeEntry[] }>,
+ *   fetchBlob?(source: RemoteSource, sha: string): Promise<Buffer>,
+ *   archiveRequest?(source: RemoteSource, token: string|null): { url: string, headers: Record<string, string> },
+ *   download?(source: RemoteSource, tmpDir?: string): Promise<string>,
+ * }} SourceProvider
+ */
+
+/** @type {SourceProvider[]} */
+const PROVIDERS = [github, gitlab, bitbucket, gitea, file, git];
+
+/**
+ * Get the provider for a source prefix (e.g. "github" or "git+ssh").
+ * @param {string} name
+ * @returns {SourceProvider|undefined}
+ */
+export function getProvider(name) {
+  return PROVIDERS.find(p => p.name === name || p.prefixes?.includes(name));
+}
+
+/**
+ * Get the source prefixes of all registered providers.
+ * @returns {string[]}
+ */
+export function getProviderNames() {
+  return PROVIDERS.flatMap(p => p.prefixes ?? [p.name]);
+}
+
+/**
+ * Convert a web URL to the prefixed source format of the provider that recognizes it.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function normalizeSourceUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  for (const provider of PROVIDERS) {
+    const normalized = provider.normalizeUrl(parsed);
+    if (normalized) return normalized;
+  }
+  return null;
+}
@@ -2,55 +2,55 @@ import path from 'node:path';
 import os from 'node:os';
 import fs from 'node:fs';
 import { readFile, readdir, rm, mkdir } from 'node:fs/promises';
-import zlib from 'node:zlib';
+import { downloadArchive } from './archive.js';
+import { downloadSubtree } from './subtree.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { readSkillIndex } from './skill-index.js';
+import { findCached, createStagingDir, storeCached } from './cache.js';
+import { getToken, authHint, withToken } from './auth.js';
+import { getConfigPath, getHostType, isOffline } from './config.js';
+import { getProvider, getProviderNames, isLocalPath, normalizeSourceUrl } from './providers/index.js';
+import { maxSatisfying, parseVersion, validRange } from './semver.js';
 
 /**
- * Fetch with timeout helper.
+ * @typedef {'branch' | 'tag' | 'commit'} RefType
+ * @typedef {{
+ *   host: string,
+ *   domain?: string,
+ *   owner: string,
+ *   repo: string,
+ *   skillPath?: string,
+ *   ref: string,
+ *   refType?: RefType,
+ *   range?: string,
+ *   commit?: string,
+ *   localPath?: string,
+ *   url?: string
+ * }} RemoteSource
+ * @typedef {{
+ *   name: string,
+ *   description: string,
+ *   frontmatter: Record<string, unknown>,
+ *   tags?: string[],
+ *   requires?: string[],
+ *   dirPath: string,
+ *   relativePath: string,
+ * }} DetectedSkill
  */
-function fetchWithTimeout(url, init = {}) {
-  const { timeout = 15000, ...rest } = init;
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
-  return fetch(url, { ...rest, signal: controller.signal }).finally(() => clearTimeout(timer));
-}
 
 /**
- * @typedef {{ host: 'github', owner: string, repo: string, skillPath?: string, ref: string }} RemoteSource
- * @typedef {{ name: string, description: string, dirPath: string, relativePath: string }} DetectedSkill
- */
-
-/**
- * Convert a GitHub URL to the internal github: format.
- *
- * Examples:
- *   https://github.com/owner/repo          -> github:owner/repo
- *   https://github.com/owner/repo.git      -> github:owner/repo
- *   https://github.com/owner/repo/tree/dev -> github:owner/repo#dev
- *   https://github.com/owner/repo/tree/dev/path/to/skill -> github:owner/repo/path/to/skill#dev
+ * Split "owner/repo/skill/path" into its parts.
+ * @param {string} body
+ * @returns {{ owner: string, repo: string, skillPath?: string }|null}
  */
-function normalizeGitHubUrl(url) {
-  let cleaned = url.replace(/\/+$/, '').replace(/\.git$/, '');
-
-  const match = cleaned.match(/^https?:\/\/github\.com\/(.+)$/);
-  if (!match) return url;
-
-  const segments = match[1].split('/');
-  if (segments.length < 2) return url;
-
-  const owner = segments[0];
-  const repo = segments[1];
-
-  // /tree/<ref>[/path...] pattern
-  if (segments.length >= 4 && segments[2] === 'tree') {
-    const ref = segments[3];
-    const skillPath = segments.length > 4 ? segments.slice(4).join('/') : '';
-    let result = `github:${owner}/${repo}`;
-    if (skillPath) result += `/${skillPath}`;
-    result += `#${ref}`;
-    return result;
-  }
-
-  return `github:${owner}/${repo}`;
+function splitRepoPath(body) {
+  const parts = body.split('/').filter(Boolean);
+  if (parts.length < 2) return null;
+  return {
+    owner: parts[0],
+    repo: parts[1],
+    skillPath: parts.length > 2 ? parts.slice(2).join('/') : undefined,
+  };
 }
 
 /**
@@ -58,28 +58,63 @@ function normalizeGitHubUrl(url) {
  *
  * Supported formats:
  *   github:owner/repo
- *   github:owner/repo#ref
+ *   github:owner/repo#ref          (branch, tag or commit SHA)
  *   github:owner/repo/skill-path
  *   github:owner/repo/skill-path#ref
- *   https://github.com/owner/repo
- *   https://github.com/owner/repo/tree/branch
- *   https://github.com/owner/repo/tree/branch/skill-path
+ *   github:owner/repo@^1.2         (semver range matched against tags)
+ *   github:owner/repo#semver:^1.2
+ *   github:ghe.example.com/owner/repo   (GitHub Enterprise)
+ *   gitlab:group/repo[/skill-path]
+ *   gitlab:group/subgroup/repo/-/skill-path
+ *   bitbucket:workspace/repo[/skill-path]
+ *   gitea:host/owner/repo[/skill-path]
+ *   git+ssh://git@host/org/repo.git[//skill-path][#ref]
+ *   git+https://host/org/repo.git, git+file:///srv/repo.git
+ *   file:../skills-repo            (local directory)
+ *   ./path/to/skill, ../repo, /abs/path
+ *   https://github.com/owner/repo[/tree/branch[/skill-path]]
+ *   https://gitlab.com/group/repo[/-/tree/branch[/skill-path]]
+ *   https://bitbucket.org/workspace/repo[/src/branch[/skill-path]]
+ *   https://ghe.example.com/owner/repo/tree/branch/skill-path   (hosts configured with a type)
  *
  * @param {string} uri
  * @returns {RemoteSource}
  */
 export function parseRemoteSource(uri) {
-  // Normalize GitHub URLs to github: format
-  if (uri.startsWith('https://github.com/') || uri.startsWith('http://github.com/')) {
-    uri = normalizeGitHubUrl(uri);
+  const original = uri;
+
+  // Bare filesystem paths are local directory sources
+  if (isLocalPath(uri)) {
+    uri = `file:${uri}`;
+  }
+
+  // Normalize web URLs to the prefixed format
+  if (/^https?:\/\//.test(uri)) {
+    const normalized = normalizeSourceUrl(uri);
+    if (!normalized) {
+      throw new Error(
+        `Unsupported source URL: "${uri}". Supported hosts: github.com, gitlab.com, bitbucket.org ` +
+        `and hosts with a "type" in ${getConfigPath()}`,
+      );
+    }
+    uri = normalized;
+  }
+
+  const colonIdx = uri.indexOf(':');
+  const provider = colonIdx > 0 ? getProvider(uri.slice(0, colonIdx)) : undefined;
+  if (!provider) {
+    const prefixes = getProviderNames().map(n => `${n}:`).join(', ');
+    throw new Error(`Unsupported source format: "${original}". Use one of ${prefixes} or a repository URL`);
   }
 
-  if (!uri.startsWith('github:')) {
-    throw new Error(`Unsupported source format: "${uri}". Use github:owner/repo or https://github.com/owner/repo`);
+  let body = uri.slice(colonIdx + 1);
+
+  if (provider.parse) {
+    return { host: provider.name, ref: '', ...provider.parse(body, uri) };
   }
 
-  let body = uri.slice('github:'.length);
   let ref = '';
+  let range;
 
   const hashIdx = body.indexOf('#');
   if (hashIdx !== -1) {
@@ -87,16 +122,78 @@ export function parseRemoteSource(uri) {
     body = body.slice(0, hashIdx);
   }
 
-  const parts = body.split('/');
-  if (parts.length < 2) {
-    throw new Error(`Invalid GitHub source: "${uri}". Expected github:owner/repo`);
+  if (ref.startsWith('semver:')) {
+    range = ref.slice('semver:'.length);
+    ref = '';
+  }
+
+  // Trailing @range, e.g. github:owner/repo@^1.2 or github:owner/repo/skill@~2.0
+  const atIdx = body.lastIndexOf('@');
+  if (atIdx !== -1 && !body.slice(atIdx).includes('/')) {
+    range = body.slice(atIdx + 1);
+    body = body.slice(0, atIdx);
+  }
+
+  if (range !== undefined) {
+    range = range.trim();
+    if (ref) {
+      throw new Error(`Invalid source: "${original}". Use either a #ref or a semver range, not both.`);
+    }
+    if (!range || !validRange(range)) {
+      throw new Error(`Invalid semver range "${range}" in source "${original}".`);
+    }
+  }
+
+  let domain = provider.defaultDomain;
+  if (provider.selfHosted && isDomainSegment(body.split('/')[0], provider.name)) {
+    domain = body.split('/')[0];
+    body = body.slice(domain.length + 1);
+  } else if (provider.requiresDomain) {
+    const slashIdx = body.indexOf('/');
+    domain = slashIdx === -1 ? '' : body.slice(0, slashIdx);
+    body = slashIdx === -1 ? '' : body.slice(slashIdx + 1);
+    if (!domain) {
+      throw new Error(`Invalid ${provider.name} source: "${original}". Expected ${provider.name}:host/owner/repo`);
+    }
   }
 
-  const owner = parts[0];
-  const repo = parts[1];
-  const skillPath = parts.length > 2 ? parts.slice(2).join('/') : undefined;
+  const parts = (provider.splitPath ?? splitRepoPath)(body);
+  if (!parts) {
+    const hostPart = provider.requiresDomain ? 'host/' : '';
+    throw new Error(`Invalid ${provider.name} source: "${original}". Expected ${provider.name}:${hostPart}owner/repo`);
+  }
 
-  return { host: 'github', owner, repo, skillPath, ref };
+  return { host: provider.name, domain, ...parts, ref, range };
+}
+
+/**
+ * Check whether the first segment of a source path names a host rather than an owner:
+ * it has a dot or port (ghe.example.com, localhost:8080) or is configured for the provider.
+ * @param {string} segment
+ * @param {string} providerName
+ * @returns {boolean}
+ */
+function isDomainSegment(segment, providerName) {
+  return /[.:]/.test(segment) || getHostType(segment) === providerName;
+}
+
+/**
+ * Format the repository part of a source (no skill path, ref or range).
+ * This is the form stored as `source` in the lock file.
+ * @param {RemoteSource} source
+ * @param {string} [skillPath]
+ * @returns {string}
+ */
+export function formatRepoUri(source, skillPath) {
+  const provider = getProvider(source.host);
+  if (provider?.format) {
+    return provider.format(source, skillPath);
+  }
+  const repoPath = provider?.formatPath
+    ? provider.formatPath(source, skillPath)
+    : `${source.owner}/${source.repo}${skillPath ? `/${skillPath}` : ''}`;
+  const showDomain = provider?.requiresDomain || (source.domain && source.domain !== provider?.defaultDomain);
+  return `${source.host}:${showDomain ? `${source.domain}/` : ''}${repoPath}`;
 }
 
 /**
@@ -105,89 +202,176 @@ export function parseRemoteSource(uri) {
  * @returns {string}
  */
 export function formatSourceUri(source) {
-  let uri = `github:${source.owner}/${source.repo}`;
-  if (source.skillPath) {
-    uri += `/${source.skillPath}`;
-  }
-  if (source.ref && source.ref !== 'main') {
+  let uri = formatRepoUri(source, source.skillPath);
+  if (source.range && source.host === 'git') {
+    uri += `#semver:${source.range}`;
+  } else if (source.range) {
+    uri += `@${source.range}`;
+  } else if (source.ref && source.ref !== 'main') {
     uri += `#${source.ref}`;
   }
   return uri;
 }
 
 /**
- * Resolve the default branch for a GitHub repository.
- * Falls back to 'main' if the API call fails.
- * @param {string} owner
- * @param {string} repo
- * @returns {Promise<string>}
+ * Short human-readable label for a source, e.g. "owner/repo" or "gitlab:group/repo".
+ * @param {RemoteSource} source
+ * @returns {string}
  */
-async function resolveDefaultBranch(owner, repo) {
-  try {
-    const res = await fetchWithTimeout(`https://api.github.com/repos/${owner}/${repo}`, {
-      headers: { Accept: 'application/vnd.github.v3+json' },
-    });
-    if (res.ok) {
-      const data = await res.json();
-      if (data.default_branch) return data.default_branch;
-    }
-  } catch {
-    // API failed, fall back to 'main'
+export function describeSource(source) {
+  if (source.host === 'github') {
+    const domain = source.domain && source.domain !== 'github.com' ? `${source.domain}/` : '';
+    return `${domain}${source.owner}/${source.repo}`;
   }
-  return 'main';
+  return formatRepoUri(source);
+}
+
+/**
+ * Check whether a source is a local directory (no refs, commits or downloads).
+ * @param {RemoteSource} source
+ * @returns {boolean}
+ */
+export function isLocalSource(source) {
+  return Boolean(getProvider(source.host)?.local);
 }
 
 /**
- * Download a repository archive and extract it to a temp directory.
- * Returns the path to the extracted repo root.
- * Also mutates source.ref to the resolved branch if it was empty.
+ * @param {RemoteSource} source
+ * @returns {import('./providers/index.js').SourceProvider}
+ */
+function providerFor(source) {
+  const provider = getProvider(source.host);
+  if (!provider) {
+    throw new Error(`Unsupported source type "${source.host}".`);
+  }
+  return provider;
+}
+
+/**
+ * Cache key of a source's repository: host, owner path and repository name.
+ * Generic git sources are keyed by their URL without credentials.
+ * @param {RemoteSource} source
+ * @returns {string[]}
+ */
+function cacheKey(source) {
+  if (source.url) {
+    const location = formatRepoUri(source).replace(/^[a-z+]+:\/\//, '').replace(/^[^@/]*@/, '');
+    return [source.host, ...location.split(/[/:]/).filter(Boolean)];
+  }
+  return [source.domain ?? source.host, ...source.owner.split('/'), source.repo];
+}
+
+/**
+ * Download a repository and extract it, through the user-level download cache.
+ * Returns the path to the extracted repo root, which must be treated as
+ * read-only: it may be the cached copy itself.
+ * Local sources return their own directory -- nothing is copied.
+ *
+ * Always downloads an exact commit: if source.commit isn't set yet, the ref
+ * is resolved first (which also mutates source.ref, refType and commit).
+ *
+ * Downloads can be limited to some repository paths (options.paths) and
+ * report the number of bytes received (options.onProgress). Small path
+ * selections are fetched file by file where the provider supports it.
+ * A cached copy of the whole repository satisfies any selection.
  *
- * Uses Node.js native fetch + zlib + tar parser -- no shell dependencies.
+ * Offline, only cached commits are available. A miss throws an error whose
+ * `missing` property names the "source@commit" that would have been downloaded.
  *
  * @param {RemoteSource} source
+ * @param {{ paths?: string[], onProgress?: (bytes: number) => void }} [options]
  * @returns {Promise<string>}
  */
-export async function downloadAndExtract(source) {
-  // Resolve default branch if not specified
-  if (!source.ref) {
-    source.ref = await resolveDefaultBranch(source.owner, source.repo);
+export async function downloadAndExtract(source, options = {}) {
+  const provider = providerFor(source);
+
+  if (provider.local) {
+    return provider.download(source);
   }
 
-  const tmpBase = path.join(os.tmpdir(), `aif-remote-skill-${Date.now()}`);
-  await mkdir(tmpBase, { recursive: true });
+  if (!source.commit) {
+    await resolveRef(source);
+  }
 
-  const archiveUrl = `https://github.com/${source.owner}/${source.repo}/archive/refs/heads/${source.ref}.tar.gz`;
+  const paths = options.paths?.map(p => p.replace(/^\/+|\/+$/g, ''));
+  const key = cacheKey(source);
+  const cached = await findCached(key, source.commit, paths);
+  if (cached) return cached;
 
-  try {
-    const res = await fetchWithTimeout(archiveUrl, { timeout: 60000 });
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status} from ${archiveUrl}`);
-    }
+  if (isOffline()) {
+    const missing = `${formatRepoUri(source)}@${source.commit}`;
+    throw Object.assign(new Error(`${missing} is not in the download cache (offline)`), { missing });
+  }
 
-    const buffer = Buffer.from(await res.arrayBuffer());
+  // Download next to the cache so the result can be moved into it; without
+  // a writable cache, download to a throwaway temp directory
+  let tmpBase;
+  let cacheable = true;
+  try {
+    tmpBase = await createStagingDir();
+  } catch {
+    cacheable = false;
+    tmpBase = path.join(os.tmpdir(), `aif-remote-skill-${Date.now()}`);
+    await mkdir(tmpBase, { recursive: true });
+  }
 
-    // Decompress gzip -> raw tar
-    const tarBuffer = zlib.gunzipSync(buffer);
+  const repoDir = await fetchRepository(provider, source, tmpBase, { ...options, paths });
+  if (!cacheable) return repoDir;
 
-    // Extract tar archive using pure Node.js parser
-    extractTar(tarBuffer, tmpBase);
+  try {
+    return await storeCached(key, { source: formatRepoUri(source), commit: source.commit, paths }, repoDir);
+  } finally {
+    await rm(tmpBase, { recursive: true, force: true }).catch(() => {});
+  }
+}
 
-    // GitHub archives extract to {repo}-{ref}/ directory
-    const entries = await listDirectories(tmpBase);
-    const repoDir = entries.find(e => e.startsWith(`${source.repo}-`));
+/**
+ * Download a repository at source.commit into tmpBase.
+ * tmpBase is removed if the download fails.
+ *
+ * @param {import('./providers/index.js').SourceProvider} provider
+ * @param {RemoteSource} source
+ * @param {string} tmpBase
+ * @param {{ paths?: string[], onProgress?: (bytes: number) => void }} options
+ * @returns {Promise<string>}
+ */
+async function fetchRepository(provider, source, tmpBase, options) {
+  if (provider.download) {
+    try {
+      return await provider.download(source, tmpBase);
+    } catch (error) {
+      await rm(tmpBase, { recursive: true, force: true }).catch(() => {});
+      throw new Error(`Failed to fetch ${describeSource(source)} at commit "${source.commit}": ${error.message}`);
+    }
+  }
 
-    if (!repoDir) {
-      throw new Error('Could not find extracted repository directory');
+  // Single skills from large repositories: fetch just their files
+  if (options.paths) {
+    try {
+      const repoDir = await downloadSubtree(provider, source, options.paths, tmpBase, { onProgress: options.onProgress });
+      if (repoDir) return repoDir;
+    } catch {
+      // Fall back to the archive, which reports real errors
+      await rm(tmpBase, { recursive: true, force: true }).catch(() => {});
+      await mkdir(tmpBase, { recursive: true });
     }
+  }
+
+  let archiveUrl;
 
-    return path.join(tmpBase, repoDir);
+  try {
+    return await withToken(source, provider.defaultDomain, (token) => {
+      const { url, headers } = provider.archiveRequest(source, token);
+      archiveUrl = url;
+      return downloadArchive(url, tmpBase, { headers, paths: options.paths, onProgress: options.onProgress });
+    });
   } catch (error) {
     await rm(tmpBase, { recursive: true, force: true }).catch(() => {});
     const msg = error.message;
     if (msg.includes('HTTP') || msg.includes('fetch') || msg.includes('404')) {
       throw new Error(
         `Failed to download from ${archiveUrl}. ` +
-        `Check that the repository "${source.owner}/${source.repo}" exists and branch "${source.ref}" is correct.`,
+        `Check that the repository "${describeSource(source)}" exists and commit "${source.commit}" is available.`,
       );
     }
     throw error;
@@ -195,101 +379,156 @@ export async function downloadAndExtract(source) {
 }
 
 /**
- * Minimal tar extractor -- reads a POSIX/UStar tar buffer and writes files to disk.
- * Supports regular files and directories. Handles long names via pax headers (type 'x').
+ * Resolve source.range to the highest matching tag.
+ * Mutates source: ref (the tag name), refType ('tag') and commit.
+ * @param {RemoteSource} source
+ * @returns {Promise<{ refType: RefType, commit: string }>}
+ */
+async function resolveRange(source) {
+  let tags;
+  try {
+    tags = await providerFor(source).listTags(source);
+  } catch (error) {
+    throw new Error(`Failed to list tags of ${describeSource(source)}: ${error.message}`);
+  }
+  const best = maxSatisfying(tags, source.range, t => t.name);
+
+  if (!best) {
+    const versions = tags.filter(t => parseVersion(t.name)).map(t => t.name);
+    throw new Error(
+      `No tag in ${describeSource(source)} satisfies "${source.range}". ` +
+      (versions.length > 0 ? `Available: ${versions.slice(0, 10).join(', ')}` : 'The repository has no version tags.'),
+    );
+  }
+
+  source.ref = best.name;
+  source.refType = 'tag';
+  source.commit = best.commit;
+  return { refType: 'tag', commit: best.commit };
+}
+
+/**
+ * Resolve source.ref to a branch, tag or commit and pin it to a full commit SHA.
+ * If source.range is set, the highest tag satisfying it is used instead.
+ *
+ * Mutates source: ref (default branch if it was empty), refType and commit.
+ * Branches win over tags of the same name, and a hex string is only treated
+ * as a commit SHA when no branch or tag matches it.
+ * Throws if the ref cannot be resolved, so callers never record an unpinned lock entry.
  *
- * @param {Buffer} tar
- * @param {string} destDir
+ * @param {RemoteSource} source
+ * @returns {Promise<{ refType: RefType, commit: string }>}
  */
-function extractTar(tar, destDir) {
-  let offset = 0;
-  let paxPath = '';
-
-  while (offset + 512 <= tar.length) {
-    const header = tar.subarray(offset, offset + 512);
-
-    // End-of-archive: two consecutive zero blocks
-    if (header.every(b => b === 0)) break;
-
-    // Parse header fields
-    const rawName = header.subarray(0, 100).toString('utf-8').replace(/\0+$/g, '');
-    const sizeStr = header.subarray(124, 136).toString('utf-8').replace(/\0+$/g, '').trim();
-    const typeFlag = String.fromCharCode(header[156]);
-    const prefix = header.subarray(345, 500).toString('utf-8').replace(/\0+$/g, '');
-
-    const fileSize = sizeStr ? parseInt(sizeStr, 8) : 0;
-    const entryName = paxPath || (prefix ? `${prefix}/${rawName}` : rawName);
-    paxPath = ''; // reset after use
-
-    offset += 512; // advance past header
-
-    if (typeFlag === 'x' || typeFlag === 'g') {
-      // Pax extended header -- extract path= field
-      const paxData = tar.subarray(offset, offset + fileSize).toString('utf-8');
-      const pathMatch = paxData.match(/(?:^|\n)\d+ path=([^\n]+)/);
-      if (pathMatch) paxPath = pathMatch[1];
-      offset += Math.ceil(fileSize / 512) * 512;
-      continue;
+export async function resolveRef(source) {
+  const provider = providerFor(source);
+
+  // Offline, only full commit SHAs can be resolved: they name themselves
+  if (isOffline() && !provider.local) {
+    if (!source.range && /^[0-9a-f]{40}$/i.test(source.ref)) {
+      source.refType = 'commit';
+      source.ref = source.ref.toLowerCase();
+      source.commit = source.ref;
+      return { refType: source.refType, commit: source.commit };
     }
+    const uri = formatRepoUri(source);
+    const what = source.range
+      ? `range ${source.range} of ${uri}`
+      : source.ref ? `"${source.ref}" in ${uri}` : `the default branch of ${uri}`;
+    throw new Error(`Can't resolve ${what} offline. Use a full commit SHA or run without --offline.`);
+  }
 
-    if (typeFlag === '5' || entryName.endsWith('/')) {
-      // Directory
-      const dirPath = path.join(destDir, entryName);
-      fs.mkdirSync(dirPath, { recursive: true });
-    } else if (typeFlag === '0' || typeFlag === '' || typeFlag === '\0') {
-      // Regular file
-      const filePath = path.join(destDir, entryName);
-      fs.mkdirSync(path.dirname(filePath), { recursive: true });
-      const data = tar.subarray(offset, offset + fileSize);
-      fs.writeFileSync(filePath, data);
-    }
-    // Skip symlinks, hardlinks, etc.
+  if (source.range) {
+    return resolveRange(source);
+  }
+
+  if (provider.resolveRef) {
+    return provider.resolveRef(source);
+  }
+
+  if (!source.ref) {
+    source.ref = await provider.resolveDefaultBranch(source);
+  }
 
-    // Advance past data blocks (512-byte aligned)
-    offset += Math.ceil(fileSize / 512) * 512;
+  /** @type {[RefType, () => Promise<string|null>][]} */
+  const candidates = [
+    ['branch', () => provider.resolveBranch(source, source.ref)],
+    ['tag', () => provider.resolveTag(source, source.ref)],
+  ];
+  if (/^[0-9a-f]{7,40}$/i.test(source.ref)) {
+    candidates.push(['commit', () => provider.resolveCommit(source, source.ref.toLowerCase())]);
   }
+
+  for (const [refType, resolve] of candidates) {
+    let commit;
+    try {
+      commit = await resolve();
+    } catch (error) {
+      throw new Error(`Failed to resolve "${source.ref}" in ${describeSource(source)}: ${error.message}`);
+    }
+    if (commit) {
+      source.refType = refType;
+      source.commit = commit;
+      // Expand short SHAs so the lock always records the full commit
+      if (refType === 'commit') source.ref = commit;
+      return { refType, commit };
+    }
+  }
+
+  // APIs answer 404 for private repositories without credentials
+  const token = await getToken(source, provider.defaultDomain);
+  throw new Error(
+    `Could not resolve "${source.ref}" in ${describeSource(source)}. ` +
+    'Check that the repository exists and the ref is a branch, tag or commit SHA.' +
+    (token ? '' : ` If the repository is private, authentication is required: ${authHint(source, provider.defaultDomain)}.`),
+  );
 }
 
 /**
- * Resolve the current commit hash for a remote source using the GitHub API.
+ * Count how many commits `head` is ahead of `base`, without downloading anything.
+ * Returns null if the host has no compare API or the commits can't be compared.
  * @param {RemoteSource} source
- * @returns {Promise<string>}
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<number|null>}
  */
-export async function resolveCommitHash(source) {
+export async function countCommitsBetween(source, base, head) {
+  const provider = providerFor(source);
+  if (!provider.compareCommits) return null;
   try {
-    const res = await fetchWithTimeout(
-      `https://api.github.com/repos/${source.owner}/${source.repo}/commits/${source.ref}`,
-      { headers: { Accept: 'application/vnd.github.sha' } },
-    );
-    if (res.ok) {
-      const text = await res.text();
-      return text.trim().slice(0, 12);
-    }
+    return await provider.compareCommits(source, base, head);
   } catch {
-    // Fallback below
+    return null;
   }
-  return `unknown-${Date.now()}`;
 }
 
 /**
- * Extract the `name:` and `description:` from SKILL.md YAML frontmatter.
+ * List the tags of a repository with the commit each one points to.
+ * @param {RemoteSource} source
+ * @returns {Promise<{ name: string, commit: string }[]>}
+ */
+export function listTags(source) {
+  return providerFor(source).listTags(source);
+}
+
+/**
+ * Set the name in a SKILL.md's frontmatter, adding the field (or the
+ * frontmatter block) if it is missing.
  * @param {string} content
- * @returns {{ name: string, description: string }}
+ * @param {string} name
+ * @returns {string}
  */
-function parseFrontmatter(content) {
-  const match = content.match(/^---\s*\n([\s\S]*?)\n---/);
+export function setFrontmatterName(content, name) {
+  const match = content.match(/^(?:\uFEFF)?---[ \t]*\r?\n([\s\S]*?)\r?\n---/);
   if (!match) {
-    return { name: '', description: '' };
+    return `---\nname: ${name}\n---\n${content}`;
   }
 
-  const frontmatter = match[1];
-  const nameMatch = frontmatter.match(/^name:\s*(.+)$/m);
-  const descMatch = frontmatter.match(/^description:\s*(.+)$/m);
-
-  return {
-    name: nameMatch ? nameMatch[1].trim() : '',
-    description: descMatch ? descMatch[1].trim().slice(0, 100) : '',
-  };
+  // A value continued on indented lines is replaced as a whole
+  const field = /^name[ \t]*:.*(?:\r?\n[ \t]+.*)*$/m;
+  const frontmatter = field.test(match[1])
+    ? match[1].replace(field, `name: ${name}`)
+    : `name: ${name}\n${match[1]}`;
+  return content.replace(match[1], () => frontmatter);
 }
 
 /**
@@ -320,17 +559,35 @@ async function fileExists(filePath) {
   }
 }
 
+/** Directory levels below the search root that the scan descends into */
+const SCAN_MAX_DEPTH = 5;
+
+/** Directories the scan looks at, at most, so huge repositories stay fast */
+const SCAN_MAX_DIRECTORIES = 5000;
+
 /**
- * Read a text file, return null if it doesn't exist.
- * @param {string} filePath
- * @returns {Promise<string|null>}
+ * Read the frontmatter of a skill's SKILL.md. Unreadable or invalid
+ * frontmatter gives empty fields; `skill validate` reports the details.
+ * @param {string} skillDir
+ * @param {{ name?: string, description?: string, requires?: string[] }} [fallback] - e.g. from an index file
+ * @returns {Promise<Pick<DetectedSkill, 'name' | 'description' | 'frontmatter' | 'requires'>>}
  */
-async function readTextFile(filePath) {
+async function readSkillInfo(skillDir, fallback = {}) {
+  let frontmatter = {};
   try {
-    return await readFile(filePath, 'utf-8');
+    ({ data: frontmatter } = parseFrontmatter(await readFile(path.join(skillDir, 'SKILL.md'), 'utf-8')));
   } catch {
-    return null;
+    // Detected by file name alone
   }
+  const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+  const list = (value) => [value].flat().map(text).filter(Boolean);
+  const requires = [...new Set([...list(frontmatter.requires), ...fallback.requires ?? []])];
+  return {
+    name: text(frontmatter.name) || fallback.name || path.basename(skillDir),
+    description: text(frontmatter.description) || fallback.description || '',
+    frontmatter,
+    requires: requires.length > 0 ? requires : undefined,
+  };
 }
 
 /**
@@ -338,8 +595,9 @@ async function readTextFile(filePath) {
  *
  * Detection order:
  * 1. SKILL.md at root -> single skill (entire repo is one skill)
- * 2. skills\/*\/SKILL.md -> collection in skills/ subdirectory
- * 3. *\/SKILL.md at first level -> collection at root level
+ * 2. An index file (skills.json, .claude-plugin/marketplace.json) -> the skills it lists
+ * 3. Recursive scan of skills/ -> collection in skills/ subdirectory, possibly nested
+ * 4. Recursive scan of the root -> collection anywhere else (e.g. packages/*\/skill)
  *
  * @param {string} repoDir
  * @returns {Promise<DetectedSkill[]>}
@@ -348,25 +606,28 @@ export async function detectSkills(repoDir) {
   // Pattern 1: Single skill -- SKILL.md at root
   const rootSkillMd = path.join(repoDir, 'SKILL.md');
   if (await fileExists(rootSkillMd)) {
-    const content = await readTextFile(rootSkillMd);
-    const { name, description } = parseFrontmatter(content ?? '');
-    const dirName = path.basename(repoDir);
     return [{
-      name: name || dirName,
-      description,
+      ...await readSkillInfo(repoDir),
       dirPath: repoDir,
       relativePath: '',
     }];
   }
 
-  // Pattern 2: Collection in skills/ directory
+  // Pattern 2: Skills listed by the repository (missing from filtered downloads)
+  const index = await readSkillIndex(repoDir);
+  if (index) {
+    const skills = await skillsFromIndex(repoDir, index);
+    if (skills.length > 0) return skills;
+  }
+
+  // Pattern 3: Collection in skills/ directory
   const skillsSubDir = path.join(repoDir, 'skills');
   if (await fileExists(skillsSubDir)) {
-    const skills = await scanForSkills(skillsSubDir, 'skills');
+    const skills = await scanForSkills(repoDir, 'skills');
     if (skills.length > 0) return skills;
   }
 
-  // Pattern 3: Collection at root level
+  // Pattern 4: Collection anywhere else
   const rootSkills = await scanForSkills(repoDir, '');
   if (rootSkills.length > 0) return rootSkills;
 
@@ -374,30 +635,70 @@ export async function detectSkills(repoDir) {
 }
 
 /**
- * Scan a directory for skill subdirectories (those containing SKILL.md).
- * @param {string} parentDir
- * @param {string} relativePrefix
+ * Resolve the skills an index file lists. Entries without a SKILL.md are skipped.
+ * @param {string} repoDir
+ * @param {import('./skill-index.js').SkillIndex} index
+ * @returns {Promise<DetectedSkill[]>}
+ */
+async function skillsFromIndex(repoDir, index) {
+  const skills = [];
+  const seen = new Set();
+
+  const add = async (relativePath, entry = {}) => {
+    const dirPath = path.join(repoDir, ...relativePath.split('/').filter(Boolean));
+    if (seen.has(relativePath) || !await fileExists(path.join(dirPath, 'SKILL.md'))) return;
+    seen.add(relativePath);
+    skills.push({
+      ...await readSkillInfo(dirPath, entry),
+      tags: entry.tags,
+      dirPath,
+      relativePath,
+    });
+  };
+
+  for (const entry of index.entries ?? []) {
+    await add(entry.path, entry);
+  }
+  for (const parent of index.directories ?? []) {
+    for (const dir of await listDirectories(path.join(repoDir, ...parent.split('/')))) {
+      await add(`${parent}/${dir}`);
+    }
+  }
+  return skills;
+}
+
+/**
+ * Scan a directory tree for skill directories (those containing SKILL.md),
+ * shallowest first. A skill's own subdirectories aren't scanned, and the
+ * scan stops at SCAN_MAX_DEPTH levels or SCAN_MAX_DIRECTORIES directories.
+ * @param {string} repoDir
+ * @param {string} start - relative path to scan from, '' for the root
  * @returns {Promise<DetectedSkill[]>}
  */
-async function scanForSkills(parentDir, relativePrefix) {
+async function scanForSkills(repoDir, start) {
   const skills = [];
-  const dirs = await listDirectories(parentDir);
-
-  for (const dir of dirs) {
-    // Skip hidden directories and common non-skill directories
-    if (dir.startsWith('.') || dir.startsWith('_') || dir === 'node_modules') continue;
-
-    const skillMdPath = path.join(parentDir, dir, 'SKILL.md');
-    if (await fileExists(skillMdPath)) {
-      const content = await readTextFile(skillMdPath);
-      const { name, description } = parseFrontmatter(content ?? '');
-      skills.push({
-        name: name || dir,
-        description,
-        dirPath: path.join(parentDir, dir),
-        relativePath: relativePrefix ? `${relativePrefix}/${dir}` : dir,
-      });
+  let visited = 0;
+  let level = [start];
+
+  for (let depth = 0; depth < SCAN_MAX_DEPTH && level.length > 0; depth++) {
+    const next = [];
+    for (const parent of level) {
+      const dirs = (await listDirectories(path.join(repoDir, parent))).sort();
+      for (const dir of dirs) {
+        // Skip hidden directories and common non-skill directories
+        if (dir.startsWith('.') || dir.startsWith('_') || dir === 'node_modules') continue;
+        if (++visited > SCAN_MAX_DIRECTORIES) return skills;
+
+        const relativePath = parent ? `${parent}/${dir}` : dir;
+        const dirPath = path.join(repoDir, parent, dir);
+        if (await fileExists(path.join(dirPath, 'SKILL.md'))) {
+          skills.push({ ...await readSkillInfo(dirPath), dirPath, relativePath });
+        } else {
+          next.push(relativePath);
+        }
+      }
     }
+    level = next;
   }
 
   return skills;
@@ -405,11 +706,12 @@ async function scanForSkills(parentDir, relativePrefix) {
 
 /**
  * Clean up a temp directory created by downloadAndExtract.
+ * Directories outside the temp area (e.g. local sources) are left alone.
  * @param {string} repoDir
  */
 export async function cleanupTemp(repoDir) {
   const tmpBase = path.dirname(repoDir);
-  if (tmpBase.includes('aif-remote-skill-')) {
+  if (path.dirname(tmpBase) === os.tmpdir() && path.basename(tmpBase).startsWith('aif-remote-skill-')) {
     await rm(tmpBase, { recursive: true, force: true }).catch(() => {});
   }
 }
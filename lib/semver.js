@@ -0,0 +1,257 @@
+/**
+ * Minimal semver implementation for matching repository tags against version ranges.
+ *
+ * Supports the npm range syntax commonly used for releases:
+ *   1.2.3, =1.2.3, >1.2, >=1.2.3, <2, <=1.4
+ *   ^1.2, ~1.2.3, 1.x, 1.2.*, *
+ *   1.2 - 2.3.4 (hyphen ranges)
+ *   >=1.2 <2 || ^3 (comparator sets and unions)
+ *
+ * Prerelease versions only match a comparator set that names a prerelease
+ * of the same major.minor.patch, following npm's rules.
+ */
+
+/**
+ * @typedef {{ major: number, minor: number, patch: number, prerelease: (string|number)[], version: string }} SemVer
+ * @typedef {{ op: '<' | '<=' | '>' | '>=' | '=', semver: SemVer }} Comparator
+ */
+
+const VERSION_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string such as "1.2.3" or a tag name such as "v1.2.3-beta.1".
+ * @param {string} str
+ * @returns {SemVer|null}
+ */
+export function parseVersion(str) {
+  const match = String(str).trim().match(VERSION_RE);
+  if (!match) return null;
+  return makeSemVer(+match[1], +match[2], +match[3], match[4]);
+}
+
+/**
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {string} [pre]
+ * @returns {SemVer}
+ */
+function makeSemVer(major, minor, patch, pre) {
+  const prerelease = pre ? pre.split('.').map(id => (/^\d+$/.test(id) ? +id : id)) : [];
+  const version = `${major}.${minor}.${patch}${pre ? `-${pre}` : ''}`;
+  return { major, minor, patch, prerelease, version };
+}
+
+/**
+ * Compare two versions by semver precedence.
+ * @param {SemVer} a
+ * @param {SemVer} b
+ * @returns {number} negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  if (a.major !== b.major) return a.major - b.major;
+  if (a.minor !== b.minor) return a.minor - b.minor;
+  if (a.patch !== b.patch) return a.patch - b.patch;
+
+  // A version without prerelease has higher precedence
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    if (typeof x === 'number' && typeof y === 'number') return x - y;
+    if (typeof x === 'number') return -1;
+    if (typeof y === 'number') return 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Parse a partial version ("1", "1.2", "1.x", "*") into its components.
+ * Wildcard or missing components are returned as null.
+ * @param {string} str
+ * @returns {{ major: number|null, minor: number|null, patch: number|null, pre?: string }|null}
+ */
+function parsePartial(str) {
+  if (str === '' || str === '*' || str.toLowerCase() === 'x') {
+    return { major: null, minor: null, patch: null };
+  }
+  const match = str.match(PARTIAL_RE);
+  if (!match) return null;
+  const num = v => (v === undefined || /^[xX*]$/.test(v) ? null : +v);
+  const major = num(match[1]);
+  const minor = major === null ? null : num(match[2]);
+  const patch = minor === null ? null : num(match[3]);
+  return { major, minor, patch, pre: patch === null ? undefined : match[4] };
+}
+
+/**
+ * @param {'<' | '<=' | '>' | '>=' | '='} op
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {string} [pre]
+ * @returns {Comparator}
+ */
+function cmp(op, major, minor, patch, pre) {
+  return { op, semver: makeSemVer(major, minor, patch, pre) };
+}
+
+/**
+ * Expand a single range token (e.g. "^1.2", ">=1.0.0", "1.x") into primitive comparators.
+ * @param {string} token
+ * @returns {Comparator[]}
+ */
+function expandToken(token) {
+  const match = token.match(/^(\^|~>?|[<>]=?|=)?\s*(.*)$/);
+  const op = match[1] ?? '';
+  const p = parsePartial(match[2]);
+  if (!p) throw new Error(`Invalid version in range: "${token}"`);
+
+  const { major: M, minor: m, patch: pt, pre } = p;
+
+  if (M === null) {
+    // "*", ">=*" etc. match anything; "<*" and ">*" match nothing
+    return op === '<' || op === '>' ? [cmp('<', 0, 0, 0)] : [];
+  }
+
+  switch (op) {
+    case '^':
+      if (m === null) return [cmp('>=', M, 0, 0), cmp('<', M + 1, 0, 0)];
+      if (pt === null) {
+        return M > 0
+          ? [cmp('>=', M, m, 0), cmp('<', M + 1, 0, 0)]
+          : [cmp('>=', 0, m, 0), cmp('<', 0, m + 1, 0)];
+      }
+      if (M > 0) return [cmp('>=', M, m, pt, pre), cmp('<', M + 1, 0, 0)];
+      if (m > 0) return [cmp('>=', 0, m, pt, pre), cmp('<', 0, m + 1, 0)];
+      return [cmp('>=', 0, 0, pt, pre), cmp('<', 0, 0, pt + 1)];
+    case '~':
+    case '~>':
+      if (m === null) return [cmp('>=', M, 0, 0), cmp('<', M + 1, 0, 0)];
+      return [cmp('>=', M, m, pt ?? 0, pre), cmp('<', M, m + 1, 0)];
+    case '>':
+      if (m === null) return [cmp('>=', M + 1, 0, 0)];
+      if (pt === null) return [cmp('>=', M, m + 1, 0)];
+      return [cmp('>', M, m, pt, pre)];
+    case '>=':
+      return [cmp('>=', M, m ?? 0, pt ?? 0, pre)];
+    case '<':
+      return [cmp('<', M, m ?? 0, pt ?? 0, pre)];
+    case '<=':
+      if (m === null) return [cmp('<', M + 1, 0, 0)];
+      if (pt === null) return [cmp('<', M, m + 1, 0)];
+      return [cmp('<=', M, m, pt, pre)];
+    default:
+      // Bare or "=" version: partial versions behave like x-ranges
+      if (m === null) return [cmp('>=', M, 0, 0), cmp('<', M + 1, 0, 0)];
+      if (pt === null) return [cmp('>=', M, m, 0), cmp('<', M, m + 1, 0)];
+      return [cmp('=', M, m, pt, pre)];
+  }
+}
+
+/**
+ * Parse a range string into a list of comparator sets (one per "||" alternative).
+ * @param {string} range
+ * @returns {Comparator[][]}
+ */
+function parseRange(range) {
+  return range.split('||').map((part) => {
+    const trimmed = part.trim();
+
+    // Hyphen range: "1.2 - 2.3.4"
+    const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+      return [...expandToken(`>=${hyphen[1]}`), ...expandToken(`<=${hyphen[2]}`)];
+    }
+
+    // Allow a space between operator and version (">= 1.2")
+    const tokens = trimmed.replace(/([<>]=?|=|\^|~>?)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return tokens.length === 0 ? [] : tokens.flatMap(expandToken);
+  });
+}
+
+/**
+ * Check whether a string is a valid range.
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function validRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {SemVer} version
+ * @param {Comparator[]} set
+ * @returns {boolean}
+ */
+function testSet(version, set) {
+  for (const { op, semver } of set) {
+    const c = compareVersions(version, semver);
+    const ok = op === '<' ? c < 0
+      : op === '<=' ? c <= 0
+        : op === '>' ? c > 0
+          : op === '>=' ? c >= 0
+            : c === 0;
+    if (!ok) return false;
+  }
+
+  if (version.prerelease.length === 0) return true;
+
+  // Prereleases only match if the set explicitly names a prerelease of the same tuple
+  return set.some(({ semver }) => semver.prerelease.length > 0
+    && semver.major === version.major
+    && semver.minor === version.minor
+    && semver.patch === version.patch);
+}
+
+/**
+ * Check whether a version satisfies a range.
+ * @param {SemVer|string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  const v = typeof version === 'string' ? parseVersion(version) : version;
+  if (!v) return false;
+  return parseRange(range).some(set => testSet(v, set));
+}
+
+/**
+ * Pick the highest item whose version satisfies the range.
+ * Items without a parseable version are ignored.
+ *
+ * @param {T[]} items
+ * @param {string} range
+ * @param {(item: T) => string} [getVersion]
+ * @returns {T|null}
+ * @template T
+ */
+export function maxSatisfying(items, range, getVersion = item => item) {
+  const sets = parseRange(range);
+  let best = null;
+  let bestVersion = null;
+
+  for (const item of items) {
+    const v = parseVersion(getVersion(item));
+    if (!v || !sets.some(set => testSet(v, set))) continue;
+    if (!bestVersion || compareVersions(v, bestVersion) > 0) {
+      best = item;
+      bestVersion = v;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,134 @@
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Index files that list a repository's skills, so discovery doesn't have to
+ * guess from the directory layout. The first one found is used:
+ *
+ *   skills.json                       { "skills": [{ "path", "name", "description", "tags", "requires" }] }
+ *                                     (entries may also be plain path strings)
+ *   .claude-plugin/marketplace.json   plugin marketplace manifest: each plugin's
+ *                                     "skills" paths, or <source>/skills/* without them
+ *
+ * @typedef {{ path: string, name?: string, description?: string, tags?: string[], requires?: string[] }} IndexEntry
+ * @typedef {{ file: string, entries?: IndexEntry[], directories?: string[] }} SkillIndex
+ *   entries are skill directories; directories hold skills one level down
+ */
+
+export const INDEX_FILES = ['skills.json', '.claude-plugin/marketplace.json'];
+
+/**
+ * Read the skill index of a repository.
+ * @param {string} repoDir
+ * @returns {Promise<SkillIndex|null>} null when the repository has no index file
+ */
+export async function readSkillIndex(repoDir) {
+  for (const file of INDEX_FILES) {
+    let content;
+    try {
+      content = await readFile(path.join(repoDir, file), 'utf-8');
+    } catch {
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid ${file}: ${error.message}`);
+    }
+    return file === 'skills.json' ? parseSkillsJson(data, file) : parseMarketplace(data, file);
+  }
+  return null;
+}
+
+/**
+ * Normalize a repository-relative path from an index file.
+ * @param {unknown} value
+ * @param {string} file
+ * @returns {string} "" for the repository root
+ */
+function indexPath(value, file) {
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid ${file}: skill paths must be strings.`);
+  }
+  const normalized = path.posix.normalize(value.replace(/\\/g, '/')).replace(/\/+$/, '');
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`Invalid ${file}: "${value}" is outside the repository.`);
+  }
+  return normalized === '.' ? '' : normalized;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]|undefined}
+ */
+function stringList(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.filter(v => typeof v === 'string');
+  return undefined;
+}
+
+/**
+ * @param {unknown} data
+ * @param {string} file
+ * @returns {SkillIndex}
+ */
+function parseSkillsJson(data, file) {
+  const list = Array.isArray(data) ? data : data?.skills;
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid ${file}: expected a "skills" array.`);
+  }
+
+  const entries = list.map((item) => {
+    if (typeof item === 'string') return { path: indexPath(item, file) };
+    if (!item || typeof item !== 'object') {
+      throw new Error(`Invalid ${file}: skills must be paths or objects with a "path".`);
+    }
+    return {
+      path: indexPath(item.path, file),
+      name: typeof item.name === 'string' ? item.name : undefined,
+      description: typeof item.description === 'string' ? item.description : undefined,
+      tags: stringList(item.tags),
+      requires: stringList(item.requires),
+    };
+  });
+  return { file, entries };
+}
+
+/**
+ * @param {unknown} data
+ * @param {string} file
+ * @returns {SkillIndex}
+ */
+function parseMarketplace(data, file) {
+  if (!Array.isArray(data?.plugins)) {
+    throw new Error(`Invalid ${file}: expected a "plugins" array.`);
+  }
+  const pluginRoot = typeof data.metadata?.pluginRoot === 'string' ? indexPath(data.metadata.pluginRoot, file) : '';
+
+  const entries = [];
+  const directories = [];
+  for (const plugin of data.plugins) {
+    // Plugins hosted in other repositories can't be installed from this one
+    if (typeof plugin?.source !== 'string') continue;
+
+    const source = plugin.source.startsWith('./') || plugin.source === '.'
+      ? indexPath(plugin.source, file)
+      : indexPath(path.posix.join(pluginRoot, plugin.source), file);
+    const tags = [...stringList(plugin.keywords) ?? [], ...stringList(plugin.tags) ?? [], ...stringList(plugin.category) ?? []];
+
+    const skills = stringList(plugin.skills);
+    if (!skills) {
+      directories.push(source ? `${source}/skills` : 'skills');
+      continue;
+    }
+    for (const skill of skills) {
+      entries.push({
+        path: indexPath(path.posix.join(source, skill), file),
+        tags: tags.length > 0 ? tags : undefined,
+      });
+    }
+  }
+  return { file, entries, directories };
+}
@@ -0,0 +1,232 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const SKILLS_FILENAME = 'remote-skills-list.json';
+
+/** Same rule as `skill add --as` */
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * The project's desired skills, meant to be edited by hand and reviewed;
+ * the lock file records what they resolved to. `skill install` makes the
+ * lock and the skill directories match it.
+ *
+ *   {
+ *     "skills": [
+ *       { "source": "github:acme/skills", "ref": "v2", "skills": ["review", { "name": "lint", "as": "team-lint" }] },
+ *       { "source": "github:acme/tools", "range": "^1.2", "agents": ["claude"], "mode": "store" }
+ *     ]
+ *   }
+ *
+ * Without "skills" every skill of the source is installed, without "agents"
+ * every configured agent gets them. Skills pulled in through `requires` are
+ * not listed.
+ *
+ * @typedef {string | { name: string, as?: string }} SkillsFileSkill
+ * @typedef {{
+ *   source: string,
+ *   ref?: string,
+ *   range?: string,
+ *   skills?: SkillsFileSkill[],
+ *   agents?: string[],
+ *   mode?: 'copy' | 'link' | 'store',
+ * }} SkillsFileEntry
+ * @typedef {{ skills: SkillsFileEntry[] }} SkillsFile
+ */
+
+/**
+ * @param {string} projectDir
+ * @returns {string}
+ */
+export function getSkillsFilePath(projectDir) {
+  return path.join(projectDir, SKILLS_FILENAME);
+}
+
+/**
+ * Load remote-skills-list.json. Returns null if the project doesn't have one.
+ * @param {string} projectDir
+ * @returns {Promise<SkillsFile|null>}
+ */
+export async function loadSkillsFile(projectDir) {
+  let raw;
+  try {
+    raw = await readFile(getSkillsFilePath(projectDir), 'utf-8');
+  } catch {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid ${SKILLS_FILENAME}: ${error.message}`);
+  }
+  if (!Array.isArray(data?.skills)) {
+    throw new Error(`Invalid ${SKILLS_FILENAME}: expected a "skills" array.`);
+  }
+
+  data.skills.forEach((entry, index) => {
+    const where = `${SKILLS_FILENAME} entry ${index + 1}`;
+    if (typeof entry?.source !== 'string' || entry.source === '') {
+      throw new Error(`${where}: "source" is required.`);
+    }
+    if (entry.ref !== undefined && entry.range !== undefined) {
+      throw new Error(`${where}: use either "ref" or "range", not both.`);
+    }
+    if (entry.skills !== undefined && (!Array.isArray(entry.skills)
+      || !entry.skills.every(s => typeof s === 'string' || typeof s?.name === 'string'))) {
+      throw new Error(`${where}: "skills" must list skill names or { "name", "as" } objects.`);
+    }
+    const alias = entry.skills?.find(s => typeof s === 'object' && s.as !== undefined
+      && (typeof s.as !== 'string' || !ALIAS_PATTERN.test(s.as)));
+    if (alias) {
+      throw new Error(`${where}: invalid "as" "${alias.as}". Use letters, digits, ".", "_" and "-".`);
+    }
+    if (entry.agents !== undefined && (!Array.isArray(entry.agents) || !entry.agents.every(a => typeof a === 'string'))) {
+      throw new Error(`${where}: "agents" must be a list of agent ids.`);
+    }
+    if (entry.mode !== undefined && !['copy', 'link', 'store'].includes(entry.mode)) {
+      throw new Error(`${where}: "mode" must be "copy", "link" or "store".`);
+    }
+  });
+  return data;
+}
+
+/**
+ * Save remote-skills-list.json.
+ * @param {string} projectDir
+ * @param {SkillsFile} file
+ */
+export async function saveSkillsFile(projectDir, file) {
+  await writeFile(getSkillsFilePath(projectDir), JSON.stringify(file, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Name of a listed skill and the name it is installed under.
+ * @param {SkillsFileSkill} skill
+ * @returns {{ name: string, installedName: string }}
+ */
+export function skillsFileName(skill) {
+  return typeof skill === 'string'
+    ? { name: skill, installedName: skill }
+    : { name: skill.name, installedName: skill.as ?? skill.name };
+}
+
+/**
+ * Build a skills file listing everything in a lock file, for projects that
+ * start using one.
+ * @param {import('./lock.js').LockFile} lock
+ * @param {string[]} allAgentIds - configured agents; entries for all of them omit "agents"
+ * @returns {SkillsFile}
+ */
+export function skillsFileFromLock(lock, allAgentIds) {
+  /** @type {SkillsFile} */
+  const file = { skills: [] };
+  for (const [installedName, info] of Object.entries(lock.skills)) {
+    const agentIds = Object.keys(lock.agents).filter(id => lock.agents[id].includes(installedName));
+    addToSkillsFile(file, {
+      source: info.source,
+      ref: info.range ? undefined : info.ref,
+      range: info.range,
+      name: info.upstreamName ?? installedName,
+      installedName,
+      agents: sameAgents(agentIds, allAgentIds) ? undefined : agentIds,
+      mode: info.installMode,
+    });
+  }
+  return file;
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameAgents(a, b) {
+  return a.length === b.length && a.every(id => b.includes(id));
+}
+
+/**
+ * List an installed skill, joining an entry with the same source, ref,
+ * agents and mode when there is one.
+ * @param {SkillsFile} file
+ * @param {{
+ *   source: string,
+ *   ref?: string,
+ *   range?: string,
+ *   name: string,
+ *   installedName: string,
+ *   agents?: string[],
+ *   mode?: string,
+ * }} skill - agents undefined means all agents
+ */
+export function addToSkillsFile(file, skill) {
+  const mode = skill.mode && skill.mode !== 'copy' ? skill.mode : undefined;
+  const listed = skill.installedName === skill.name ? skill.name : { name: skill.name, as: skill.installedName };
+
+  const entry = file.skills.find(e => e.source === skill.source
+    && e.ref === skill.ref
+    && e.range === skill.range
+    && (e.mode && e.mode !== 'copy' ? e.mode : undefined) === mode
+    && (e.agents && skill.agents ? sameAgents(e.agents, skill.agents) : !e.agents && !skill.agents));
+
+  // A skill is listed once: drop it from the entries it was listed in before
+  for (const other of [...file.skills]) {
+    if (other === entry || !other.skills) continue;
+    other.skills = other.skills.filter(s => skillsFileName(s).installedName !== skill.installedName);
+    if (other.skills.length === 0) file.skills.splice(file.skills.indexOf(other), 1);
+  }
+
+  if (!entry) {
+    file.skills.push({
+      source: skill.source,
+      ref: skill.ref,
+      range: skill.range,
+      skills: [listed],
+      agents: skill.agents,
+      mode,
+    });
+    return;
+  }
+  // An entry without "skills" already installs everything from its source
+  if (entry.skills && !entry.skills.some(s => skillsFileName(s).installedName === skill.installedName)) {
+    entry.skills.push(listed);
+  }
+}
+
+/**
+ * Stop listing an installed skill for some agents, or for all of them.
+ * Entries that list every skill of their source are narrowed to the
+ * other skills installed from it.
+ *
+ * @param {SkillsFile} file
+ * @param {string} installedName
+ * @param {{ source: string, siblings: SkillsFileSkill[], agents?: string[], allAgentIds: string[] }} options
+ *   siblings are the other skills installed from the same source; agents
+ *   undefined removes the skill everywhere
+ */
+export function removeFromSkillsFile(file, installedName, options) {
+  for (const entry of [...file.skills]) {
+    if (entry.source !== options.source) continue;
+
+    const listed = entry.skills
+      ? entry.skills.find(s => skillsFileName(s).installedName === installedName)
+      : undefined;
+    if (entry.skills && !listed) continue;
+    const skills = entry.skills ?? [...options.siblings, installedName];
+    const item = listed ?? installedName;
+
+    const entryAgents = entry.agents ?? options.allAgentIds;
+    const remaining = options.agents ? entryAgents.filter(id => !options.agents.includes(id)) : [];
+    if (remaining.length === entryAgents.length) continue;
+
+    // Keep the skill for the remaining agents in an entry of its own
+    entry.skills = skills.filter(s => s !== item);
+    if (remaining.length > 0) {
+      file.skills.push({ ...entry, skills: [item], agents: remaining });
+    }
+    if (entry.skills.length === 0) {
+      file.skills.splice(file.skills.indexOf(entry), 1);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import path from 'node:path';
+import { mkdir, writeFile } from 'node:fs/promises';
+
+/**
+ * Fetch only some directories of a repository, file by file, through the
+ * provider's tree and blob APIs. Used instead of the archive when a single
+ * skill is wanted from a large collection.
+ *
+ * Returns null whenever the archive is the better choice: the provider
+ * can't list trees, the listing was truncated, nothing matched, or the
+ * selection is too big to be worth one request per file.
+ */
+
+/** More files than this are cheaper to get from the archive */
+const MAX_FILES = 100;
+
+/** More bytes than this are cheaper to get from the archive */
+const MAX_SIZE = 10 * 1024 * 1024;
+
+/** Blob requests in flight at once */
+const CONCURRENCY = 6;
+
+/**
+ * @param {import('./providers/index.js').SourceProvider} provider
+ * @param {import('./remote-skill.js').RemoteSource} source - with commit resolved
+ * @param {string[]} paths - repository paths of the wanted directories
+ * @param {string} destDir
+ * @param {{ onProgress?: (bytes: number) => void }} [options]
+ * @returns {Promise<string|null>} path of the repository directory, or null to use the archive
+ */
+export async function downloadSubtree(provider, source, paths, destDir, options = {}) {
+  if (!provider.listTree || !provider.fetchBlob) return null;
+
+  const { truncated, entries } = await provider.listTree(source);
+  if (truncated) return null;
+
+  const prefixes = paths.map(p => `${p.replace(/^\/+|\/+$/g, '')}/`);
+  const files = entries.filter(e => e.type === 'blob' && prefixes.some(prefix => e.path.startsWith(prefix)));
+  if (files.length === 0 || files.length > MAX_FILES) return null;
+
+  // Symlinks need the archive extractor's confinement checks
+  if (files.some(e => e.mode === '120000')) return null;
+
+  const total = files.reduce((sum, e) => sum + (e.size ?? 0), 0);
+  if (total > MAX_SIZE) return null;
+
+  const repoDir = path.join(destDir, `${source.repo}-${source.commit}`);
+  for (const entry of files) {
+    const segments = entry.path.split('/');
+    if (entry.path.includes('\0') || path.isAbsolute(entry.path) || segments.some(s => s === '..' || s === '')) {
+      throw new Error(`Unsafe path in repository tree: "${entry.path}"`);
+    }
+  }
+
+  let received = 0;
+  let failed = false;
+  const queue = [...files];
+  async function worker() {
+    while (queue.length > 0 && !failed) {
+      const entry = queue.shift();
+      try {
+        const content = await provider.fetchBlob(source, entry.sha);
+        const target = path.join(repoDir, entry.path);
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(target, content, { mode: entry.mode === '100755' ? 0o755 : 0o644 });
+        received += content.length;
+        options.onProgress?.(received);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+  // On failure the caller reuses destDir for the archive: stop the other
+  // workers and wait until none of them can write into it anymore
+  const results = await Promise.allSettled(Array.from({ length: Math.min(CONCURRENCY, files.length) }, worker));
+  const rejected = results.find(r => r.status === 'rejected');
+  if (rejected) throw rejected.reason;
+
+  return repoDir;
+}
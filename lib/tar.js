@@ -0,0 +1,563 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import { mkdir, open, symlink, copyFile } from 'node:fs/promises';
+
+/**
+ * Streaming tar extractor for untrusted archives.
+ *
+ * Understands POSIX ustar, pax extended headers (path, linkpath, size and
+ * GNU sparse keys) and the GNU extensions used by common tar writers: long
+ * names ('L'), long link names ('K') and old-style sparse files ('S').
+ *
+ * Every entry is confined to the destination directory:
+ * - absolute names and names containing ".." are rejected
+ * - symlinks must point inside the destination; dangling ones are dropped
+ * - files are never written through a symlink that leaves the destination
+ * - hard links are materialized as copies of earlier entries
+ * - devices, FIFOs and unknown entry types are skipped
+ *
+ * Limits on total uncompressed size, file count and per-file size protect
+ * against archive bombs. Malformed archives fail with an error naming the
+ * offending entry where possible.
+ */
+
+const BLOCK = 512;
+const MiB = 1024 * 1024;
+
+/**
+ * @typedef {{ maxTotalSize: number, maxFiles: number, maxFileSize: number }} TarLimits
+ */
+
+/** @type {TarLimits} */
+export const DEFAULT_LIMITS = {
+  maxTotalSize: 512 * MiB,
+  maxFiles: 20000,
+  maxFileSize: 100 * MiB,
+};
+
+/**
+ * Read a NUL-terminated string field.
+ * @param {Buffer} block
+ * @param {number} start
+ * @param {number} length
+ * @returns {string}
+ */
+function readString(block, start, length) {
+  const field = block.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf-8');
+}
+
+/**
+ * Read a numeric field: octal text, or GNU base-256 when the high bit is set.
+ * @param {Buffer} block
+ * @param {number} start
+ * @param {number} length
+ * @param {string} what - field name for error messages
+ * @returns {number}
+ */
+function readNumber(block, start, length, what) {
+  const field = block.subarray(start, start + length);
+
+  if (field[0] & 0x80) {
+    if (field[0] & 0x40) throw new Error(`Malformed archive: negative ${what}`);
+    let value = field[0] & 0x3f;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+      if (value > Number.MAX_SAFE_INTEGER) throw new Error(`Malformed archive: ${what} is too large`);
+    }
+    return value;
+  }
+
+  const text = field.toString('latin1').replace(/[\0 ]+$/, '').trim();
+  if (text === '') return 0;
+  if (!/^[0-7]+$/.test(text)) throw new Error(`Malformed archive: invalid ${what} "${text}"`);
+  return parseInt(text, 8);
+}
+
+/**
+ * Verify a header block's checksum (computed with the checksum field as spaces).
+ * Accepts both the unsigned and the historical signed sum.
+ * @param {Buffer} header
+ * @returns {boolean}
+ */
+function checksumMatches(header) {
+  const expected = readNumber(header, 148, 8, 'checksum');
+  let unsigned = 0;
+  let signed = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    const byte = i >= 148 && i < 156 ? 0x20 : header[i];
+    unsigned += byte;
+    signed += byte > 127 ? byte - 256 : byte;
+  }
+  return expected === unsigned || expected === signed;
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n").
+ * @param {Buffer} data
+ * @returns {Record<string, string>}
+ */
+function parsePax(data) {
+  /** @type {Record<string, string>} */
+  const records = {};
+  let pos = 0;
+  while (pos < data.length) {
+    if (data[pos] === 0) break;
+    const space = data.indexOf(0x20, pos);
+    const length = space === -1 ? NaN : Number(data.subarray(pos, space).toString('latin1'));
+    if (!Number.isInteger(length) || length <= 0 || pos + length > data.length || data[pos + length - 1] !== 0x0a) {
+      throw new Error('Malformed archive: invalid pax header record');
+    }
+    const record = data.subarray(space + 1, pos + length - 1).toString('utf-8');
+    const eq = record.indexOf('=');
+    if (eq === -1) throw new Error('Malformed archive: invalid pax header record');
+    records[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += length;
+  }
+  return records;
+}
+
+/**
+ * Resolve an entry name inside destDir, rejecting anything that could escape it.
+ * Returns null for the archive root ("./").
+ * @param {string} destDir
+ * @param {string} name
+ * @returns {string|null}
+ */
+function confinedPath(destDir, name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.includes('\0')) {
+    throw new Error(`Unsafe path in archive: "${name}" contains a NUL byte`);
+  }
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw new Error(`Unsafe path in archive: "${name}" is absolute`);
+  }
+  const segments = normalized.split('/').filter(s => s !== '' && s !== '.');
+  if (segments.includes('..')) {
+    throw new Error(`Unsafe path in archive: "${name}" points outside the destination`);
+  }
+  return segments.length === 0 ? null : path.join(destDir, ...segments);
+}
+
+/**
+ * @param {string} parent
+ * @param {string} child
+ * @returns {boolean}
+ */
+function isInside(parent, child) {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * Make sure the parent directories of target don't lead outside destDir
+ * through a symlink created by an earlier entry.
+ * @param {string} realDest - realpath of the destination
+ * @param {string} destDir
+ * @param {string} target
+ */
+function assertParentsInside(realDest, destDir, target) {
+  let current = realDest;
+  const segments = path.relative(destDir, path.dirname(target)).split(path.sep).filter(Boolean);
+  for (const segment of segments) {
+    current = path.join(current, segment);
+    let stat;
+    try {
+      stat = fs.lstatSync(current);
+    } catch {
+      return; // the rest doesn't exist yet and will be created as plain directories
+    }
+    if (stat.isSymbolicLink()) {
+      let real;
+      try {
+        real = fs.realpathSync.native(current);
+      } catch {
+        real = null;
+      }
+      if (!real || !isInside(realDest, real)) {
+        throw new Error(`Unsafe path in archive: "${path.relative(destDir, target)}" is written through a symlink`);
+      }
+      current = real;
+    }
+  }
+}
+
+/**
+ * Remove whatever is at target so a new entry never writes through a symlink.
+ * @param {string} target
+ */
+function clearTarget(target) {
+  try {
+    const stat = fs.lstatSync(target);
+    if (!stat.isDirectory()) fs.unlinkSync(target);
+  } catch {
+    // Nothing there
+  }
+}
+
+/**
+ * Parse the sparse map at the start of a pax 1.0 sparse file's data.
+ * Returns null if the map continues past the given bytes.
+ * @param {Buffer} data
+ * @returns {[number, number][]|null}
+ */
+function parseSparseMap(data) {
+  const numbers = [];
+  let pos = 0;
+  let count = -1;
+  while (count === -1 || numbers.length < count * 2) {
+    const nl = data.indexOf(0x0a, pos);
+    if (nl === -1) return null;
+    const value = Number(data.subarray(pos, nl).toString('latin1'));
+    if (!Number.isSafeInteger(value) || value < 0) throw new Error('Malformed archive: invalid sparse map');
+    if (count === -1) count = value;
+    else numbers.push(value);
+    pos = nl + 1;
+  }
+  const segments = [];
+  for (let i = 0; i < numbers.length; i += 2) segments.push([numbers[i], numbers[i + 1]]);
+  return segments;
+}
+
+/**
+ * Wrap an async iterable of chunks for reading exact byte counts.
+ * @param {AsyncIterable<Buffer>} source
+ */
+function createReader(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let done = false;
+
+  /** @param {number} n */
+  async function fill(n) {
+    const chunks = [buffered];
+    let length = buffered.length;
+    while (length < n && !done) {
+      const next = await iterator.next();
+      if (next.done) {
+        done = true;
+      } else {
+        chunks.push(next.value);
+        length += next.value.length;
+      }
+    }
+    buffered = chunks.length === 1 ? buffered : Buffer.concat(chunks, length);
+  }
+
+  return {
+    /**
+     * Read exactly n bytes. Returns null at the end of the stream, throws if it ends early.
+     * @param {number} n
+     * @param {string} what - for error messages
+     * @returns {Promise<Buffer|null>}
+     */
+    async read(n, what) {
+      await fill(n);
+      if (buffered.length === 0 && n > 0) return null;
+      if (buffered.length < n) throw new Error(`Malformed archive: ${what} is truncated`);
+      const out = buffered.subarray(0, n);
+      buffered = buffered.subarray(n);
+      return out;
+    },
+
+    /**
+     * Pass the next n bytes to onChunk as they arrive.
+     * @param {number} n
+     * @param {string} what - for error messages
+     * @param {(chunk: Buffer) => Promise<void>|void} [onChunk]
+     */
+    async stream(n, what, onChunk) {
+      let remaining = n;
+      while (remaining > 0) {
+        if (buffered.length === 0) await fill(1);
+        if (buffered.length === 0) throw new Error(`Malformed archive: ${what} is truncated`);
+        const chunk = buffered.subarray(0, Math.min(remaining, buffered.length));
+        buffered = buffered.subarray(chunk.length);
+        remaining -= chunk.length;
+        if (onChunk) await onChunk(chunk);
+      }
+    },
+
+    /** Read and discard everything left in the stream. */
+    async drain() {
+      buffered = Buffer.alloc(0);
+      while (!done) {
+        if ((await iterator.next()).done) done = true;
+      }
+    },
+  };
+}
+
+/**
+ * Read the segments of an old-style GNU sparse entry ('S'), including
+ * any extension header blocks that follow the header.
+ * @param {Buffer} header
+ * @param {ReturnType<typeof createReader>} reader
+ * @returns {Promise<{ segments: [number, number][], realSize: number }>}
+ */
+async function readGnuSparse(header, reader) {
+  const segments = [];
+  const readEntries = (block, start, count) => {
+    for (let i = 0; i < count; i++) {
+      const at = start + i * 24;
+      if (block[at] === 0) break;
+      segments.push([readNumber(block, at, 12, 'sparse offset'), readNumber(block, at + 12, 12, 'sparse length')]);
+    }
+  };
+
+  readEntries(header, 386, 4);
+  const realSize = readNumber(header, 483, 12, 'sparse size');
+  let extended = header[482] !== 0;
+  while (extended) {
+    const block = await reader.read(BLOCK, 'sparse header');
+    if (!block) throw new Error('Malformed archive: sparse header is truncated');
+    readEntries(block, 0, 21);
+    extended = block[504] !== 0;
+  }
+  return { segments, realSize };
+}
+
+/**
+ * Extract a tar stream into destDir as it arrives.
+ *
+ * Only entries accepted by options.filter are written; the rest of the
+ * archive is read and discarded. Limits apply to the whole stream (total
+ * size) and to the extracted entries (count and per-file size).
+ *
+ * @param {AsyncIterable<Buffer>} source - uncompressed tar data
+ * @param {string} destDir
+ * @param {{ limits?: Partial<TarLimits>, filter?: (name: string) => boolean }} [options]
+ * @returns {Promise<void>}
+ */
+export async function extractTarStream(source, destDir, options = {}) {
+  const { maxTotalSize, maxFiles, maxFileSize } = { ...DEFAULT_LIMITS, ...options.limits };
+  const filter = options.filter ?? (() => true);
+
+  await mkdir(destDir, { recursive: true });
+  // The native realpath follows links the way the kernel does; the JS one
+  // resolves "link/.." lexically and misses links chained through "..".
+  const realDest = fs.realpathSync.native(destDir);
+
+  let totalSize = 0;
+  async function* counted() {
+    for await (const chunk of source) {
+      totalSize += chunk.length;
+      if (totalSize > maxTotalSize) {
+        throw new Error(`Archive contents exceed the ${maxTotalSize}-byte limit`);
+      }
+      yield chunk;
+    }
+  }
+  const reader = createReader(counted());
+
+  let fileCount = 0;
+  /** @type {Record<string, string>} */
+  let pax = {};
+  let longName = null;
+  let longLink = null;
+  const symlinks = [];
+
+  const countEntry = (name, size) => {
+    if (++fileCount > maxFiles) {
+      throw new Error(`Archive has more than ${maxFiles} entries`);
+    }
+    if (size > maxFileSize) {
+      throw new Error(`Archive entry "${name}" is larger than the ${maxFileSize}-byte limit`);
+    }
+  };
+
+  // Metadata (pax headers, long names) is read into memory, so keep it small
+  const readMetadata = async (size, what) => {
+    if (size > MiB) throw new Error(`Malformed archive: ${what} is too large`);
+    const data = await reader.read(size, what);
+    await reader.stream(padding(size), what);
+    return data ?? Buffer.alloc(0);
+  };
+
+  while (true) {
+    const header = await reader.read(BLOCK, 'header');
+
+    // End-of-archive: a zero block (or a stream that just stops)
+    if (!header || header.every(b => b === 0)) break;
+
+    if (!checksumMatches(header)) {
+      throw new Error(`Malformed archive: bad header checksum after ${fileCount} entries`);
+    }
+
+    const typeFlag = String.fromCharCode(header[156]);
+    const magic = header.subarray(257, 263).toString('latin1');
+    const rawName = readString(header, 0, 100);
+    const prefix = magic === 'ustar\0' ? readString(header, 345, 155) : '';
+
+    let name = longName ?? pax.path ?? (prefix ? `${prefix}/${rawName}` : rawName);
+    const linkName = longLink ?? pax.linkpath ?? readString(header, 157, 100);
+    const size = pax.size !== undefined ? Number(pax.size) : readNumber(header, 124, 12, `size of "${name}"`);
+    if (!Number.isSafeInteger(size) || size < 0) {
+      throw new Error(`Malformed archive: invalid size of "${name}"`);
+    }
+
+    // Metadata entries apply to the next entry only
+    if (typeFlag === 'x') {
+      pax = parsePax(await readMetadata(size, 'pax header'));
+      continue;
+    }
+    if (typeFlag === 'g') {
+      await readMetadata(size, 'pax global header');
+      continue;
+    }
+    if (typeFlag === 'L' || typeFlag === 'K') {
+      const value = (await readMetadata(size, 'long name')).toString('utf-8').replace(/\0.*$/s, '');
+      if (typeFlag === 'L') longName = value;
+      else longLink = value;
+      continue;
+    }
+
+    // Sparse files: old GNU headers keep the map in the header, pax ones in GNU.sparse.* keys
+    /** @type {{ segments: [number, number][]|null, realSize: number, version: string }|null} */
+    let sparse = null;
+    if (typeFlag === 'S') {
+      sparse = { ...(await readGnuSparse(header, reader)), version: 'gnu' };
+    } else if (pax['GNU.sparse.major'] !== undefined || pax['GNU.sparse.map'] !== undefined
+      || pax['GNU.sparse.offset'] !== undefined) {
+      const version = `${pax['GNU.sparse.major'] ?? '0'}.${pax['GNU.sparse.minor'] ?? (pax['GNU.sparse.map'] ? '1' : '0')}`;
+      name = pax['GNU.sparse.name'] ?? name;
+      const realSize = Number(pax['GNU.sparse.realsize'] ?? pax['GNU.sparse.size']);
+      if (!Number.isSafeInteger(realSize) || realSize < 0) {
+        throw new Error(`Malformed archive: invalid sparse size of "${name}"`);
+      }
+      if (version === '0.1') {
+        const numbers = pax['GNU.sparse.map'].split(',').map(Number);
+        if (numbers.length % 2 !== 0 || numbers.some(n => !Number.isSafeInteger(n) || n < 0)) {
+          throw new Error(`Malformed archive: invalid sparse map of "${name}"`);
+        }
+        const segments = [];
+        for (let i = 0; i < numbers.length; i += 2) segments.push([numbers[i], numbers[i + 1]]);
+        sparse = { segments, realSize, version };
+      } else if (version === '1.0') {
+        sparse = { segments: null, realSize, version }; // map is at the start of the data
+      } else {
+        throw new Error(`Unsupported sparse format ${version} for "${name}"`);
+      }
+    }
+
+    pax = {};
+    longName = null;
+    longLink = null;
+
+    const target = filter(name) ? confinedPath(destDir, name) : null;
+    const isFile = typeFlag === '0' || typeFlag === '\0' || typeFlag === '7' || sparse !== null;
+
+    if (!target || !isFile) {
+      // Skip the data; it only belongs to regular files
+      await reader.stream(size + padding(size), `"${name}"`);
+      if (!target) continue;
+    }
+
+    assertParentsInside(realDest, destDir, target);
+
+    if (typeFlag === '5') {
+      countEntry(name, 0);
+      clearTarget(target);
+      await mkdir(target, { recursive: true });
+    } else if (isFile) {
+      countEntry(name, sparse ? sparse.realSize : size);
+      await mkdir(path.dirname(target), { recursive: true });
+      clearTarget(target);
+
+      const file = await open(target, 'w');
+      try {
+        let consumed = 0;
+        if (sparse) {
+          if (!sparse.segments) {
+            // pax 1.0: decimal map lines padded to a block boundary
+            let map = Buffer.alloc(0);
+            while (!sparse.segments) {
+              const block = await reader.read(BLOCK, `sparse map of "${name}"`);
+              if (!block) throw new Error(`Malformed archive: sparse map of "${name}" is truncated`);
+              consumed += BLOCK;
+              map = Buffer.concat([map, block]);
+              if (map.length > MiB) throw new Error(`Malformed archive: sparse map of "${name}" is too large`);
+              sparse.segments = parseSparseMap(map);
+            }
+          }
+          for (const [offset, length] of sparse.segments) {
+            if (offset + length > sparse.realSize || consumed + length > size) {
+              throw new Error(`Malformed archive: invalid sparse map of "${name}"`);
+            }
+            let position = offset;
+            await reader.stream(length, `"${name}"`, async (chunk) => {
+              await file.write(chunk, 0, chunk.length, position);
+              position += chunk.length;
+            });
+            consumed += length;
+          }
+          await file.truncate(sparse.realSize);
+        } else {
+          await reader.stream(size, `"${name}"`, async (chunk) => {
+            await file.write(chunk);
+          });
+          consumed = size;
+        }
+        await reader.stream(size - consumed + padding(size), `"${name}"`);
+      } finally {
+        await file.close();
+      }
+    } else if (typeFlag === '2') {
+      if (path.isAbsolute(linkName) || /^[a-zA-Z]:/.test(linkName)
+        || !isInside(destDir, path.resolve(path.dirname(target), linkName))) {
+        throw new Error(`Unsafe symlink in archive: "${name}" -> "${linkName}" points outside the destination`);
+      }
+      countEntry(name, 0);
+      await mkdir(path.dirname(target), { recursive: true });
+      clearTarget(target);
+      await symlink(linkName, target);
+      symlinks.push(target);
+    } else if (typeFlag === '1') {
+      // Hard links refer to an earlier entry; copy it instead of linking
+      const source = confinedPath(destDir, linkName);
+      if (!source) throw new Error(`Malformed archive: hard link "${name}" has no target`);
+      assertParentsInside(realDest, destDir, source);
+      let stat;
+      try {
+        stat = fs.lstatSync(source);
+      } catch {
+        // The target was filtered out
+        if (!filter(linkName)) continue;
+        throw new Error(`Malformed archive: hard link "${name}" refers to missing "${linkName}"`);
+      }
+      if (!stat.isFile()) continue;
+      countEntry(name, stat.size);
+      await mkdir(path.dirname(target), { recursive: true });
+      clearTarget(target);
+      await copyFile(source, target);
+    }
+    // Character/block devices, FIFOs and unknown types are never created
+  }
+
+  // Consume the trailing zero blocks so the whole download is read
+  await reader.drain();
+
+  // Symlinks can only be fully resolved once everything exists
+  for (const link of symlinks) {
+    let real;
+    try {
+      real = fs.realpathSync.native(link);
+    } catch {
+      fs.unlinkSync(link);
+      continue;
+    }
+    if (!isInside(realDest, real)) {
+      throw new Error(`Unsafe symlink in archive: "${path.relative(destDir, link)}" resolves outside the destination`);
+    }
+  }
+}
+
+/**
+ * Bytes of padding after an entry's data, up to the next block boundary.
+ * @param {number} size
+ * @returns {number}
+ */
+function padding(size) {
+  return (BLOCK - (size % BLOCK)) % BLOCK;
+}
@@ -0,0 +1,194 @@
+import path from 'node:path';
+import { readFile, stat } from 'node:fs/promises';
+import { assertLinksInside } from './installer.js';
+import { parseFrontmatter } from './frontmatter.js';
+
+/**
+ * Checks a skill directory against the agent skill rules:
+ *
+ *   name          required, 1-64 lowercase letters, digits and single
+ *                 hyphens, equal to the skill's directory name
+ *   description   required, 1-1024 characters
+ *   compatibility optional, up to 500 characters
+ *   metadata      optional mapping
+ *
+ * Relative links in the SKILL.md body must point to existing files; links
+ * leaving the skill directory only get a warning. Symlinks leaving it are
+ * errors, since they are never installed.
+ * Errors make a skill unusable or unsafe to install; warnings are advice.
+ *
+ * @typedef {{ errors: string[], warnings: string[] }} ValidationResult
+ */
+
+export const NAME_MAX_LENGTH = 64;
+export const DESCRIPTION_MAX_LENGTH = 1024;
+export const COMPATIBILITY_MAX_LENGTH = 500;
+
+/** SKILL.md bodies longer than this should move details to other files */
+const BODY_MAX_LINES = 500;
+
+/** Fields from the agent skill spec and the agents that read it */
+const KNOWN_FIELDS = new Set([
+  'name', 'description', 'license', 'compatibility', 'metadata', 'allowed-tools', 'requires',
+  'argument-hint', 'disable-model-invocation', 'user-invocable', 'model', 'context', 'agent', 'hooks', 'version',
+]);
+
+/**
+ * Validate the skill in a directory.
+ * @param {string} skillDir
+ * @param {{ dirName?: string }} [options] - directory name the skill is published under (default: basename of skillDir)
+ * @returns {Promise<ValidationResult>}
+ */
+export async function validateSkill(skillDir, options = {}) {
+  /** @type {ValidationResult} */
+  const result = { errors: [], warnings: [] };
+  const dirName = options.dirName ?? path.basename(skillDir);
+
+  let content;
+  try {
+    content = await readFile(path.join(skillDir, 'SKILL.md'), 'utf-8');
+  } catch {
+    result.errors.push('SKILL.md is missing');
+    return result;
+  }
+
+  let data;
+  let body;
+  try {
+    ({ data, body } = parseFrontmatter(content));
+  } catch (error) {
+    result.errors.push(error.message);
+    return result;
+  }
+  if (Object.keys(data).length === 0) {
+    result.errors.push('SKILL.md has no frontmatter (a "---" block with name and description)');
+    return result;
+  }
+
+  checkName(data.name, dirName, result);
+  checkText(data, 'description', DESCRIPTION_MAX_LENGTH, true, result);
+  checkText(data, 'compatibility', COMPATIBILITY_MAX_LENGTH, false, result);
+
+  if (data.license !== undefined && typeof data.license !== 'string') {
+    result.errors.push('"license" must be a string');
+  }
+  if (data.metadata !== undefined && (data.metadata === null || typeof data.metadata !== 'object' || Array.isArray(data.metadata))) {
+    result.errors.push('"metadata" must be a mapping');
+  }
+  const tools = data['allowed-tools'];
+  if (tools !== undefined && typeof tools !== 'string' && !(Array.isArray(tools) && tools.every(t => typeof t === 'string'))) {
+    result.errors.push('"allowed-tools" must be a string or a list of strings');
+  }
+  const requires = data.requires;
+  if (requires !== undefined && typeof requires !== 'string' && !(Array.isArray(requires) && requires.every(r => typeof r === 'string'))) {
+    result.errors.push('"requires" must be a skill name or source, or a list of them');
+  }
+  for (const field of Object.keys(data)) {
+    if (!KNOWN_FIELDS.has(field)) result.warnings.push(`unknown frontmatter field "${field}"`);
+  }
+
+  const lines = body.split('\n').length;
+  if (lines > BODY_MAX_LINES) {
+    result.warnings.push(`SKILL.md body has ${lines} lines; keep it under ${BODY_MAX_LINES} and move details to referenced files`);
+  }
+
+  await checkReferences(skillDir, body, result);
+  try {
+    await assertLinksInside(skillDir);
+  } catch (error) {
+    result.errors.push(error.message);
+  }
+  return result;
+}
+
+/**
+ * @param {unknown} name
+ * @param {string} dirName
+ * @param {ValidationResult} result
+ */
+function checkName(name, dirName, result) {
+  if (name === undefined || name === null || name === '') {
+    result.errors.push('"name" is required');
+    return;
+  }
+  if (typeof name !== 'string') {
+    result.errors.push('"name" must be a string');
+    return;
+  }
+  if (name.length > NAME_MAX_LENGTH) {
+    result.errors.push(`"name" is ${name.length} characters long (max ${NAME_MAX_LENGTH})`);
+  }
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(name)) {
+    result.errors.push(`"name" must be lowercase letters, digits and single hyphens, not starting or ending with a hyphen (got "${name}")`);
+  }
+  if (name !== dirName) {
+    result.errors.push(`"name" is "${name}" but the skill directory is "${dirName}"`);
+  }
+}
+
+/**
+ * @param {Record<string, unknown>} data
+ * @param {string} field
+ * @param {number} maxLength
+ * @param {boolean} required
+ * @param {ValidationResult} result
+ */
+function checkText(data, field, maxLength, required, result) {
+  const value = data[field];
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    if (required) result.errors.push(`"${field}" is required`);
+    return;
+  }
+  if (typeof value !== 'string') {
+    result.errors.push(`"${field}" must be a string`);
+    return;
+  }
+  if (value.length > maxLength) {
+    result.errors.push(`"${field}" is ${value.length} characters long (max ${maxLength})`);
+  }
+}
+
+/**
+ * Check that relative Markdown links and images point to existing files
+ * inside the skill directory. Links in code are ignored.
+ * @param {string} skillDir
+ * @param {string} body
+ * @param {ValidationResult} result
+ */
+async function checkReferences(skillDir, body, result) {
+  const root = path.resolve(skillDir);
+  const prose = body
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, '')
+    .replace(/`[^`\n]*`/g, '');
+
+  const targets = new Set();
+  for (const match of prose.matchAll(/!?\[[^\]]*\]\(\s*(<[^>]*>|[^)\s]+)(?:\s+["'(][^)]*)?\)/g)) {
+    targets.add(match[1].replace(/^<|>$/g, ''));
+  }
+  for (const match of prose.matchAll(/^\s*\[[^\]]+\]:\s*(\S+)/gm)) {
+    targets.add(match[1]);
+  }
+
+  for (const target of targets) {
+    // URLs, mailto:, in-page anchors and site-absolute paths aren't files in the skill
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#') || target.startsWith('/')) continue;
+
+    let relative = target.replace(/[?#].*$/, '');
+    try {
+      relative = decodeURI(relative);
+    } catch {
+      // Keep the raw path
+    }
+    if (relative === '') continue;
+
+    const resolved = path.resolve(root, relative);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      // Often a sibling skill; it may or may not be installed next to this one
+      result.warnings.push(`"${target}" points outside the skill directory and isn't installed with it`);
+      continue;
+    }
+    if (!await stat(resolved).then(() => true, () => false)) {
+      result.errors.push(`referenced file "${target}" does not exist`);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runSkill, makeProject, writeSkill, commitAll } from './helpers.js';
+
+let root;
+let project;
+let cache;
+let tmp;
+let repo;
+
+/** @param {string[]} args */
+function skill(...args) {
+  return runSkill(project, args, { cache, env: { TMPDIR: tmp } });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'add-test-'));
+  project = path.join(root, 'project');
+  tmp = path.join(root, 'tmp');
+  repo = path.join(root, 'repo');
+  fs.mkdirSync(tmp);
+  // Without a usable cache, downloads go to temp directories the command must remove
+  fs.writeFileSync(path.join(root, 'not-a-dir'), '');
+  cache = path.join(root, 'not-a-dir/cache');
+  makeProject(project);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('cleans up downloads when a skill fails validation', () => {
+  writeSkill(path.join(repo, 'skills/alpha'));
+  fs.writeFileSync(path.join(repo, 'skills/alpha/SKILL.md'), '---\nname: alpha\n---\n');
+  commitAll(repo);
+
+  const result = skill('-y', 'add', `git+file://${repo}`);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /failed validation/);
+  assert.deepEqual(fs.readdirSync(tmp), []);
+});
+
+test('cleans up downloads when a name is taken', () => {
+  writeSkill(path.join(repo, 'skills/alpha'));
+  commitAll(repo);
+  writeSkill(path.join(project, '.claude/skills/alpha'));
+
+  const result = skill('-y', 'add', `git+file://${repo}`);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /"alpha" is already taken/);
+  assert.deepEqual(fs.readdirSync(tmp), []);
+});
+
+test('cleans up downloads when a requirement cannot be resolved', () => {
+  writeSkill(path.join(repo, 'skills/alpha'), { requires: ['missing'] });
+  commitAll(repo);
+
+  const result = skill('-y', 'add', `git+file://${repo}`);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /missing/);
+  assert.deepEqual(fs.readdirSync(tmp), []);
+});
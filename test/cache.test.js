@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStagingDir, findCached, listCache, pruneCache, storeCached } from '../lib/cache.js';
+
+const COMMIT = 'a'.repeat(40);
+let root;
+
+/**
+ * Write a downloaded repository with the given files into a staging directory.
+ * @param {Record<string, string>} files
+ * @returns {Promise<string>}
+ */
+async function download(files) {
+  const repoDir = path.join(await createStagingDir(), 'repo');
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(repoDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, name), content);
+  }
+  return repoDir;
+}
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  process.env.AIF_REMOTE_SKILLS_CACHE = root;
+  process.env.AIF_CACHE_MAX_SIZE = '0';
+});
+
+after(() => {
+  delete process.env.AIF_REMOTE_SKILLS_CACHE;
+  delete process.env.AIF_CACHE_MAX_SIZE;
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('keeps the paths of a partial entry it replaces', async () => {
+  const key = ['example.com', 'owner', 'partial'];
+  const info = { source: 'github:owner/partial', commit: COMMIT };
+
+  const first = await storeCached(key, { ...info, paths: ['skills/a'] }, await download({ 'skills/a/SKILL.md': 'a' }));
+  const second = await storeCached(key, { ...info, paths: ['skills/b'] }, await download({ 'skills/b/SKILL.md': 'b' }));
+
+  assert.equal(first, second);
+  assert.equal(fs.readFileSync(path.join(first, 'skills/a/SKILL.md'), 'utf-8'), 'a');
+  assert.equal(fs.readFileSync(path.join(first, 'skills/b/SKILL.md'), 'utf-8'), 'b');
+  assert.equal(await findCached(key, COMMIT, ['skills/a', 'skills/b']), first);
+  assert.equal(await findCached(key, COMMIT), null);
+});
+
+test('returns an existing entry that already covers the download', async () => {
+  const key = ['example.com', 'owner', 'complete'];
+  const info = { source: 'github:owner/complete', commit: COMMIT };
+
+  const complete = await storeCached(key, info, await download({ 'SKILL.md': 'complete' }));
+  const again = await storeCached(key, { ...info, paths: ['SKILL.md'] }, await download({ 'SKILL.md': 'partial' }));
+
+  assert.equal(again, complete);
+  assert.equal(fs.readFileSync(path.join(complete, 'SKILL.md'), 'utf-8'), 'complete');
+});
+
+test('never evicts entries used by this process', async () => {
+  // The size cap is 0, so every entry is over it
+  assert.equal((await listCache()).length, 2);
+  assert.deepEqual(await pruneCache(0), []);
+  assert.ok(fs.existsSync(path.join(root, 'example.com/owner/partial', COMMIT, 'repo/skills/a/SKILL.md')));
+
+  const foreign = path.join(root, 'example.com/owner/other', COMMIT);
+  fs.mkdirSync(path.join(foreign, 'repo'), { recursive: true });
+  fs.writeFileSync(path.join(foreign, 'meta.json'), JSON.stringify({
+    source: 'github:owner/other', commit: COMMIT, paths: null, size: 1, createdAt: '', lastUsedAt: '',
+  }));
+  assert.deepEqual((await pruneCache(0)).map(entry => entry.dir), [foreign]);
+  assert.ok(!fs.existsSync(foreign));
+});
+
+test('never evicts entries another process used within the last hour', async () => {
+  const recent = path.join(root, 'example.com/owner/recent', COMMIT);
+  fs.mkdirSync(path.join(recent, 'repo'), { recursive: true });
+  fs.writeFileSync(path.join(recent, 'meta.json'), JSON.stringify({
+    source: 'github:owner/recent', commit: COMMIT, paths: null, size: 1,
+    createdAt: new Date().toISOString(), lastUsedAt: new Date(Date.now() - 60000).toISOString(),
+  }));
+  assert.deepEqual(await pruneCache(0), []);
+  assert.ok(fs.existsSync(recent));
+});
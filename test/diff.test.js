@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { listFiles, readEntry, diffDirectories, isTextBuffer, unifiedDiff } from '../lib/diff.js';
+
+let root;
+
+/**
+ * @param {string} dir
+ * @param {Record<string, string>} files
+ */
+function writeTree(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('lists files recursively, skipping .git and not following symlinks', async () => {
+  const dir = path.join(root, 'skill');
+  writeTree(dir, { 'SKILL.md': '', 'docs/a.md': '', '.git/HEAD': '' });
+  fs.symlinkSync('docs', path.join(dir, 'linked'));
+
+  assert.deepEqual(await listFiles(dir), ['SKILL.md', 'docs/a.md', 'linked']);
+  assert.deepEqual(await listFiles(path.join(root, 'missing')), []);
+});
+
+test('reads symlinks as their target', async () => {
+  const dir = path.join(root, 'skill');
+  writeTree(dir, { 'a.md': 'content' });
+  fs.symlinkSync('a.md', path.join(dir, 'b.md'));
+
+  assert.equal((await readEntry(path.join(dir, 'a.md'))).toString(), 'content');
+  assert.equal((await readEntry(path.join(dir, 'b.md'))).toString(), 'symlink -> a.md\n');
+});
+
+test('compares directories by content', async () => {
+  const oldDir = path.join(root, 'old');
+  const newDir = path.join(root, 'new');
+  writeTree(oldDir, { 'same.md': 'x', 'changed.md': 'a', 'gone.md': '' });
+  writeTree(newDir, { 'same.md': 'x', 'changed.md': 'b', 'added.md': '' });
+  fs.symlinkSync('same.md', path.join(oldDir, 'link'));
+  fs.symlinkSync('changed.md', path.join(newDir, 'link'));
+
+  assert.deepEqual(await diffDirectories(oldDir, newDir), {
+    added: ['added.md'],
+    removed: ['gone.md'],
+    modified: ['changed.md', 'link'],
+  });
+});
+
+test('detects binary content', () => {
+  assert.ok(isTextBuffer(Buffer.from('plain text\n')));
+  assert.ok(!isTextBuffer(Buffer.from([0x50, 0x00, 0x4b])));
+});
+
+test('produces unified diffs with hunk headers', () => {
+  const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n') + '\n';
+  const newText = ['1', '2', '3', 'four', '5', '6', '7', '8', '9', '10', '11'].join('\n') + '\n';
+
+  assert.equal(unifiedDiff(oldText, newText, 'a/f', 'b/f', 1), [
+    '--- a/f',
+    '+++ b/f',
+    '@@ -3,3 +3,3 @@',
+    ' 3',
+    '-4',
+    '+four',
+    ' 5',
+    '@@ -10,1 +10,2 @@',
+    ' 10',
+    '+11',
+    '',
+  ].join('\n'));
+});
+
+test('handles equal texts, empty texts and trailing newlines', () => {
+  assert.equal(unifiedDiff('same\n', 'same\n', 'a', 'b'), '');
+  assert.equal(unifiedDiff('', 'new\n', 'a', 'b'), '--- a\n+++ b\n@@ -0,0 +1,1 @@\n+new\n');
+  assert.match(unifiedDiff('x\n', 'x', 'a', 'b'), /whitespace at end of file changed/);
+});
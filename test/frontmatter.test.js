@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitFrontmatter, parseFrontmatter, parseYaml } from '../lib/frontmatter.js';
+
+test('splits frontmatter from the body', () => {
+  assert.deepEqual(splitFrontmatter('---\nname: a\n---\n# Body\n'), { yaml: 'name: a', body: '# Body\n', line: 2 });
+  assert.deepEqual(splitFrontmatter('# No frontmatter\n'), { yaml: null, body: '# No frontmatter\n', line: 0 });
+});
+
+test('accepts a BOM, CRLF line endings and "..." as the closing marker', () => {
+  const { data, body } = parseFrontmatter('\uFEFF---\r\nname: a\r\ndescription: b\r\n...\r\nBody\r\n');
+  assert.deepEqual(data, { name: 'a', description: 'b' });
+  assert.equal(body, 'Body\n');
+});
+
+test('fails on unclosed frontmatter', () => {
+  assert.throws(() => parseFrontmatter('---\nname: a\n'), /not closed/);
+});
+
+test('gives an empty mapping for empty frontmatter and rejects non-mappings', () => {
+  assert.deepEqual(parseFrontmatter('---\n---\nBody').data, {});
+  assert.throws(() => parseFrontmatter('---\n- a\n---\n'), /must be a mapping/);
+});
+
+test('resolves plain scalars with the core schema', () => {
+  assert.deepEqual(parseYaml('a: 1\nb: -2.5\nc: true\nd: ~\ne: null\nf: 0x1f\ng: 0o17\nh: .inf\ni: 1.2.3\nj:'), {
+    a: 1, b: -2.5, c: true, d: null, e: null, f: 31, g: 15, h: Infinity, i: '1.2.3', j: null,
+  });
+  assert.ok(Number.isNaN(parseYaml('a: .nan').a));
+});
+
+test('keeps colons in plain values on the key line', () => {
+  assert.deepEqual(parseYaml('description: Use when: the user asks # comment'), {
+    description: 'Use when: the user asks',
+  });
+});
+
+test('folds multi-line plain scalars', () => {
+  assert.deepEqual(parseYaml('description: first\n  second\n\n  third\nnext: x'), {
+    description: 'first second\nthird',
+    next: 'x',
+  });
+});
+
+test('parses quoted scalars and escapes', () => {
+  assert.deepEqual(parseYaml(`a: "tab\\there \\u00e9 \\x41"\nb: 'it''s # not a comment'\n"c d": 'x'`), {
+    a: 'tab\there é A',
+    b: "it's # not a comment",
+    'c d': 'x',
+  });
+  assert.equal(parseYaml('a: "one\n  two\n\n  three"').a, 'one two\nthree');
+  assert.equal(parseYaml('a: "joined\\\n  here"').a, 'joinedhere');
+});
+
+test('rejects bad quoting', () => {
+  assert.throws(() => parseYaml('a: "open\nb: c'), /line 1: unterminated quoted value/);
+  assert.throws(() => parseYaml('a: "x" y'), /unexpected text after a quoted value/);
+  assert.throws(() => parseYaml('a: "\\q"'), /Invalid escape sequence/);
+});
+
+test('parses literal and folded block scalars with chomping', () => {
+  const yaml = [
+    'literal: |',
+    '  line 1',
+    '    indented',
+    '',
+    'folded: >',
+    '  one',
+    '  two',
+    '',
+    '  three',
+    'strip: |-',
+    '  text',
+    '',
+    'keep: |+',
+    '  text',
+    '',
+    'explicit: |2',
+    '    four spaces',
+  ].join('\n');
+  assert.deepEqual(parseYaml(yaml), {
+    literal: 'line 1\n  indented\n',
+    folded: 'one two\nthree\n',
+    strip: 'text',
+    keep: 'text\n\n',
+    explicit: '  four spaces\n',
+  });
+});
+
+test('rejects invalid block scalar headers', () => {
+  assert.throws(() => parseYaml('a: |+-\n  x'), /invalid block scalar header/);
+});
+
+test('parses nested mappings and sequences', () => {
+  const yaml = [
+    'metadata:',
+    '  tags:',
+    '  - one',
+    '  - two',
+    '  nested:',
+    '    deep: true',
+    'items:',
+    '  - name: a',
+    '    value: 1',
+    '  - - x',
+    '    - y',
+    '  -',
+    '  - # comment',
+    '    z',
+  ].join('\n');
+  assert.deepEqual(parseYaml(yaml), {
+    metadata: { tags: ['one', 'two'], nested: { deep: true } },
+    items: [{ name: 'a', value: 1 }, ['x', 'y'], null, 'z'],
+  });
+});
+
+test('parses flow collections, also across lines', () => {
+  assert.deepEqual(parseYaml('a: [one, "two, three", 3]\nb: {x: 1, y: [true, null]}\nc: []\nd: {}'), {
+    a: ['one', 'two, three', 3],
+    b: { x: 1, y: [true, null] },
+    c: [],
+    d: {},
+  });
+  assert.deepEqual(parseYaml('tools: [\n  Read,\n  Write\n  ]'), { tools: ['Read', 'Write'] });
+  assert.deepEqual(parseYaml('a: [http://x.test/a, b]'), { a: ['http://x.test/a', 'b'] });
+});
+
+test('rejects malformed flow collections', () => {
+  assert.throws(() => parseYaml('a: [one, two\nb: c'), /unterminated flow collection/);
+  assert.throws(() => parseYaml('a: [one two] x'), /unexpected text after a flow collection/);
+  assert.throws(() => parseYaml('a: [x, y}'), /expected "," or "]"/);
+});
+
+test('reports structural errors with line numbers', () => {
+  assert.throws(() => parseYaml('a: 1\na: 2'), /line 2: duplicate key "a"/);
+  assert.throws(() => parseYaml('a:\n\tb: 1'), /tabs are not allowed/);
+  assert.throws(() => parseYaml('a:\n    b: 1\n  c: 2'), /line 3: unexpected indentation/);
+  assert.throws(() => parseYaml('a: 1\njust text'), /expected a "key: value" pair/);
+  assert.throws(() => parseYaml('a: &anchor x'), /anchors, aliases and tags are not supported/);
+  assert.throws(() => parseYaml('a: *alias'), /anchors, aliases and tags are not supported/);
+  assert.throws(() => parseFrontmatter('---\nname: a\nname: b\n---\n'), /line 3: duplicate key/);
+});
+
+test('treats __proto__ as an ordinary key', () => {
+  const data = parseYaml('__proto__:\n  name: inherited\nother: {__proto__: {x: 1}}');
+  assert.equal(Object.getPrototypeOf(data), Object.prototype);
+  assert.equal(Object.getPrototypeOf(data.other), Object.prototype);
+  assert.deepEqual(Object.keys(data), ['__proto__', 'other']);
+  assert.equal(data.name, undefined);
+  assert.equal(data.other.x, undefined);
+});
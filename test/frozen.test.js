@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runSkill, makeProject, writeSkill, commitAll, readJson } from './helpers.js';
+
+const LOCK = 'remote-skills-lock.json';
+
+let root;
+let project;
+let cache;
+let repo;
+
+/** @param {string[]} args */
+function skill(...args) {
+  return runSkill(project, args, { cache });
+}
+
+/** @param {(lock: any) => void} change */
+function editLock(change) {
+  const lock = readJson(project, LOCK);
+  change(lock);
+  fs.writeFileSync(path.join(project, LOCK), JSON.stringify(lock, null, 2));
+}
+
+/**
+ * Every file of the cached downloads with the given name.
+ * @param {string} dir
+ * @param {string} name
+ * @returns {string[]}
+ */
+function findFiles(dir, name) {
+  return fs.readdirSync(dir, { withFileTypes: true, recursive: true })
+    .filter(entry => entry.isFile() && entry.name === name)
+    .map(entry => path.join(entry.parentPath ?? entry.path, entry.name));
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'frozen-test-'));
+  project = path.join(root, 'project');
+  cache = path.join(root, 'cache');
+  repo = path.join(root, 'repo');
+  makeProject(project);
+  writeSkill(path.join(repo, 'skills/alpha'), { body: 'alpha v1' });
+  commitAll(repo);
+  assert.equal(skill('-y', 'add', `git+file://${repo}`).status, 0);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('installs exactly the locked commit and leaves the lock alone', () => {
+  const before = fs.readFileSync(path.join(project, LOCK), 'utf-8');
+  writeSkill(path.join(repo, 'skills/alpha'), { body: 'alpha v2' });
+  commitAll(repo);
+  fs.rmSync(path.join(project, '.claude/skills/alpha'), { recursive: true });
+
+  const result = skill('ci');
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(fs.readFileSync(path.join(project, LOCK), 'utf-8'), before);
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/alpha/SKILL.md'), 'utf-8'), /alpha v1/);
+});
+
+test('fails when a download does not match its integrity', () => {
+  for (const file of findFiles(cache, 'SKILL.md')) fs.appendFileSync(file, 'tampered\n');
+  fs.rmSync(path.join(project, '.claude/skills/alpha'), { recursive: true });
+
+  const result = skill('sync', '--frozen');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /alpha @ \w+ does not match the lock file's integrity \(expected sha256-/);
+  assert.ok(!fs.existsSync(path.join(project, '.claude/skills/alpha')));
+});
+
+test('fails when installed copies do not match the lock\'s integrity', () => {
+  editLock((lock) => {
+    lock.skills.alpha.integrity = `sha256-${Buffer.alloc(32).toString('base64')}`;
+  });
+  const result = skill('ci');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /alpha in \.claude\/skills\/alpha does not match the lock file's integrity/);
+});
+
+test('fails on local changes to installed copies', () => {
+  fs.appendFileSync(path.join(project, '.opencode/skills/alpha/SKILL.md'), 'my notes\n');
+  const result = skill('ci');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /alpha has local changes in \.opencode\/skills\/alpha/);
+});
+
+test('fails on entries without a commit or integrity value', () => {
+  editLock((lock) => {
+    delete lock.skills.alpha.integrity;
+  });
+  let result = skill('ci');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /alpha has no integrity value/);
+
+  editLock((lock) => {
+    delete lock.skills.alpha.commit;
+  });
+  result = skill('ci');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /alpha has no pinned commit/);
+});
+
+test('fails when an agent\'s skills directory changed', () => {
+  const manifest = readJson(project, '.ai-factory.json');
+  manifest.agents[0].skillsDir = '.claude/other-skills';
+  fs.writeFileSync(path.join(project, '.ai-factory.json'), JSON.stringify(manifest));
+
+  const result = skill('ci');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /agent "claude" installs skills to \.claude\/other-skills, the lock records \.claude\/skills/);
+});
+
+test('checks store copies against the integrity', () => {
+  assert.equal(skill('-y', 'add', `git+file://${repo}`, '--store').status, 0);
+  assert.equal(skill('ci').status, 0);
+
+  fs.appendFileSync(path.join(project, '.ai-factory/remote-skills/alpha/SKILL.md'), 'tampered\n');
+  const result = skill('ci');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /alpha in \.ai-factory\/remote-skills\/alpha does not match the lock file's integrity/);
+});
@@ -0,0 +1,178 @@
+import { spawnSync, execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Shared by the command tests; importing this file has no side effects, so
+// the test runner picking it up as a test file is harmless.
+
+const SKILL_MODULE = new URL('../commands/skill.js', import.meta.url).href;
+
+/**
+ * The part of commander's Command that commands/skill.js registers with,
+ * enough to run a command line the way the ai-factory CLI does.
+ */
+export class Command {
+  /**
+   * @param {string} [name]
+   * @param {Command} [parent]
+   */
+  constructor(name = '', parent = undefined) {
+    this.name = name;
+    this.parent = parent;
+    this.argCount = 0;
+    /** @type {Map<string, Command>} */
+    this.commands = new Map();
+    /** @type {{ short?: string, long: string, key: string, negate: boolean, takesValue: boolean, parse?: Function }[]} */
+    this.options = [];
+    this.values = {};
+    this.handler = undefined;
+  }
+
+  /** @param {string} spec - e.g. "update [name]" */
+  command(spec) {
+    const [name, ...args] = spec.split(' ');
+    const sub = new Command(name, this);
+    sub.argCount = args.length;
+    this.commands.set(name, sub);
+    return sub;
+  }
+
+  description() {
+    return this;
+  }
+
+  /**
+   * @param {string} flags - e.g. "-y, --yes", "--no-validate", "--max-size <size>"
+   * @param {string} _description
+   * @param {Function} [parse]
+   * @param {unknown} [initial]
+   */
+  option(flags, _description, parse, initial) {
+    const short = flags.match(/(?:^|\s)(-\w)\b/)?.[1];
+    const long = flags.match(/--[\w-]+/)[0];
+    const negate = long.startsWith('--no-');
+    const key = long.slice(negate ? 5 : 2).replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    this.options.push({ short, long, key, negate, takesValue: /<\w+>/.test(flags), parse });
+    if (negate) this.values[key] = true;
+    else if (initial !== undefined) this.values[key] = initial;
+    return this;
+  }
+
+  action(fn) {
+    this.handler = fn;
+    return this;
+  }
+
+  opts() {
+    return this.values;
+  }
+
+  /** @param {string[]} args */
+  async run(args) {
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const option = this.options.find(o => o.long === arg || o.short === arg);
+      if (option) {
+        if (option.negate) this.values[option.key] = false;
+        else if (!option.takesValue) this.values[option.key] = true;
+        else {
+          const value = args[++i];
+          this.values[option.key] = option.parse ? option.parse(value, this.values[option.key]) : value;
+        }
+      } else if (arg.startsWith('-')) {
+        throw new Error(`unknown option "${arg}" for "${this.name}"`);
+      } else if (positional.length === 0 && this.commands.has(arg)) {
+        return this.commands.get(arg).run(args.slice(i + 1));
+      } else {
+        positional.push(arg);
+      }
+    }
+    if (!this.handler) throw new Error(`no command given to "${this.name}"`);
+    while (positional.length < this.argCount) positional.push(undefined);
+    await this.handler(...positional, this.values, this);
+  }
+}
+
+/**
+ * Run `ai-factory skill <args>` in a child process, so process.exit and
+ * process.exitCode behave as they do on the command line.
+ *
+ * @param {string} cwd - project directory
+ * @param {string[]} args - arguments after "skill"
+ * @param {{ cache: string, env?: Record<string, string> }} options
+ * @returns {{ status: number|null, stdout: string, stderr: string }}
+ */
+export function runSkill(cwd, args, { cache, env = {} }) {
+  const script = [
+    `import { register } from ${JSON.stringify(SKILL_MODULE)};`,
+    `import { Command } from ${JSON.stringify(import.meta.url)};`,
+    'const program = new Command();',
+    'register(program);',
+    'await program.run(process.argv.slice(1));',
+  ].join('\n');
+  const result = spawnSync(process.execPath, ['--input-type=module', '-e', script, 'skill', ...args], {
+    cwd,
+    encoding: 'utf-8',
+    timeout: 60000,
+    env: {
+      ...process.env,
+      AIF_REMOTE_SKILLS_CACHE: cache,
+      AIF_REMOTE_SKILLS_CONFIG: path.join(cache, 'no-config.json'),
+      AIF_OFFLINE: '',
+      ...env,
+    },
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Create a project with two configured agents, claude and opencode.
+ * @param {string} dir
+ */
+export function makeProject(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, '.ai-factory.json'), JSON.stringify({
+    agents: [
+      { id: 'claude', skillsDir: '.claude/skills', installedSkills: [] },
+      { id: 'opencode', skillsDir: '.opencode/skills', installedSkills: [] },
+    ],
+  }, null, 2));
+}
+
+/**
+ * Write a skill directory with a valid SKILL.md.
+ * @param {string} dir - the skill directory; its basename is the skill name
+ * @param {{ requires?: string[], body?: string }} [options]
+ */
+export function writeSkill(dir, { requires, body = '' } = {}) {
+  const name = path.basename(dir);
+  const lines = ['---', `name: ${name}`, `description: The ${name} skill for tests.`];
+  if (requires) lines.push('requires:', ...requires.map(r => `  - ${r}`));
+  lines.push('---', '', `# ${name}`, '', body);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'SKILL.md'), lines.join('\n'));
+}
+
+/**
+ * Commit everything in a working directory, creating the repository on first
+ * use, and optionally tag the commit.
+ * @param {string} dir
+ * @param {string} [tag]
+ */
+export function commitAll(dir, tag) {
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'pipe' });
+  if (!fs.existsSync(path.join(dir, '.git'))) git('init', '-q', '-b', 'main');
+  git('add', '-A');
+  git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '--allow-empty', '-m', tag ?? 'update');
+  if (tag) git('tag', tag);
+}
+
+/**
+ * @param {string} projectDir
+ * @param {string} file - e.g. "remote-skills-lock.json"
+ * @returns {any}
+ */
+export function readJson(projectDir, file) {
+  return JSON.parse(fs.readFileSync(path.join(projectDir, file), 'utf-8'));
+}
@@ -0,0 +1,176 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runSkill, makeProject, writeSkill, commitAll, readJson } from './helpers.js';
+
+let root;
+let project;
+let cache;
+let repo;
+
+/** @param {string[]} args */
+function skill(...args) {
+  return runSkill(project, args, { cache });
+}
+
+/** @param {object[]} skills */
+function writeList(skills) {
+  fs.writeFileSync(path.join(project, 'remote-skills-list.json'), JSON.stringify({ skills }, null, 2));
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'install-test-'));
+  project = path.join(root, 'project');
+  cache = path.join(root, 'cache');
+  repo = path.join(root, 'repo');
+  makeProject(project);
+
+  // alpha and beta at v1.0.0, v1.1.0 and v2.0.0
+  for (const tag of ['v1.0.0', 'v1.1.0', 'v2.0.0']) {
+    writeSkill(path.join(repo, 'skills/alpha'), { body: `alpha ${tag}` });
+    writeSkill(path.join(repo, 'skills/beta'), { body: `beta ${tag}` });
+    commitAll(repo, tag);
+  }
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('installs a git+ entry with a semver range', () => {
+  writeList([{ source: `git+file://${repo}`, range: '^1.0', skills: ['alpha'] }]);
+
+  const result = skill('-y', 'install');
+  assert.equal(result.status, 0, result.stderr);
+
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.equal(lock.skills.alpha.range, '^1.0');
+  assert.equal(lock.skills.alpha.ref, 'v1.1.0');
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/alpha/SKILL.md'), 'utf-8'), /alpha v1\.1\.0/);
+});
+
+test('update --latest moves the remote-skills-list.json range along', () => {
+  writeList([{ source: `git+file://${repo}`, range: '^1.0' }]);
+  assert.equal(skill('-y', 'install').status, 0);
+
+  const result = skill('-y', 'update', '--latest');
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(readJson(project, 'remote-skills-list.json').skills, [
+    { source: `git+file://${repo}`, range: '^2.0.0' },
+  ]);
+
+  // The next install keeps v2.0.0 instead of going back to ^1.0
+  assert.equal(skill('-y', 'install').status, 0);
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.equal(lock.skills.alpha.ref, 'v2.0.0');
+  assert.equal(lock.skills.beta.ref, 'v2.0.0');
+});
+
+test('update --latest of one skill gives it an entry of its own', () => {
+  writeList([{ source: `git+file://${repo}`, range: '^1.0', skills: ['alpha', 'beta'] }]);
+  assert.equal(skill('-y', 'install').status, 0);
+
+  assert.equal(skill('-y', 'update', 'alpha', '--latest').status, 0);
+  assert.deepEqual(readJson(project, 'remote-skills-list.json').skills, [
+    { source: `git+file://${repo}`, range: '^1.0', skills: ['beta'] },
+    { source: `git+file://${repo}`, range: '^2.0.0', skills: ['alpha'] },
+  ]);
+
+  assert.equal(skill('-y', 'install').status, 0);
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.equal(lock.skills.alpha.ref, 'v2.0.0');
+  assert.equal(lock.skills.beta.ref, 'v1.1.0');
+});
+
+test('does not create an empty remote-skills-list.json', () => {
+  const result = skill('-y', 'install');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Nothing to install/);
+  assert.ok(!fs.existsSync(path.join(project, 'remote-skills-list.json')));
+  assert.ok(!fs.existsSync(path.join(project, 'remote-skills-lock.json')));
+});
+
+test('installs what remote-skills-list.json lists for the listed agents', () => {
+  writeList([
+    { source: `git+file://${repo}#v1.0.0`, skills: ['alpha'] },
+    { source: `git+file://${repo}`, ref: 'v1.0.0', skills: [{ name: 'beta', as: 'team-beta' }], agents: ['claude'] },
+  ]);
+  const result = skill('-y', 'install');
+  assert.equal(result.status, 0, result.stderr);
+
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.deepEqual(Object.keys(lock.skills).sort(), ['alpha', 'team-beta']);
+  assert.equal(lock.skills['team-beta'].upstreamName, 'beta');
+  assert.deepEqual(lock.agents, { claude: ['alpha', 'team-beta'], opencode: ['alpha'] });
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/team-beta/SKILL.md'), 'utf-8'), /name: team-beta/);
+  assert.ok(!fs.existsSync(path.join(project, '.opencode/skills/team-beta')));
+});
+
+test('removes skills and agents no longer listed', () => {
+  writeList([{ source: `git+file://${repo}`, ref: 'v1.0.0' }]);
+  assert.equal(skill('-y', 'install').status, 0);
+
+  writeList([{ source: `git+file://${repo}`, ref: 'v1.0.0', skills: ['alpha'], agents: ['opencode'] }]);
+  const result = skill('-y', 'install');
+  assert.equal(result.status, 0, result.stderr);
+
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.deepEqual(Object.keys(lock.skills), ['alpha']);
+  assert.deepEqual(lock.agents.opencode, ['alpha']);
+  assert.deepEqual(lock.agents.claude ?? [], []);
+  assert.ok(!fs.existsSync(path.join(project, '.claude/skills/alpha')));
+  assert.ok(!fs.existsSync(path.join(project, '.claude/skills/beta')));
+  assert.ok(!fs.existsSync(path.join(project, '.opencode/skills/beta')));
+  assert.ok(fs.existsSync(path.join(project, '.opencode/skills/alpha/SKILL.md')));
+});
+
+test('keeps the locked commit until the listed ref changes', () => {
+  writeList([{ source: `git+file://${repo}`, skills: ['alpha'] }]);
+  assert.equal(skill('-y', 'install').status, 0);
+  const locked = readJson(project, 'remote-skills-lock.json').skills.alpha.commit;
+
+  writeSkill(path.join(repo, 'skills/alpha'), { body: 'alpha next' });
+  commitAll(repo);
+  assert.equal(skill('-y', 'install').status, 0);
+  assert.equal(readJson(project, 'remote-skills-lock.json').skills.alpha.commit, locked);
+
+  writeList([{ source: `git+file://${repo}`, ref: 'v1.0.0', skills: ['alpha'] }]);
+  assert.equal(skill('-y', 'install').status, 0);
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.equal(lock.skills.alpha.ref, 'v1.0.0');
+  assert.notEqual(lock.skills.alpha.commit, locked);
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/alpha/SKILL.md'), 'utf-8'), /alpha v1\.0\.0/);
+});
+
+test('restores missing copies and protects local edits', () => {
+  writeList([{ source: `git+file://${repo}`, ref: 'v1.0.0', skills: ['alpha'] }]);
+  assert.equal(skill('-y', 'install').status, 0);
+
+  fs.rmSync(path.join(project, '.opencode/skills/alpha'), { recursive: true });
+  fs.appendFileSync(path.join(project, '.claude/skills/alpha/SKILL.md'), 'my notes\n');
+  assert.equal(skill('-y', 'install').status, 0);
+  assert.ok(fs.existsSync(path.join(project, '.opencode/skills/alpha/SKILL.md')));
+
+  writeList([{ source: `git+file://${repo}`, ref: 'v1.1.0', skills: ['alpha'] }]);
+  const result = skill('-y', 'install');
+  assert.match(result.stdout, /alpha has local changes/);
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/alpha/SKILL.md'), 'utf-8'), /my notes/);
+  assert.equal(readJson(project, 'remote-skills-lock.json').skills.alpha.ref, 'v1.0.0');
+
+  assert.equal(skill('-y', 'install', '--force').status, 0);
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/alpha/SKILL.md'), 'utf-8'), /alpha v1\.1\.0/);
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/alpha.orig/SKILL.md'), 'utf-8'), /my notes/);
+});
+
+test('refuses a skill listed twice under the same name', () => {
+  writeList([
+    { source: `git+file://${repo}`, ref: 'v1.0.0', skills: ['alpha'] },
+    { source: `git+file://${repo}`, ref: 'v2.0.0', skills: ['alpha'] },
+  ]);
+  const result = skill('-y', 'install');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /"alpha" is listed more than once/);
+  assert.ok(!fs.existsSync(path.join(project, 'remote-skills-lock.json')));
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadLock, validateLock } from '../lib/lock.js';
+
+const PROJECT = path.resolve('/work/project');
+
+/** A lock that passes validation */
+function validLock() {
+  return {
+    version: 1,
+    skills: {
+      review: {
+        source: 'github:acme/skills',
+        sourceType: 'github',
+        ref: 'main',
+        refType: 'branch',
+        commit: 'a'.repeat(40),
+        path: 'skills/review',
+        installMode: 'copy',
+        requires: ['style'],
+        installedAt: '2026-01-01T00:00:00.000Z',
+      },
+      style: { source: 'file:../style', sourceType: 'file', ref: '', path: '', installedAt: '' },
+    },
+    agents: { claude: ['review', 'style'] },
+    skillsDirs: { claude: '.claude/skills' },
+  };
+}
+
+test('accepts a valid lock', () => {
+  validateLock(validLock(), PROJECT);
+});
+
+/**
+ * Each case breaks one value of a valid lock.
+ * @type {{ title: string, change: (lock: any) => void, error: RegExp }[]}
+ */
+const INVALID = [
+  { title: 'skills that are not an object', change: (lock) => { lock.skills = []; }, error: /"skills" must be an object/ },
+  { title: 'agents that are not an object', change: (lock) => { lock.agents = 'claude'; }, error: /"agents" must be an object/ },
+  { title: 'skillsDirs that are not an object', change: (lock) => { lock.skillsDirs = null; }, error: /"skillsDirs" must be an object/ },
+  {
+    title: 'a skill name with a path separator',
+    change: (lock) => { lock.skills['../evil'] = lock.skills.style; },
+    error: /skill name "..\/evil" is not a single directory name/,
+  },
+  { title: 'a skill without a source', change: (lock) => { delete lock.skills.review.source; }, error: /"review" has no source/ },
+  {
+    title: 'an abbreviated commit',
+    change: (lock) => { lock.skills.review.commit = 'abc1234'; },
+    error: /invalid commit "abc1234"/,
+  },
+  {
+    title: 'a commit that is an option',
+    change: (lock) => { lock.skills.review.commit = '--upload-pack=touch /tmp/pwned'; },
+    error: /invalid commit/,
+  },
+  {
+    title: 'a path leaving the repository',
+    change: (lock) => { lock.skills.review.path = 'skills/../../etc'; },
+    error: /path outside its repository/,
+  },
+  { title: 'an absolute path', change: (lock) => { lock.skills.review.path = '/etc'; }, error: /path outside its repository/ },
+  {
+    title: 'an unknown install mode',
+    change: (lock) => { lock.skills.review.installMode = 'hardlink'; },
+    error: /unknown installMode "hardlink"/,
+  },
+  { title: 'requires that is not a list', change: (lock) => { lock.skills.review.requires = 'style'; }, error: /invalid requires/ },
+  {
+    title: 'agents that are not a list',
+    change: (lock) => { lock.agents.claude = 'review'; },
+    error: /agents of "claude" must be a list/,
+  },
+  {
+    title: 'an agent listing a path',
+    change: (lock) => { lock.agents.claude.push('../../home'); },
+    error: /agent "claude" lists "..\/..\/home"/,
+  },
+  {
+    title: 'a skillsDir outside the project',
+    change: (lock) => { lock.skillsDirs.claude = '../elsewhere'; },
+    error: /skillsDir "..\/elsewhere" of agent "claude" is not inside the project/,
+  },
+  {
+    title: 'an absolute skillsDir',
+    change: (lock) => { lock.skillsDirs.claude = '/etc'; },
+    error: /is not inside the project/,
+  },
+  {
+    title: 'the project itself as skillsDir',
+    change: (lock) => { lock.skillsDirs.claude = '.'; },
+    error: /is not inside the project/,
+  },
+];
+
+for (const { title, change, error } of INVALID) {
+  test(`rejects ${title}`, () => {
+    const lock = validLock();
+    change(lock);
+    assert.throws(() => validateLock(lock, PROJECT), error);
+  });
+}
+
+test('loadLock validates the file and rejects invalid JSON', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-test-'));
+  try {
+    assert.deepEqual((await loadLock(dir)).skills, {});
+
+    const lock = validLock();
+    lock.skills.review.commit = 'HEAD';
+    fs.writeFileSync(path.join(dir, 'remote-skills-lock.json'), JSON.stringify(lock));
+    await assert.rejects(loadLock(dir), /Invalid remote-skills-lock.json: skill "review" has an invalid commit/);
+
+    fs.writeFileSync(path.join(dir, 'remote-skills-lock.json'), '{ "version": 1,');
+    await assert.rejects(loadLock(dir), /Invalid remote-skills-lock.json/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
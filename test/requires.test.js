@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runSkill, makeProject, writeSkill, commitAll, readJson } from './helpers.js';
+
+let root;
+let project;
+let cache;
+let repo;
+let other;
+
+/** @param {string[]} args */
+function skill(...args) {
+  return runSkill(project, args, { cache });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'requires-test-'));
+  project = path.join(root, 'project');
+  cache = path.join(root, 'cache');
+  repo = path.join(root, 'repo');
+  other = path.join(root, 'other');
+  makeProject(project);
+
+  writeSkill(path.join(other, 'style'));
+  writeSkill(path.join(other, 'beta'));
+  writeSkill(path.join(repo, 'skills/review'), { requires: ['api-conventions', `file:${other}/style`] });
+  writeSkill(path.join(repo, 'skills/api-conventions'));
+  writeSkill(path.join(repo, 'skills/cyc-a'), { requires: ['cyc-b'] });
+  writeSkill(path.join(repo, 'skills/cyc-b'), { requires: ['cyc-a'] });
+  writeSkill(path.join(repo, 'skills/beta'), { requires: [`file:${other}/beta`] });
+  commitAll(repo);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('installs requirements from the same repository and other sources', () => {
+  const result = skill('-y', 'add', `git+file://${repo}`, '--include', 'review');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /\+ api-conventions .*\(required by review\)/);
+
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.deepEqual(lock.skills.review.requires, ['api-conventions', 'style']);
+  assert.equal(lock.skills['api-conventions'].path, 'skills/api-conventions');
+  assert.equal(lock.skills.style.sourceType, 'file');
+  assert.deepEqual(lock.agents.opencode, ['review', 'api-conventions', 'style']);
+
+  // Requirements are not listed: they come with the skill that needs them
+  assert.deepEqual(readJson(project, 'remote-skills-list.json').skills, [
+    { source: `git+file://${repo}`, skills: ['review'] },
+  ]);
+});
+
+test('install resolves requirements of listed skills', () => {
+  fs.writeFileSync(path.join(project, 'remote-skills-list.json'), JSON.stringify({
+    skills: [{ source: `git+file://${repo}`, skills: ['review'], agents: ['claude'] }],
+  }));
+  const result = skill('-y', 'install');
+  assert.equal(result.status, 0, result.stderr);
+
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.deepEqual(Object.keys(lock.skills).sort(), ['api-conventions', 'review', 'style']);
+  assert.deepEqual(lock.agents.claude.sort(), ['api-conventions', 'review', 'style']);
+  assert.ok(!fs.existsSync(path.join(project, '.opencode/skills/style')));
+
+  // Still required, so a second install keeps them
+  assert.equal(skill('-y', 'install').status, 0);
+  assert.deepEqual(Object.keys(readJson(project, 'remote-skills-lock.json').skills).sort(), ['api-conventions', 'review', 'style']);
+});
+
+test('uses a skill already present under a required bare name', () => {
+  for (const dir of ['.claude/skills', '.opencode/skills']) {
+    writeSkill(path.join(project, dir, 'api-conventions'), { body: 'my own' });
+  }
+  const result = skill('-y', 'add', `git+file://${repo}`, '--include', 'review');
+  assert.equal(result.status, 0, result.stderr);
+
+  const lock = readJson(project, 'remote-skills-lock.json');
+  assert.ok(!lock.skills['api-conventions']);
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/api-conventions/SKILL.md'), 'utf-8'), /my own/);
+});
+
+test('refuses dependency cycles', () => {
+  const result = skill('-y', 'add', `git+file://${repo}`, '--include', 'cyc-a');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Dependency cycle: cyc-a -> cyc-b -> cyc-a/);
+  assert.ok(!fs.existsSync(path.join(project, 'remote-skills-lock.json')));
+});
+
+test('refuses a source-qualified requirement whose name is being installed from elsewhere', () => {
+  const result = skill('-y', 'add', `git+file://${repo}`, '--include', 'beta');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /"beta" requires "file:.*\/other\/beta", but "beta" is being installed from/);
+  assert.ok(!fs.existsSync(path.join(project, '.claude/skills/beta')));
+});
+
+test('refuses a source-qualified requirement whose name is taken', () => {
+  writeSkill(path.join(project, '.claude/skills/style'), { body: 'unmanaged' });
+  const result = skill('-y', 'add', `git+file://${repo}`, '--include', 'review');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /"style" \(required by review\) is already taken by the unmanaged directory/);
+  assert.ok(!fs.existsSync(path.join(project, 'remote-skills-lock.json')));
+  assert.match(fs.readFileSync(path.join(project, '.claude/skills/style/SKILL.md'), 'utf-8'), /unmanaged/);
+});
+
+test('won\'t remove a required skill without --force', () => {
+  assert.equal(skill('-y', 'add', `git+file://${repo}`, '--include', 'review').status, 0);
+
+  const refused = skill('-y', 'remove', 'api-conventions');
+  assert.equal(refused.status, 1);
+  assert.match(refused.stderr, /"api-conventions" is required by review/);
+
+  assert.equal(skill('-y', 'remove', 'api-conventions', '--force').status, 0);
+  assert.ok(!readJson(project, 'remote-skills-lock.json').skills['api-conventions']);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVersion, compareVersions, validRange, satisfies, maxSatisfying } from '../lib/semver.js';
+
+test('parses versions and tag names', () => {
+  assert.deepEqual(parseVersion('v1.2.3-beta.1+build.5'), {
+    major: 1, minor: 2, patch: 3, prerelease: ['beta', 1], version: '1.2.3-beta.1',
+  });
+  assert.equal(parseVersion(' 0.0.1 ').version, '0.0.1');
+  assert.equal(parseVersion('1.2'), null);
+  assert.equal(parseVersion('release-1.2.3'), null);
+});
+
+test('orders versions by precedence', () => {
+  const order = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2',
+    '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.1.0', '2.0.0'];
+  for (let i = 1; i < order.length; i++) {
+    const a = parseVersion(order[i - 1]);
+    const b = parseVersion(order[i]);
+    assert.ok(compareVersions(a, b) < 0, `${order[i - 1]} < ${order[i]}`);
+    assert.ok(compareVersions(b, a) > 0, `${order[i]} > ${order[i - 1]}`);
+  }
+  assert.equal(compareVersions(parseVersion('v1.2.3+a'), parseVersion('1.2.3+b')), 0);
+});
+
+test('matches caret, tilde and x-ranges', () => {
+  const cases = [
+    ['^1.2.3', ['1.2.3', '1.9.0'], ['1.2.2', '2.0.0']],
+    ['^0.2.3', ['0.2.3', '0.2.9'], ['0.3.0']],
+    ['^0.0.3', ['0.0.3'], ['0.0.4']],
+    ['^1.2', ['1.2.0', '1.99.0'], ['1.1.9', '2.0.0']],
+    ['^0', ['0.0.1', '0.9.9'], ['1.0.0']],
+    ['~1.2.3', ['1.2.3', '1.2.9'], ['1.3.0']],
+    ['~1', ['1.0.0', '1.9.9'], ['2.0.0']],
+    ['1.x', ['1.0.0', '1.5.2'], ['2.0.0', '0.9.0']],
+    ['1.2.*', ['1.2.0', '1.2.7'], ['1.3.0']],
+    ['*', ['0.0.0', '9.9.9'], []],
+    ['', ['1.0.0'], []],
+    ['1.2', ['1.2.0', '1.2.5'], ['1.3.0']],
+  ];
+  for (const [range, yes, no] of cases) {
+    for (const v of yes) assert.ok(satisfies(v, range), `${v} satisfies ${range}`);
+    for (const v of no) assert.ok(!satisfies(v, range), `${v} does not satisfy ${range}`);
+  }
+});
+
+test('matches comparators, hyphen ranges and unions', () => {
+  assert.ok(satisfies('1.5.0', '>=1.2 <2'));
+  assert.ok(!satisfies('2.0.0', '>=1.2 <2'));
+  assert.ok(satisfies('1.5.0', '>= 1.2 < 2'));
+  assert.ok(satisfies('1.3.0', '>1.2'));
+  assert.ok(!satisfies('1.2.9', '>1.2'));
+  assert.ok(satisfies('1.4.9', '<=1.4'));
+  assert.ok(!satisfies('1.5.0', '<=1.4'));
+  assert.ok(satisfies('2.3.4', '1.2 - 2.3.4'));
+  assert.ok(!satisfies('2.3.5', '1.2 - 2.3.4'));
+  assert.ok(satisfies('3.1.0', '^1 || ^3'));
+  assert.ok(!satisfies('2.1.0', '^1 || ^3'));
+  assert.ok(!satisfies('1.0.0', '<*'));
+});
+
+test('only matches prereleases named by the range', () => {
+  assert.ok(!satisfies('2.0.0-beta.1', '^1 || >=1.5'));
+  assert.ok(satisfies('1.2.3-beta.2', '>=1.2.3-beta.1 <2'));
+  assert.ok(!satisfies('1.2.4-beta.2', '>=1.2.3-beta.1 <2'));
+  assert.ok(satisfies('1.2.4', '>=1.2.3-beta.1 <2'));
+});
+
+test('validates ranges', () => {
+  assert.ok(validRange('^1.2.3'));
+  assert.ok(validRange('>=1 <2 || 3.x'));
+  assert.ok(!validRange('^banana'));
+  assert.ok(!validRange('>=1.2.3.4'));
+  assert.equal(satisfies('not a version', '*'), false);
+});
+
+test('picks the highest satisfying item', () => {
+  const tags = [{ name: 'v1.0.0' }, { name: 'v1.4.0' }, { name: 'v2.0.0' }, { name: 'latest' }, { name: 'v1.5.0-rc.1' }];
+  assert.equal(maxSatisfying(tags, '^1', tag => tag.name).name, 'v1.4.0');
+  assert.equal(maxSatisfying(tags, '>=3', tag => tag.name), null);
+  assert.equal(maxSatisfying(['1.0.0', '1.1.0'], '*'), '1.1.0');
+  assert.throws(() => maxSatisfying([], '^x.y.z!'), /Invalid version in range/);
+});
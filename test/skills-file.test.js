@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  addToSkillsFile,
+  loadSkillsFile,
+  removeFromSkillsFile,
+  skillsFileFromLock,
+} from '../lib/skills-file.js';
+
+const SOURCE = 'github:acme/skills';
+const AGENTS = ['claude', 'opencode'];
+
+/**
+ * The file as saveSkillsFile writes it, without undefined fields.
+ * @param {import('../lib/skills-file.js').SkillsFile} file
+ */
+function saved(file) {
+  return JSON.parse(JSON.stringify(file)).skills;
+}
+
+test('adds skills to the entry with the same source, ref, agents and mode', () => {
+  const file = { skills: [] };
+  addToSkillsFile(file, { source: SOURCE, name: 'alpha', installedName: 'alpha' });
+  addToSkillsFile(file, { source: SOURCE, name: 'beta', installedName: 'beta', mode: 'copy' });
+  addToSkillsFile(file, { source: SOURCE, name: 'gamma', installedName: 'team-gamma' });
+  addToSkillsFile(file, { source: SOURCE, name: 'delta', installedName: 'delta', agents: ['claude'] });
+  addToSkillsFile(file, { source: SOURCE, name: 'eps', installedName: 'eps', mode: 'store' });
+  addToSkillsFile(file, { source: SOURCE, range: '^1.0', name: 'zeta', installedName: 'zeta' });
+  addToSkillsFile(file, { source: SOURCE, name: 'alpha', installedName: 'alpha' });
+
+  assert.deepEqual(saved(file), [
+    { source: SOURCE, skills: ['alpha', 'beta', { name: 'gamma', as: 'team-gamma' }] },
+    { source: SOURCE, skills: ['delta'], agents: ['claude'] },
+    { source: SOURCE, skills: ['eps'], mode: 'store' },
+    { source: SOURCE, range: '^1.0', skills: ['zeta'] },
+  ]);
+});
+
+test('moves a skill added again at another ref out of its old entry', () => {
+  const file = { skills: [{ source: SOURCE, skills: ['alpha', 'beta'] }, { source: SOURCE, ref: 'v1', skills: ['gamma'] }] };
+  addToSkillsFile(file, { source: SOURCE, ref: 'v2', name: 'alpha', installedName: 'alpha' });
+  addToSkillsFile(file, { source: SOURCE, ref: 'v2', name: 'gamma', installedName: 'gamma' });
+
+  assert.deepEqual(saved(file), [
+    { source: SOURCE, skills: ['beta'] },
+    { source: SOURCE, ref: 'v2', skills: ['alpha', 'gamma'] },
+  ]);
+});
+
+test('leaves entries that list every skill of their source alone', () => {
+  const file = { skills: [{ source: SOURCE }] };
+  addToSkillsFile(file, { source: SOURCE, name: 'alpha', installedName: 'alpha' });
+  assert.deepEqual(saved(file), [{ source: SOURCE }]);
+});
+
+test('removes a skill everywhere, dropping entries left empty', () => {
+  const file = { skills: [{ source: SOURCE, skills: ['alpha', 'beta'] }, { source: 'github:acme/other', skills: ['alpha'] }] };
+  removeFromSkillsFile(file, 'alpha', { source: SOURCE, siblings: ['beta'], allAgentIds: AGENTS });
+  assert.deepEqual(saved(file), [{ source: SOURCE, skills: ['beta'] }, { source: 'github:acme/other', skills: ['alpha'] }]);
+
+  removeFromSkillsFile(file, 'beta', { source: SOURCE, siblings: [], allAgentIds: AGENTS });
+  assert.deepEqual(saved(file), [{ source: 'github:acme/other', skills: ['alpha'] }]);
+});
+
+test('narrows an entry listing every skill to the other installed skills', () => {
+  const file = { skills: [{ source: SOURCE, ref: 'v1' }] };
+  removeFromSkillsFile(file, 'alpha', {
+    source: SOURCE,
+    siblings: ['beta', { name: 'gamma', as: 'team-gamma' }],
+    allAgentIds: AGENTS,
+  });
+  assert.deepEqual(saved(file), [{ source: SOURCE, ref: 'v1', skills: ['beta', { name: 'gamma', as: 'team-gamma' }] }]);
+});
+
+test('keeps a skill removed for some agents listed for the others', () => {
+  const file = { skills: [{ source: SOURCE, skills: ['alpha', 'beta'], mode: 'store' }] };
+  removeFromSkillsFile(file, 'alpha', { source: SOURCE, siblings: ['beta'], agents: ['claude'], allAgentIds: AGENTS });
+  assert.deepEqual(saved(file), [
+    { source: SOURCE, skills: ['beta'], mode: 'store' },
+    { source: SOURCE, skills: ['alpha'], mode: 'store', agents: ['opencode'] },
+  ]);
+
+  // Not listed for claude anymore: nothing to do
+  removeFromSkillsFile(file, 'alpha', { source: SOURCE, siblings: ['beta'], agents: ['claude'], allAgentIds: AGENTS });
+  assert.equal(saved(file).length, 2);
+
+  removeFromSkillsFile(file, 'alpha', { source: SOURCE, siblings: ['beta'], agents: ['opencode'], allAgentIds: AGENTS });
+  assert.deepEqual(saved(file), [{ source: SOURCE, skills: ['beta'], mode: 'store' }]);
+});
+
+test('builds a skills file from a lock', () => {
+  const lock = {
+    version: 1,
+    skills: {
+      alpha: { source: SOURCE, ref: 'main', path: 'skills/alpha' },
+      beta: { source: SOURCE, ref: 'v1.2.0', range: '^1.0', path: 'skills/beta', installMode: 'store' },
+      review: { source: SOURCE, ref: 'main', path: 'skills/gamma', upstreamName: 'gamma' },
+    },
+    agents: { claude: ['alpha', 'beta', 'review'], opencode: ['alpha', 'review'] },
+    skillsDirs: {},
+  };
+  assert.deepEqual(saved(skillsFileFromLock(lock, AGENTS)), [
+    { source: SOURCE, ref: 'main', skills: ['alpha', { name: 'gamma', as: 'review' }] },
+    { source: SOURCE, range: '^1.0', skills: ['beta'], agents: ['claude'], mode: 'store' },
+  ]);
+});
+
+test('rejects invalid remote-skills-list.json files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-file-test-'));
+  const load = (content) => {
+    fs.writeFileSync(path.join(dir, 'remote-skills-list.json'), typeof content === 'string' ? content : JSON.stringify(content));
+    return loadSkillsFile(dir);
+  };
+  try {
+    assert.equal(await loadSkillsFile(dir), null);
+    await assert.rejects(load('{'), /Invalid remote-skills-list.json/);
+    await assert.rejects(load({}), /expected a "skills" array/);
+    await assert.rejects(load({ skills: [{}] }), /entry 1: "source" is required/);
+    await assert.rejects(load({ skills: [{ source: SOURCE, ref: 'v1', range: '^1' }] }), /either "ref" or "range"/);
+    await assert.rejects(load({ skills: [{ source: SOURCE, skills: [{ name: 'a', as: '../b' }] }] }), /invalid "as" "..\/b"/);
+    await assert.rejects(load({ skills: [{ source: SOURCE, agents: 'claude' }] }), /"agents" must be a list/);
+    await assert.rejects(load({ skills: [{ source: SOURCE, mode: 'hardlink' }] }), /"mode" must be/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSourceUrl } from '../lib/providers/index.js';
+import { parseRemoteSource, formatSourceUri } from '../lib/remote-skill.js';
+
+test('GitLab URLs round-trip through the gitlab: form', () => {
+  const cases = [
+    ['https://gitlab.com/group/repo', 'gitlab:group/repo', { owner: 'group', repo: 'repo' }],
+    ['https://gitlab.com/group/repo/-/tree/v1/skills/y', 'gitlab:group/repo/skills/y#v1',
+      { owner: 'group', repo: 'repo', skillPath: 'skills/y', ref: 'v1' }],
+    ['https://gitlab.com/group/sub/repo', 'gitlab:group/sub/repo/-', { owner: 'group/sub', repo: 'repo' }],
+    ['https://gitlab.com/group/sub/repo.git', 'gitlab:group/sub/repo/-', { owner: 'group/sub', repo: 'repo' }],
+    ['https://gitlab.com/group/sub/repo/-/tree/dev', 'gitlab:group/sub/repo/-#dev',
+      { owner: 'group/sub', repo: 'repo', ref: 'dev' }],
+    ['https://gitlab.com/group/sub/repo/-/tree/release/skills/x', 'gitlab:group/sub/repo/-/skills/x#release',
+      { owner: 'group/sub', repo: 'repo', skillPath: 'skills/x', ref: 'release' }],
+  ];
+
+  for (const [url, expected, fields] of cases) {
+    const uri = normalizeSourceUrl(url);
+    assert.equal(uri, expected, url);
+
+    const source = parseRemoteSource(uri);
+    assert.equal(source.host, 'gitlab', url);
+    for (const [key, value] of Object.entries(fields)) assert.equal(source[key], value, `${url}: ${key}`);
+
+    assert.deepEqual(parseRemoteSource(formatSourceUri(source)), source, url);
+  }
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { downloadSubtree } from '../lib/subtree.js';
+
+const source = { host: 'test', owner: 'acme', repo: 'skills', ref: 'main', commit: 'c'.repeat(40) };
+
+let root;
+
+/**
+ * A provider serving a tree of files; blobs whose sha is in `failing` fail
+ * at once, the others arrive after a short delay.
+ * @param {number} count
+ * @param {string[]} [failing]
+ */
+function provider(count, failing = []) {
+  const entries = Array.from({ length: count }, (_, i) => ({
+    path: `skills/alpha/file-${i}.md`, type: 'blob', mode: '100644', sha: `sha-${i}`, size: 1,
+  }));
+  const fetched = [];
+  return {
+    fetched,
+    listTree: async () => ({ truncated: false, entries }),
+    fetchBlob: async (_source, sha) => {
+      fetched.push(sha);
+      if (failing.includes(sha)) throw new Error(`blob ${sha} failed`);
+      await sleep(20);
+      return Buffer.from(sha);
+    },
+  };
+}
+
+/** @param {string} dir */
+function listDir(dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'subtree-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('downloads the files under the wanted paths', async () => {
+  const repoDir = await downloadSubtree(provider(3), source, ['skills/alpha'], root);
+  assert.equal(repoDir, path.join(root, `skills-${source.commit}`));
+  assert.deepEqual(listDir(path.join(repoDir, 'skills/alpha')), ['file-0.md', 'file-1.md', 'file-2.md']);
+  assert.equal(fs.readFileSync(path.join(repoDir, 'skills/alpha/file-1.md'), 'utf-8'), 'sha-1');
+});
+
+test('stops every worker before reporting a failed blob', async () => {
+  const fake = provider(30, ['sha-0']);
+  await assert.rejects(downloadSubtree(fake, source, ['skills/alpha'], root), /blob sha-0 failed/);
+
+  // Nothing is written or fetched once the caller has the error
+  const dir = path.join(root, `skills-${source.commit}`, 'skills/alpha');
+  const written = listDir(dir);
+  const fetched = fake.fetched.length;
+  await sleep(100);
+  assert.deepEqual(listDir(dir), written);
+  assert.equal(fake.fetched.length, fetched);
+  assert.ok(fetched < 30);
+});
@@ -0,0 +1,297 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { extractTarStream } from '../lib/tar.js';
+
+/**
+ * An archive entry. `size` overrides the size written to the header and
+ * `sizeField` replaces the raw 12-byte field, for malformed archives.
+ * @typedef {{
+ *   name: string,
+ *   type?: string,
+ *   data?: string|Buffer,
+ *   linkName?: string,
+ *   size?: number,
+ *   sizeField?: Buffer,
+ * }} Entry
+ */
+
+/**
+ * Build a ustar header block.
+ * @param {Entry} entry
+ * @param {number} size
+ * @returns {Buffer}
+ */
+function header({ name, type = '0', linkName = '', sizeField }, size) {
+  const block = Buffer.alloc(512);
+  block.write(name, 0, 100, 'utf-8');
+  block.write('0000644\0', 100, 'latin1');
+  block.write('0000000\0', 108, 'latin1');
+  block.write('0000000\0', 116, 'latin1');
+  if (sizeField) sizeField.copy(block, 124);
+  else block.write(`${size.toString(8).padStart(11, '0')}\0`, 124, 'latin1');
+  block.write('00000000000\0', 136, 'latin1');
+  block.write(type, 156, 'latin1');
+  block.write(linkName, 157, 100, 'utf-8');
+  block.write('ustar\0', 257, 'latin1');
+  block.write('00', 263, 'latin1');
+
+  block.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  block.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148, 'latin1');
+  return block;
+}
+
+/**
+ * Build an uncompressed tar archive.
+ * @param {Entry[]} entries
+ * @returns {Buffer}
+ */
+function tar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data ?? '');
+    blocks.push(header(entry, entry.size ?? data.length), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * A pax extended header entry applying to the next entry.
+ * @param {Record<string, string>} records
+ * @returns {Entry}
+ */
+function pax(records) {
+  const data = Object.entries(records).map(([key, value]) => {
+    const body = ` ${key}=${value}\n`;
+    let length = Buffer.byteLength(body) + 1;
+    while (String(length).length + Buffer.byteLength(body) !== length) length++;
+    return `${length}${body}`;
+  }).join('');
+  return { name: 'PaxHeader', type: 'x', data };
+}
+
+/**
+ * Feed a buffer to the extractor in chunks that don't line up with blocks.
+ * @param {Buffer} buffer
+ */
+async function* chunks(buffer) {
+  for (let i = 0; i < buffer.length; i += 700) yield buffer.subarray(i, i + 700);
+}
+
+let root;
+let dest;
+
+/**
+ * @param {Buffer} archive
+ * @param {Partial<import('../lib/tar.js').TarLimits>} [limits]
+ */
+function extract(archive, limits) {
+  return extractTarStream(chunks(archive), dest, { limits });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+  dest = path.join(root, 'dest');
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('extracts files, directories, symlinks and hard links', async () => {
+  await extract(tar([
+    { name: 'skill/', type: '5' },
+    { name: 'skill/SKILL.md', data: '# Skill\n' },
+    { name: 'skill/docs/guide.md', data: 'guide' },
+    { name: 'skill/link.md', type: '2', linkName: 'docs/guide.md' },
+    { name: 'skill/copy.md', type: '1', linkName: 'skill/SKILL.md' },
+  ]));
+
+  assert.equal(fs.readFileSync(path.join(dest, 'skill/SKILL.md'), 'utf-8'), '# Skill\n');
+  assert.equal(fs.readFileSync(path.join(dest, 'skill/docs/guide.md'), 'utf-8'), 'guide');
+  assert.equal(fs.readlinkSync(path.join(dest, 'skill/link.md')), 'docs/guide.md');
+  assert.ok(fs.lstatSync(path.join(dest, 'skill/copy.md')).isFile());
+});
+
+test('uses GNU long names and pax paths', async () => {
+  const long = `skill/${'d'.repeat(120)}/SKILL.md`;
+  await extract(tar([
+    { name: '././@LongLink', type: 'L', data: `${long}\0` },
+    { name: 'truncated', data: 'long' },
+    pax({ path: 'skill/pax.md' }),
+    { name: 'ignored.md', data: 'pax' },
+  ]));
+
+  assert.equal(fs.readFileSync(path.join(dest, long), 'utf-8'), 'long');
+  assert.equal(fs.readFileSync(path.join(dest, 'skill/pax.md'), 'utf-8'), 'pax');
+  assert.ok(!fs.existsSync(path.join(dest, 'truncated')));
+  assert.ok(!fs.existsSync(path.join(dest, 'ignored.md')));
+});
+
+test('only writes entries accepted by the filter', async () => {
+  await extractTarStream(chunks(tar([
+    { name: 'keep/a.md', data: 'a' },
+    { name: 'drop/b.md', data: 'b' },
+  ])), dest, { filter: name => name.startsWith('keep/') });
+
+  assert.ok(fs.existsSync(path.join(dest, 'keep/a.md')));
+  assert.ok(!fs.existsSync(path.join(dest, 'drop')));
+});
+
+test('never creates devices or FIFOs', async () => {
+  await extract(tar([
+    { name: 'dev/null', type: '3' },
+    { name: 'dev/sda', type: '4' },
+    { name: 'fifo', type: '6' },
+  ]));
+  assert.ok(!fs.existsSync(path.join(dest, 'dev/null')));
+  assert.ok(!fs.existsSync(path.join(dest, 'fifo')));
+});
+
+test('drops dangling symlinks', async () => {
+  await extract(tar([
+    { name: 'skill/SKILL.md', data: '# Skill\n' },
+    { name: 'skill/missing', type: '2', linkName: 'nowhere.md' },
+  ]));
+  assert.throws(() => fs.lstatSync(path.join(dest, 'skill/missing')));
+});
+
+/**
+ * Hostile archives: each must fail with the given error and write nothing
+ * outside the destination.
+ * @type {{ title: string, entries: Entry[], error: RegExp, limits?: Partial<import('../lib/tar.js').TarLimits> }[]}
+ */
+const HOSTILE = [
+  {
+    title: 'a ../ path',
+    entries: [{ name: 'skill/../../evil.md', data: 'x' }],
+    error: /points outside the destination/,
+  },
+  {
+    title: 'a ..\\ path',
+    entries: [{ name: '..\\evil.md', data: 'x' }],
+    error: /points outside the destination/,
+  },
+  {
+    title: 'an absolute path',
+    entries: [{ name: '/tmp/evil.md', data: 'x' }],
+    error: /is absolute/,
+  },
+  {
+    title: 'a drive-letter path',
+    entries: [{ name: 'C:\\evil.md', data: 'x' }],
+    error: /is absolute/,
+  },
+  {
+    title: 'a pax path leaving the destination',
+    entries: [pax({ path: '../evil.md' }), { name: 'innocent.md', data: 'x' }],
+    error: /points outside the destination/,
+  },
+  {
+    title: 'a pax path with a NUL byte',
+    entries: [pax({ path: 'skill/a\0b.md' }), { name: 'innocent.md', data: 'x' }],
+    error: /contains a NUL byte/,
+  },
+  {
+    title: 'a GNU long name leaving the destination',
+    entries: [{ name: '././@LongLink', type: 'L', data: `../${'a'.repeat(120)}\0` }, { name: 'innocent.md', data: 'x' }],
+    error: /points outside the destination/,
+  },
+  {
+    title: 'an absolute symlink',
+    entries: [{ name: 'skill/passwd', type: '2', linkName: '/etc/passwd' }],
+    error: /Unsafe symlink/,
+  },
+  {
+    title: 'a relative symlink leaving the destination',
+    entries: [{ name: 'skill/etc', type: '2', linkName: '../../etc' }],
+    error: /Unsafe symlink/,
+  },
+  {
+    title: 'a pax linkpath leaving the destination',
+    entries: [pax({ linkpath: '../../etc' }), { name: 'skill/etc', type: '2', linkName: 'fine' }],
+    error: /Unsafe symlink/,
+  },
+  {
+    title: 'a GNU long link name leaving the destination',
+    entries: [{ name: '././@LongLink', type: 'K', data: `../../${'e'.repeat(120)}\0` }, { name: 'skill/etc', type: '2' }],
+    error: /Unsafe symlink/,
+  },
+  {
+    title: 'a hard link leaving the destination',
+    entries: [{ name: 'skill/passwd', type: '1', linkName: '../../etc/passwd' }],
+    error: /points outside the destination/,
+  },
+  {
+    title: 'an absolute hard link',
+    entries: [{ name: 'skill/passwd', type: '1', linkName: '/etc/passwd' }],
+    error: /is absolute/,
+  },
+  {
+    title: 'a file above the per-file limit',
+    entries: [{ name: 'big.md', data: 'x'.repeat(2000) }],
+    limits: { maxFileSize: 1000 },
+    error: /larger than the 1000-byte limit/,
+  },
+  {
+    title: 'contents above the total size limit',
+    entries: [{ name: 'a.md', data: 'x'.repeat(3000) }, { name: 'b.md', data: 'x'.repeat(3000) }],
+    limits: { maxTotalSize: 4096 },
+    error: /exceed the 4096-byte limit/,
+  },
+  {
+    title: 'too many entries',
+    entries: Array.from({ length: 5 }, (_, i) => ({ name: `f${i}.md`, data: 'x' })),
+    limits: { maxFiles: 4 },
+    error: /more than 4 entries/,
+  },
+  {
+    title: 'a size that is not octal',
+    entries: [{ name: 'a.md', sizeField: Buffer.from('12345678901\0') }],
+    error: /invalid size of "a.md"/,
+  },
+  {
+    title: 'a negative base-256 size',
+    entries: [{ name: 'a.md', sizeField: Buffer.alloc(12, 0xff) }],
+    error: /negative size/,
+  },
+  {
+    title: 'a size beyond the end of the archive',
+    entries: [{ name: 'a.md', data: 'x', size: 1024 * 1024 }],
+    error: /truncated/,
+  },
+  {
+    title: 'an invalid pax record',
+    entries: [{ name: 'PaxHeader', type: 'x', data: '99 path=x\n' }, { name: 'a.md', data: 'x' }],
+    error: /invalid pax header record/,
+  },
+];
+
+for (const { title, entries, error, limits } of HOSTILE) {
+  test(`rejects ${title}`, async () => {
+    await assert.rejects(extract(tar(entries), limits), error);
+    assert.deepEqual(fs.readdirSync(root), ['dest']);
+  });
+}
+
+test('rejects writing through a chain of symlinks leaving the destination', async () => {
+  fs.mkdirSync(path.join(root, 'outside'));
+  await assert.rejects(extract(tar([
+    // Each target looks inside on its own, but skill/b/.. is really root
+    { name: 'skill/b', type: '2', linkName: '..' },
+    { name: 'skill/a', type: '2', linkName: 'b/..' },
+    { name: 'skill/a/outside/evil.md', data: 'x' },
+  ])));
+  assert.ok(!fs.existsSync(path.join(root, 'outside/evil.md')));
+});
+
+test('rejects a corrupted header', async () => {
+  const archive = tar([{ name: 'a.md', data: 'x' }]);
+  archive[0] ^= 0xff;
+  await assert.rejects(extract(archive), /bad header checksum/);
+});
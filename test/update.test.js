@@ -0,0 +1,39 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runSkill, makeProject, writeSkill, commitAll } from './helpers.js';
+
+let root;
+let project;
+let cache;
+let repo;
+
+/** @param {string[]} args */
+function skill(...args) {
+  return runSkill(project, args, { cache });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'update-test-'));
+  project = path.join(root, 'project');
+  cache = path.join(root, 'cache');
+  repo = path.join(root, 'repo');
+  makeProject(project);
+  writeSkill(path.join(repo, 'skills/alpha'));
+  commitAll(repo);
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('exits non-zero when a source cannot be resolved', () => {
+  assert.equal(skill('-y', 'add', `git+file://${repo}#main`).status, 0);
+  fs.rmSync(repo, { recursive: true, force: true });
+
+  const result = skill('-y', 'update');
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /\S/);
+});